@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for the Chord Analyzer
+ * Prints the detected key and Roman numeral table, the full analysis as JSON,
+ * or writes the progression to a MIDI file. Progressions can also be read from MIDI files,
+ * sets of notes named as chords, substitutions suggested for each chord and chords suggested
+ * to follow the progression, and melodies harmonized.
+ */
+
+const fs = require('fs');
+const ChordAnalyzer = require('../index.js');
+
+const USAGE = `Usage: chord-analyzer [options] "<chords>" ["<chords>" ...]
+
+Analyzes comma-separated chord progressions (e.g. "C, G, Am, F") or charts
+with bar lines ("| C . G . | Am . . F | x4"). With no progression arguments,
+each non-empty line of standard input is analyzed.
+
+Options:
+  --json          Print the analysis as JSON
+  --midi <file>   Write the progression to a MIDI file (one progression only)
+  --key <key>     Analyze in the given key instead of the detected one ("A minor")
+  --patterns <file>
+                  Add the key patterns in a JSON file to key detection
+  --voicing <style>
+                  Voice the MIDI chords close (default), open, drop2, shell or spread
+  --notes "<notes>"
+                  Name the chord formed by notes listed from the bass up ("E G C")
+  --import <file.mid>
+                  Recognize the chords in a MIDI file and analyze them
+  --segment <bar|beat>
+                  Name one imported chord per bar (default) or per beat
+  --satb          Realize the progression in four parts and check the part writing;
+                  with --midi, write one track per voice
+  --substitutions Suggest substitutions for each chord in its key
+  --next          Suggest chords to follow the progression
+  --style <pop|jazz|classical>
+                  Weight --next suggestions and --melody harmonizations for a
+                  style (default pop)
+  --melody "<notes>" | <file.mid>
+                  Propose chords for a melody written as notes with beats
+                  ("E4:1 D4:1 C4:2") or read from a MIDI file; --bars or --beats
+                  set how often the chord changes (default every bar), and
+                  --midi writes the best proposal with the melody on its own track
+
+MIDI export options (with --midi):
+  --tempo <bpm>   Tempo in beats per minute (default 120)
+  --meter <n/d>   Time signature, e.g. 3/4 (default: as written, else 4/4)
+  --bars <n>      Play every chord for n bars instead of its written length
+  --beats <n>     Play every chord for n beats instead of its written length
+  --loop <n>      Play the progression n times
+  --program <n>   General MIDI program, 0-127 (default 0, piano)
+  --velocity <n>  Note velocity, 1-127 (default 90)
+  --separate-bass Put the bass on its own track (Type 1 file)
+  -h, --help      Show this help`;
+
+// MIDI export options that take a value, and the createMidiFile option each sets.
+const MIDI_OPTIONS = {
+  '--tempo': 'tempo',
+  '--meter': 'timeSignature',
+  '--bars': 'barsPerChord',
+  '--beats': 'beatsPerChord',
+  '--loop': 'loop',
+  '--program': 'program',
+  '--velocity': 'velocity'
+};
+
+// Parses the command line into progressions and options; throws on malformed options.
+function parseArgs(argv) {
+  const options = {
+    json: false,
+    satb: false,
+    substitutions: false,
+    next: false,
+    style: 'pop',
+    midi: null,
+    key: null,
+    patterns: null,
+    voicing: null,
+    import: null,
+    notes: null,
+    melody: null,
+    segment: 'bar',
+    midiOptions: {},
+    help: false,
+    progressions: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--satb') {
+      options.satb = true;
+    } else if (arg === '--substitutions') {
+      options.substitutions = true;
+    } else if (arg === '--next') {
+      options.next = true;
+    } else if (arg === '--separate-bass') {
+      options.midiOptions.separateBass = true;
+    } else if (MIDI_OPTIONS[arg]) {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`${arg} needs a value`);
+      options.midiOptions[MIDI_OPTIONS[arg]] = arg === '--meter' ? value : Number(value);
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (['--midi', '--key', '--patterns', '--voicing', '--import', '--segment', '--notes', '--melody', '--style'].includes(arg)) {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`${arg} needs a value`);
+      options[arg.slice(2)] = value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.progressions.push(arg);
+    }
+  }
+  return options;
+}
+
+function formatKeyName(key, mode) {
+  return mode === 'major' ? key + ' major' : key;
+}
+
+// Renders an aligned table: the header, a dashed rule, then a line per row. A row given as a
+// string (such as a modulation note) is printed as it is and doesn't widen the columns.
+function renderTable(headers, rows) {
+  const cells = rows.filter((row) => typeof row !== 'string');
+  const widths = headers.map((title, column) =>
+    Math.max(title.length, ...cells.map((row) => row[column].length)));
+  const formatRow = (row) => (typeof row === 'string' ? row
+    : row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  return [headers, widths.map((width) => '-'.repeat(width))].concat(rows).map(formatRow).join('\n');
+}
+
+// Renders the key line(s) and an aligned Chord / Notes / Numeral / Function table, with a
+// Beats column for progressions written in bars.
+function formatTable(result, showBeats) {
+  const lines = ['Key: ' + result.regions.map((region) => formatKeyName(region.key, region.mode)).join(' → ')];
+  if (result.key !== result.detectedKey) {
+    const detected = result.candidates.find((candidate) => candidate.key === result.detectedKey);
+    lines[0] = 'Key: ' + formatKeyName(result.key, result.mode) +
+      ' (detected: ' + (detected ? formatKeyName(detected.key, detected.mode) : result.detectedKey) + ')';
+  }
+  if (result.patterns.length > 0) {
+    lines.push('Pattern: ' + result.patterns.map((pattern) => pattern.name +
+      (result.regions.length > 1 ? ' in ' + formatKeyName(pattern.key, result.regions[pattern.region].mode) : '')).join(', '));
+  }
+
+  const header = ['Chord'].concat(showBeats ? ['Beats'] : [], ['Notes', 'Numeral', 'Function']);
+  const rows = result.analysis.map((item) => [
+    item.chord,
+    ...(showBeats ? [String(Math.round(item.beats * 100) / 100)] : []),
+    item.tones.join(' '),
+    item.pivot ? item.pivot.fromNumeral + ' = ' + item.pivot.toNumeral : item.numeral,
+    item.cadence ? item.function + ' · ' + item.cadence.label : item.function
+  ]);
+  const table = [];
+  rows.forEach((row, index) => {
+    const region = result.regions.find((candidate) => candidate.start === index);
+    if (index > 0 && region) {
+      const pivot = region.pivot;
+      table.push('-- Modulation to ' + formatKeyName(region.key, region.mode) + (pivot
+        ? ' (pivot ' + pivot.chord + ': ' + pivot.fromNumeral + ' in ' + pivot.fromKey +
+          ' = ' + pivot.toNumeral + ' in ' + pivot.toKey + ')'
+        : ''));
+    }
+    table.push(row);
+  });
+  lines.push('', renderTable(header, table));
+  return lines.join('\n');
+}
+
+// Renders a realizeSATB result as a Numeral / Soprano / Alto / Tenor / Bass table followed by
+// its part-writing errors.
+function formatSATB(realization) {
+  const header = ['Numeral'].concat(ChordAnalyzer.SATB_VOICES.map((voice) => voice[0].toUpperCase() + voice.slice(1)));
+  const rows = realization.chords.map((chord) => [chord.numeral].concat(ChordAnalyzer.SATB_VOICES
+    .map((voice) => (chord.notes ? chord.notes[voice] : '-'))));
+
+  const lines = [renderTable(header, rows)];
+  if (realization.errors.length === 0) {
+    lines.push('', 'No part-writing errors');
+  } else {
+    lines.push('', 'Part-writing errors:');
+    realization.errors.forEach((error) => {
+      lines.push('  ' + (error.index + 1) + ' ' + realization.chords[error.index].numeral + ': ' + error.message);
+    });
+  }
+  return lines.join('\n');
+}
+
+// Renders suggestSubstitutions' lists as a Chord / Substitute / Numeral / Function table, with
+// the reason for each substitute and passing chords marked as added after the chord.
+function formatSubstitutions(result, substitutions) {
+  const header = ['Chord', 'Substitute', 'Numeral', 'Function'];
+  const rows = [];
+  substitutions.forEach((suggestions, index) => {
+    suggestions.forEach((suggestion, position) => {
+      rows.push([
+        position === 0 ? result.analysis[index].chord : '',
+        (suggestion.passing ? '+ ' : '') + suggestion.chord,
+        suggestion.numeral,
+        suggestion.function + ' · ' + suggestion.description
+      ]);
+    });
+  });
+  return ['Substitutions (+ adds a passing chord after the chord):', '', renderTable(header, rows)].join('\n');
+}
+
+// Renders suggestNext's chords as a Chord / Numeral / Function / Reason table.
+function formatNextChords(suggestions, style) {
+  const header = ['Chord', 'Numeral', 'Function', 'Reason'];
+  const rows = suggestions.map((suggestion) => [suggestion.chord, suggestion.numeral, suggestion.function, suggestion.reason]);
+  return ['Next chord (' + style + '):', '', renderTable(header, rows)].join('\n');
+}
+
+// Lists identifyChord readings best first, each with its inversion and any rootless or
+// omitted tones.
+function formatChordNames(readings) {
+  return renderTable(['Chord', 'Reading'],
+    readings.map((reading) => [reading.chord, ChordAnalyzer.describeReading(reading)]));
+}
+
+// Lists harmonizeMelody's proposals, best first, each as its chart and analysis table.
+function formatHarmonizations(harmonization) {
+  return ['Melody key: ' + formatKeyName(harmonization.key, harmonization.proposals[0].analysis.mode)]
+    .concat(harmonization.proposals.map((proposal, index) =>
+      'Proposal ' + (index + 1) + ' (score ' + proposal.score + '): ' + proposal.progression + '\n' +
+      formatTable(proposal.analysis, true)))
+    .join('\n\n');
+}
+
+// Harmonizes the --melody notes or MIDI file and prints the proposals, or writes the best
+// one with its melody to --midi. Returns the exit code.
+function harmonize(options, analyzeOptions) {
+  const { barsPerChord, beatsPerChord } = options.midiOptions;
+  let result;
+  try {
+    const melody = /\.midi?$/i.test(options.melody)
+      ? ChordAnalyzer.readMidiMelody(fs.readFileSync(options.melody))
+      : ChordAnalyzer.parseMelody(options.melody);
+    result = ChordAnalyzer.harmonizeMelody(melody,
+      Object.assign({ style: options.style, barsPerChord, beatsPerChord }, analyzeOptions));
+  } catch (error) {
+    console.error('Cannot harmonize the melody: ' + error.message);
+    return 2;
+  }
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (!options.midi) {
+    console.log(formatHarmonizations(result));
+  }
+  if (options.midi) {
+    // The chart already has the chosen harmonic rhythm, and a melody read from MIDI keeps its tempo.
+    const midiOptions = Object.assign({ style: options.voicing || 'close' }, options.midiOptions,
+      { barsPerChord: null, beatsPerChord: null, melody: result.melody.notes });
+    if (!midiOptions.tempo && result.melody.tempo) midiOptions.tempo = result.melody.tempo;
+    let file;
+    try {
+      file = ChordAnalyzer.createMidiFile(result.proposals[0].analysis, midiOptions);
+    } catch (error) {
+      console.error('Cannot write MIDI: ' + error.message);
+      return 2;
+    }
+    fs.writeFileSync(options.midi, Buffer.from(file.toBytes(), 'binary'));
+    if (!options.json) {
+      console.log('Wrote ' + options.midi + ' (' + result.proposals[0].progression + ' in ' +
+        formatKeyName(result.key, result.proposals[0].analysis.mode) + ')');
+    }
+  }
+  return 0;
+}
+
+function readStdinLines() {
+  return fs.readFileSync(0, 'utf8').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(error.message + '\n\n' + USAGE);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (options.notes !== null) {
+    let readings;
+    try {
+      readings = ChordAnalyzer.identifyChord(options.notes);
+    } catch (error) {
+      console.error(error.message);
+      return 2;
+    }
+    if (readings.length === 0) {
+      console.error('Give at least two different notes to name a chord');
+      return 1;
+    }
+    console.log(options.json ? JSON.stringify(readings, null, 2) : formatChordNames(readings));
+    return 0;
+  }
+  if (!ChordAnalyzer.NEXT_CHORD_STYLES[options.style]) {
+    console.error('Unknown style: ' + options.style + ' (use ' + Object.keys(ChordAnalyzer.NEXT_CHORD_STYLES).join(', ') + ')');
+    return 2;
+  }
+  if (options.segment !== 'bar' && options.segment !== 'beat') {
+    console.error('--segment must be bar or beat');
+    return 2;
+  }
+  if (options.voicing && !ChordAnalyzer.VOICING_STYLES.includes(options.voicing)) {
+    console.error('Unknown voicing style: ' + options.voicing + ' (use ' + ChordAnalyzer.VOICING_STYLES.join(', ') + ')');
+    return 2;
+  }
+  const analyzeOptions = options.key ? { key: options.key } : {};
+  if (options.patterns) {
+    try {
+      analyzeOptions.patterns = ChordAnalyzer.loadKeyPatterns(fs.readFileSync(options.patterns, 'utf8'));
+    } catch (error) {
+      console.error('Cannot load key patterns from ' + options.patterns + ': ' + error.message);
+      return 2;
+    }
+  }
+  if (options.melody !== null) return harmonize(options, analyzeOptions);
+
+  if (options.import) {
+    let imported;
+    try {
+      imported = ChordAnalyzer.importMidi(fs.readFileSync(options.import), { segment: options.segment });
+    } catch (error) {
+      console.error('Cannot import ' + options.import + ': ' + error.message);
+      return 2;
+    }
+    if (!imported.progression) {
+      console.error('No chords found in ' + options.import);
+      return 1;
+    }
+    if (!options.json) console.log('Imported from ' + options.import + ': ' + imported.progression + '\n');
+    options.progressions.unshift(imported.progression);
+  }
+
+  const progressions = options.progressions.length > 0 || process.stdin.isTTY
+    ? options.progressions
+    : readStdinLines();
+  if (progressions.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (options.midi && progressions.length > 1) {
+    console.error('--midi writes a single progression; got ' + progressions.length);
+    return 2;
+  }
+  const results = progressions.map((progression) => ChordAnalyzer.analyzeChords(progression, analyzeOptions));
+  let exitCode = 0;
+  results.forEach((result, index) => {
+    if (result.rejected.length > 0) {
+      console.error('Unrecognized chord symbols or bars (skipped): ' + result.rejected.join(', '));
+    }
+    if (!result.key) {
+      console.error('No recognizable chords in: ' + progressions[index]);
+      exitCode = 1;
+    }
+  });
+
+  const realizations = options.satb
+    ? results.map((result) => (result.key ? ChordAnalyzer.realizeSATB(result) : null))
+    : [];
+  const substitutions = options.substitutions
+    ? results.map((result) => ChordAnalyzer.suggestSubstitutions(result))
+    : [];
+  // Suggestions continue each progression in the key it ends in (or the --key given).
+  const nextChords = options.next
+    ? results.map((result, index) => (result.key
+      ? ChordAnalyzer.suggestNext(progressions[index], result.regions[result.regions.length - 1].key, { style: options.style })
+      : []))
+    : [];
+  if (options.json) {
+    const output = results.map((result, index) => Object.assign({}, result,
+      options.satb ? { satb: realizations[index] } : {},
+      options.substitutions ? { substitutions: substitutions[index] } : {},
+      options.next ? { next: nextChords[index] } : {}));
+    console.log(JSON.stringify(output.length === 1 ? output[0] : output, null, 2));
+  } else if (!options.midi) {
+    console.log(results
+      .map((result, index) => (result.key
+        ? formatTable(result, progressions[index].includes('|')) +
+          (options.satb ? '\n\n' + formatSATB(realizations[index]) : '') +
+          (options.substitutions ? '\n\n' + formatSubstitutions(result, substitutions[index]) : '') +
+          (options.next ? '\n\n' + formatNextChords(nextChords[index], options.style) : '')
+        : null))
+      .filter(Boolean)
+      .join('\n\n'));
+  }
+
+  if (options.midi && results[0].key) {
+    let file;
+    try {
+      file = options.satb
+        ? ChordAnalyzer.createSATBMidiFile(realizations[0], options.midiOptions)
+        : ChordAnalyzer.createMidiFile(results[0], Object.assign({ style: options.voicing || 'close' }, options.midiOptions));
+    } catch (error) {
+      console.error('Cannot write MIDI: ' + error.message);
+      return 2;
+    }
+    const bytes = file.toBytes();
+    fs.writeFileSync(options.midi, Buffer.from(bytes, 'binary'));
+    if (!options.json) console.log('Wrote ' + options.midi + ' (' + formatKeyName(results[0].key, results[0].mode) + ')');
+  }
+  return exitCode;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,16 @@
+/**
+ * Node entry point for the Chord Analyzer
+ * Combines the analysis engine with chord voicing, four-part realization, MIDI export and import,
+ * playback scheduling, chord diagrams and melody harmonization for use from scripts.
+ */
+
+const ChordAnalyzer = require('./js/chord-analyzer.js');
+const ChordVoicing = require('./js/voicing.js');
+const ChordSATB = require('./js/satb.js');
+const ChordMidi = require('./js/midi-export.js');
+const ChordMidiImport = require('./js/midi-import.js');
+const ChordPlayback = require('./js/playback.js');
+const ChordDiagrams = require('./js/diagrams.js');
+const ChordHarmonize = require('./js/harmonize.js');
+
+module.exports = { ...ChordAnalyzer, ...ChordVoicing, ...ChordSATB, ...ChordMidi, ...ChordMidiImport, ...ChordPlayback, ...ChordDiagrams, ...ChordHarmonize };
@@ -0,0 +1,68 @@
+/**
+ * ES module entry point for the Chord Analyzer
+ * Re-exports the CommonJS build as named exports.
+ */
+
+import ChordAnalyzer from './index.js';
+
+export const {
+  analyzeChords,
+  parseChord,
+  identifyChord,
+  describeReading,
+  suggestSubstitutions,
+  substituteChord,
+  suggestNext,
+  NEXT_CHORD_STYLES,
+  NUMERAL_CHORD_SUFFIXES,
+  parseProgression,
+  getNoteIndex,
+  parseNoteName,
+  spellNote,
+  detectKey,
+  rankKeys,
+  segmentKeyRegions,
+  getRomanNumeral,
+  transpose,
+  transposeKey,
+  loadKeyPatterns,
+  WEIGHTS,
+  KEY_RULES,
+  KEY_PATTERNS,
+  voiceChord,
+  voiceProgression,
+  VOICING_STYLES,
+  DEFAULT_RANGE,
+  realizeSATB,
+  checkPartWriting,
+  SATB_VOICES,
+  SATB_RANGES,
+  getChordNotes,
+  getChordEvents,
+  createMidiFile,
+  createSATBMidiFile,
+  getMidiFileName,
+  getKeySignature,
+  MIDI_EXPORT_DEFAULTS,
+  MIDI_PROGRAMS,
+  importMidi,
+  parseMidiFile,
+  segmentNotes,
+  getPitchNames,
+  schedulePlayback,
+  createPlayer,
+  findGuitarVoicings,
+  parseTuning,
+  getKeyboardPitches,
+  renderKeyboard,
+  renderGuitarDiagram,
+  GUITAR_TUNINGS,
+  harmonizeMelody,
+  parseMelody,
+  readMidiMelody,
+  formatMelody,
+  detectMelodyKey,
+  HARMONIZATION_CHORDS
+} = ChordAnalyzer;
+
+export default ChordAnalyzer;
@@ -12,10 +12,11 @@
  *    2 semitones (whole step), then assume they are IV-V in a key that is a perfect
  *    4th below the lower chord. This handles progressions like "Eb, F, C" correctly.
  *
- * 3. VI* pattern: A major chord built on the 6th scale degree of a major key (which
- *    would normally be minor) is interpreted as VI* in that key, especially when other
- *    chords in the progression suggest that key. This handles progressions with a
- *    major submediant chord like A, C, F where A should be VI* in C, not III* in F.
+ * 3. Key patterns: progression shapes from KEY_PATTERNS, written as scale degrees, are
+ *    matched in every key. A major chord on the 6th scale degree of a major key (which
+ *    would normally be minor) keeps the key when I, IV or V confirm it, and is labelled as
+ *    the applied dominant of ii, so A, C, F is V/ii I IV in C, not III* in F (the pattern
+ *    itself is named VI*-I-IV).
  *
  * 4. Borrowed mediant bonus: In candidate keys where the diatonic mediant
  *    (scale degree III) should be minor but a major chord is present on that
@@ -24,6 +25,20 @@
  * 5. Disallow bii*, bIII*, and bv* rule: Consider any key that would result in these chord
  *    analyses to be invalid, as these are extremely rare in practice and typically
  *    indicate that a different key analysis would be more appropriate.
+ *
+ * 6. Minor and modal candidates: minor keys (natural, harmonic and melodic) and the
+ *    Dorian, Phrygian, Lydian, Mixolydian and Aeolian modes are scored separately and
+ *    replace the best major key only when they outscore it.
+ *
+ * 7. Cadences: chord order counts. Authentic, plagal, half, deceptive, Phrygian half and
+ *    backdoor cadences between consecutive chords add to a key's score, as does starting or
+ *    ending on its tonic, and each analysis row names the cadence arriving on it.
+ *
+ * 8. Durations: in bar notation ("| C . G . | Am . . F | x4") chords count in proportion to
+ *    how long they sound, and MIDI export plays the written lengths.
+ *
+ * Each rule is an entry in KEY_RULES scored by its WEIGHTS value; callers can re-weight,
+ * disable or add rules through the weights and rules options of analyzeChords.
  */
 
 // Define reference notes and preferred spellings.
@@ -56,11 +71,45 @@ NOTES.forEach(noteGroup => {
   }
 });
 
-// Expected diatonic chord qualities in a major scale.
-const DIATONIC_QUALITIES = {
-  major: [0, 3, 4], // I, IV, V are major
-  minor: [1, 2, 5], // ii, iii, vi are minor
-  diminished: [6]   // vii° is diminished
+// Minor scale forms (in semitones). Chords count as diatonic in a minor key when they fit
+// the natural, harmonic or melodic (ascending) form.
+const NATURAL_MINOR_SCALE_PATTERN = [0, 2, 3, 5, 7, 8, 10];
+const MINOR_SCALE_FORMS = [
+  NATURAL_MINOR_SCALE_PATTERN,
+  [0, 2, 3, 5, 7, 8, 11], // harmonic minor
+  [0, 2, 3, 5, 7, 9, 11]  // melodic minor
+];
+
+// Church modes detected alongside major and minor keys. Each is a rotation of the major scale
+// starting on the parent-major `degree`; `characteristic` is the semitone offset (from the modal
+// tonic) of the major chord that carries the mode's defining tone.
+const MODES = {
+  dorian: { degree: 1, characteristic: 5 },      // IV, with the raised sixth
+  phrygian: { degree: 2, characteristic: 1 },    // bII, with the lowered second
+  lydian: { degree: 3, characteristic: 2 },      // II, with the raised fourth
+  mixolydian: { degree: 4, characteristic: 10 }, // bVII, with the lowered seventh
+  aeolian: { degree: 5, characteristic: 8 }      // bVI, with the lowered sixth
+};
+
+// Scale intervals (in semitones) for each mode, rotated from MAJOR_SCALE_PATTERN.
+const MODE_SCALE_PATTERNS = {};
+Object.keys(MODES).forEach(mode => {
+  const start = MAJOR_SCALE_PATTERN[MODES[mode].degree];
+  MODE_SCALE_PATTERNS[mode] = MAJOR_SCALE_PATTERN
+    .map(interval => (interval - start + 12) % 12)
+    .sort((a, b) => a - b);
+});
+
+// Scale degree (0-6) of each semitone above a minor tonic, including the raised sixth and seventh.
+const MINOR_SCALE_DEGREES = { 0: 0, 2: 1, 3: 2, 5: 3, 7: 4, 8: 5, 9: 5, 10: 6, 11: 6 };
+
+// Minor keys are spelled the way they appear in key signatures (C# minor, not Db minor).
+const PREFERRED_MINOR_KEY_SPELLING = {
+  'Db': 'C#',
+  'Gb': 'F#',
+  'Ab': 'G#',
+  'D#': 'Eb',
+  'A#': 'Bb'
 };
 
 // Function names for each scale degree.
@@ -74,6 +123,18 @@ const FUNCTION_NAMES = [
   'Leading Tone'   // vii
 ];
 
+// Function names for each scale degree in a minor key. The seventh degree is the subtonic
+// unless it is raised to the leading tone.
+const MINOR_FUNCTION_NAMES = [
+  'Tonic',         // i
+  'Supertonic',    // ii°
+  'Mediant',       // III
+  'Subdominant',   // iv
+  'Dominant',      // V
+  'Submediant',    // VI
+  'Subtonic'       // VII
+];
+
 // Roman numeral labels.
 const ROMAN_NUMERALS = {
   major: ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'],
@@ -82,9 +143,43 @@ const ROMAN_NUMERALS = {
 
 /* Utility Functions */
 
-// Return the first note's index (using exact match from each slash-group).
+// Letter names in order, with the pitch class of each natural note.
+const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const NATURAL_PITCH_CLASSES = [0, 2, 4, 5, 7, 9, 11];
+
+// A note name: letter plus an optional single or double accidental ("F#", "Bbb", "E#").
+const NOTE_NAME_PATTERN = /^([A-G])(bb|b|##|#)?$/;
+const ACCIDENTAL_OFFSETS = { '': 0, 'b': -1, 'bb': -2, '#': 1, '##': 2 };
+
+// Parsed note names, cached because key detection looks up the same few names many times.
+const NOTE_NAME_CACHE = new Map();
+
+// Splits a note name into its letter (0-6 from C) and pitch class, or returns null.
+function parseNoteName(note) {
+  if (NOTE_NAME_CACHE.has(note)) return NOTE_NAME_CACHE.get(note);
+  const match = typeof note === 'string' && note.match(NOTE_NAME_PATTERN);
+  let parsed = null;
+  if (match) {
+    const letter = NOTE_LETTERS.indexOf(match[1]);
+    const pitchClass = (NATURAL_PITCH_CLASSES[letter] + ACCIDENTAL_OFFSETS[match[2] || ''] + 12) % 12;
+    parsed = Object.freeze({ letter, pitchClass });
+  }
+  if (typeof note === 'string' && note.length <= 3) NOTE_NAME_CACHE.set(note, parsed);
+  return parsed;
+}
+
+// Names a pitch class on a given letter ("G" + 8 -> "G#"), or null if it needs more than
+// two accidentals.
+function spellNote(letter, pitchClass) {
+  const offset = (pitchClass - NATURAL_PITCH_CLASSES[letter] + 12) % 12;
+  const accidental = { 0: '', 1: '#', 2: '##', 11: 'b', 10: 'bb' }[offset];
+  return accidental === undefined ? null : NOTE_LETTERS[letter] + accidental;
+}
+
+// Return the note's pitch class (0-11), or -1 if it is not a note name.
 function getNoteIndex(note) {
-  return NOTES.findIndex(n => n.split('/').includes(note));
+  const parsed = parseNoteName(note);
+  return parsed ? parsed.pitchClass : -1;
 }
 
 // Return semitone difference (0..11) from note1 to note2.
@@ -95,35 +190,484 @@ function semitoneDiff(note1, note2) {
   return (i2 - i1 + 12) % 12;
 }
 
+// Splits a key name ("C", "A minor") into its tonic and mode. Bare tonics are major keys.
+function parseKeyName(key) {
+  const [tonic, mode] = String(key).trim().split(/\s+/);
+  return { tonic, mode: mode ? mode.toLowerCase() : 'major' };
+}
+
+// Builds a key name from a tonic and mode; major keys keep the bare tonic and modes are
+// capitalized ("C", "A minor", "D Mixolydian").
+function getKeyName(tonic, mode) {
+  if (mode === 'major') return tonic;
+  if (MODES[mode]) return `${tonic} ${mode[0].toUpperCase()}${mode.slice(1)}`;
+  return `${tonic} ${mode}`;
+}
+
+// Checks whether every chord tone falls in a scale pattern, for a chord whose root lies
+// `offset` semitones above the pattern's tonic.
+function fitsScalePattern(chord, offset, pattern) {
+  return chord.intervals.every(interval => pattern.includes((offset + interval) % 12));
+}
+
+/* Enharmonic Spelling */
+
+// Accidental spellings of white-key pitches, kept out of key names the chords do not use.
+const ENHARMONIC_WHITE_KEYS = ['Cb', 'Fb', 'E#', 'B#'];
+
+// Spells a scale by letter name from its tonic, one letter per degree (E harmonic minor is
+// E F# G A B C D#). Degrees that would need more than two accidentals are null.
+function spellScale(tonic, pattern) {
+  const parsed = parseNoteName(tonic);
+  if (!parsed) return pattern.map(() => null);
+  return pattern.map((interval, degree) =>
+    spellNote((parsed.letter + degree) % 7, (parsed.pitchClass + interval) % 12));
+}
+
+// Scale pattern a key's spelling follows: natural minor for minor keys, the mode's own
+// rotation for modes, and the major scale otherwise.
+function getKeyScalePattern(mode) {
+  if (mode === 'minor') return NATURAL_MINOR_SCALE_PATTERN;
+  return MODE_SCALE_PATTERNS[mode] || MAJOR_SCALE_PATTERN;
+}
+
+// Respells a detected key ("Gb", "Db minor") to match how the chords are written: among the
+// tonic's enharmonic names whose scale needs no double accidentals, the one whose scale holds
+// the most of the written roots and basses wins, and ties keep the detected spelling. A
+// white-key tonic written with an accidental (Cb, Fb, E#, B#) is only used when the chords name it.
+function spellKeyName(key, chords) {
+  const { tonic, mode } = parseKeyName(key);
+  const tonicIndex = getNoteIndex(tonic);
+  if (tonicIndex === -1) return key;
+  const pattern = getKeyScalePattern(mode);
+  const writtenNotes = chords.flatMap(chord => chord.bass ? [chord.root, chord.bass] : [chord.root]);
+
+  let best = { tonic, matches: -1 };
+  NOTE_LETTERS.forEach((_, letter) => {
+    const name = spellNote(letter, tonicIndex);
+    if (!name || name.length > 2) return;
+    if (ENHARMONIC_WHITE_KEYS.includes(name) && name !== tonic && !writtenNotes.includes(name)) return;
+    const scale = spellScale(name, pattern);
+    if (scale.some(note => !note || note.length > 2)) return;
+    const matches = writtenNotes.filter(note => scale.includes(note)).length;
+    if (matches > best.matches || (matches === best.matches && name === tonic)) {
+      best = { tonic: name, matches };
+    }
+  });
+  return getKeyName(best.tonic, mode);
+}
+
+// Conventional tonic spelling for a key with no written chords to match: flats for black-key
+// majors (Db, Gb), key-signature spellings for minors (C# minor, Eb minor) and the parent
+// major's accidentals for modes.
+function getDefaultTonic(pitchClass, mode) {
+  const tonic = NOTES[pitchClass].split('/')[0];
+  if (mode === 'minor') return PREFERRED_MINOR_KEY_SPELLING[tonic] || tonic;
+  if (MODES[mode]) return spellModalTonic(tonic, mode);
+  return PREFERRED_KEY_SPELLING[tonic] || tonic;
+}
+
+// Letters above the root for each chord interval (0-23 semitones), so tones are spelled as
+// the chord degree they represent: 3 and 4 are thirds, 6 is a flat fifth, 8 a sharp fifth,
+// 15 a sharp ninth and 18 a sharp eleventh.
+const CHORD_TONE_LETTER_STEPS = [0, 1, 1, 2, 2, 3, 4, 4, 4, 5, 6, 6, 0, 1, 1, 1, 3, 3, 3, 4, 5, 5, 6, 6];
+
+// Spells a chord's tones by letter from its written root (E major is E G# B, Ebm is Eb Gb Bb).
+// The diminished seventh is a doubly flatted seventh (Bbb in C°7).
+function spellChordTones(root, intervals, isDiminishedSeventh) {
+  const parsed = parseNoteName(root);
+  if (!parsed) return [];
+  return intervals.map(interval => {
+    const steps = interval === 9 && isDiminishedSeventh ? 6 : CHORD_TONE_LETTER_STEPS[interval];
+    const pitchClass = (parsed.pitchClass + interval) % 12;
+    return spellNote((parsed.letter + steps) % 7, pitchClass) ||
+      NOTES[pitchClass].split('/')[0];
+  });
+}
+
+// Roman numeral of a note's scale degree against a key's scale pattern, taking any
+// accidental from the spelling: in C, F# is #IV and Gb is bV. Returns null for notes more
+// than two semitones from their letter's scale degree.
+function getDegreeNumeral(tonic, note, pattern) {
+  const tonicName = parseNoteName(tonic);
+  const noteName = parseNoteName(note);
+  if (!tonicName || !noteName) return null;
+  const degree = (noteName.letter - tonicName.letter + 7) % 7;
+  const offset = (noteName.pitchClass - tonicName.pitchClass - pattern[degree] + 24) % 12;
+  const accidental = { 0: '', 1: '#', 2: '##', 11: 'b', 10: 'bb' }[offset];
+  return accidental === undefined ? null : accidental + ROMAN_NUMERALS.major[degree];
+}
+
 /* Chord Parsing */
 
-// Parses a chord string (e.g., "Cmaj7", "Dm", "G7") into its components.
+// Splits a chord symbol into root, suffix and optional slash bass.
+const CHORD_SYMBOL_PATTERN = /^([A-G](?:bb|##|b|#)?)(.*?)(?:\/([A-G](?:bb|##|b|#)?))?$/;
+
+// Triad-quality tokens that may open a chord suffix, tried in order.
+const TRIAD_TOKENS = [
+  { pattern: /^(?:ø|Ø)/, triad: 'half-diminished' },
+  { pattern: /^(?:dim|°|o(?!mit))/, triad: 'diminished' },
+  { pattern: /^(?:aug|\+)/, triad: 'augmented' },
+  { pattern: /^(?:min|mi|m(?!aj)|-)/, triad: 'minor' }
+];
+
+// Major-seventh marker, optionally parenthesized as in "Cm(maj7)", with an optional extension.
+const MAJOR_SEVENTH_TOKEN = /^(?:\((?:maj|Maj|MA|M|Δ|\^)(7|9|11|13)?\)|(?:maj|Maj|MA|M|Δ|\^)(7|9|11|13)?)/;
+
+// Sixth, seventh or extension number following the triad quality.
+const EXTENSION_TOKEN = /^(6\/9|69|6|7|9|11|13)/;
+
+// Semitones above the root for each natural chord degree.
+const DEGREE_SEMITONES = { 2: 2, 4: 5, 5: 7, 6: 9, 9: 14, 11: 17, 13: 21 };
+
+// Checks whether a list of added or altered tones already holds the same tone.
+function hasTone(tones, tone) {
+  return tones.some(other => other.accidental === tone.accidental && other.degree === tone.degree);
+}
+
+// Parses the part of a chord symbol after the root into a chord specification.
+// Returns null if any part of the suffix is not valid chord-symbol grammar.
+function parseChordSuffix(suffix) {
+  const spec = {
+    triad: 'major',
+    seventh: null,
+    sixth: false,
+    ninthOnSixth: false,
+    extension: null,
+    sus: null,
+    added: [],
+    alterations: [],
+    omitted: [],
+    altered: false
+  };
+  let rest = suffix;
+
+  if (rest === '5') {
+    spec.triad = 'power';
+    return spec;
+  }
+
+  const triadToken = TRIAD_TOKENS.find(token => token.pattern.test(rest));
+  if (triadToken) {
+    spec.triad = triadToken.triad;
+    rest = rest.replace(triadToken.pattern, '');
+  }
+
+  const majorSeventh = rest.match(MAJOR_SEVENTH_TOKEN);
+  if (majorSeventh) {
+    const number = majorSeventh[1] || majorSeventh[2];
+    const marker = majorSeventh[0].replace(/[()\d]/g, '');
+    // A bare "maj" or "M" names a major triad; "Δ" and "^" alone mean maj7.
+    if (number || marker === 'Δ' || marker === '^' || spec.triad !== 'major') {
+      spec.seventh = 'major';
+      if (number && number !== '7') spec.extension = parseInt(number, 10);
+    }
+    rest = rest.slice(majorSeventh[0].length);
+  } else {
+    const extension = rest.match(EXTENSION_TOKEN);
+    if (extension) {
+      const number = extension[1];
+      if (number === '6') {
+        spec.sixth = true;
+      } else if (number === '69' || number === '6/9') {
+        spec.sixth = true;
+        spec.ninthOnSixth = true;
+      } else {
+        spec.seventh = spec.triad === 'diminished' ? 'diminished' : 'minor';
+        if (number !== '7') spec.extension = parseInt(number, 10);
+      }
+      rest = rest.slice(number.length);
+    }
+  }
+
+  // Half-diminished always carries its minor seventh ("Cø" is read as "Cø7").
+  if (spec.triad === 'half-diminished') spec.seventh = 'minor';
+
+  while (rest.length > 0) {
+    let match;
+    if ((match = rest.match(/^[()\s]/))) {
+      // Parentheses and spaces only group modifiers.
+    } else if ((match = rest.match(/^sus([24])?/))) {
+      // A second sus would silently replace the first ("Csus4sus2").
+      if (spec.sus) return null;
+      spec.sus = match[1] ? parseInt(match[1], 10) : 4;
+    } else if ((match = rest.match(/^add([#b]?)(2|4|6|9|11|13)/))) {
+      const added = { accidental: match[1], degree: parseInt(match[2], 10) };
+      if (hasTone(spec.added, added)) return null;
+      spec.added.push(added);
+    } else if ((match = rest.match(/^([#b+-])(5|9|11|13)/))) {
+      const accidental = match[1] === '+' ? '#' : match[1] === '-' ? 'b' : match[1];
+      const alteration = { accidental, degree: parseInt(match[2], 10) };
+      if (hasTone(spec.alterations, alteration)) return null;
+      spec.alterations.push(alteration);
+    } else if ((match = rest.match(/^alt/))) {
+      if (spec.altered) return null;
+      spec.altered = true;
+      if (!spec.seventh) spec.seventh = 'minor';
+    } else if ((match = rest.match(/^(?:no|omit)(3|5)/))) {
+      const degree = parseInt(match[1], 10);
+      if (spec.omitted.includes(degree)) return null;
+      spec.omitted.push(degree);
+    } else {
+      return null;
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  return spec;
+}
+
+// Turns a chord specification into the sorted set of semitone intervals above the root.
+function buildChordIntervals(spec) {
+  const tones = new Set([0]);
+  const isMinorThird = ['minor', 'diminished', 'half-diminished'].includes(spec.triad);
+
+  if (spec.triad !== 'power') {
+    tones.add(spec.sus ? DEGREE_SEMITONES[spec.sus] : (isMinorThird ? 3 : 4));
+  }
+  if (spec.triad === 'diminished' || spec.triad === 'half-diminished') {
+    tones.add(6);
+  } else if (spec.triad === 'augmented') {
+    tones.add(8);
+  } else {
+    tones.add(7);
+  }
+
+  if (spec.seventh === 'major') tones.add(11);
+  if (spec.seventh === 'minor') tones.add(10);
+  if (spec.seventh === 'diminished') tones.add(9);
+  if (spec.sixth) tones.add(9);
+  if (spec.ninthOnSixth) tones.add(14);
+
+  if (spec.extension >= 9) tones.add(14);
+  if (spec.extension === 11 || (spec.extension === 13 && isMinorThird)) tones.add(17);
+  if (spec.extension === 13) tones.add(21);
+
+  spec.added.forEach(({ accidental, degree }) => {
+    tones.add(DEGREE_SEMITONES[degree] + (accidental === '#' ? 1 : accidental === 'b' ? -1 : 0));
+  });
+
+  const alterations = spec.altered
+    ? [{ accidental: 'b', degree: 9 }, { accidental: '#', degree: 9 },
+       { accidental: '#', degree: 11 }, { accidental: 'b', degree: 13 }]
+    : spec.alterations;
+  if (spec.altered) tones.delete(7);
+  alterations.forEach(({ accidental, degree }) => {
+    // An altered tone replaces its natural counterpart.
+    tones.delete(DEGREE_SEMITONES[degree]);
+    tones.add(DEGREE_SEMITONES[degree] + (accidental === '#' ? 1 : -1));
+  });
+
+  if (spec.omitted.includes(3)) [2, 3, 4, 5].forEach(t => tones.delete(t));
+  if (spec.omitted.includes(5)) [6, 7, 8].forEach(t => tones.delete(t));
+
+  return [...tones].sort((a, b) => a - b);
+}
+
+// Names the chord quality from its actual chord tones.
+function getChordQuality(intervals, spec) {
+  const has = interval => intervals.includes(interval);
+  if (has(3) && has(6)) return has(10) ? 'half-diminished' : 'diminished';
+  if (has(4) && has(8) && !has(7)) return 'augmented';
+  if (has(3)) return 'minor';
+  if (has(4)) return 'major';
+  if (spec.sus) return 'suspended';
+  return 'power';
+}
+
+// Returns the inversion implied by the bass (0 = root position ... 3 = third inversion), or
+// null when the bass is not the chord's root, third, fifth or seventh.
+function getInversion(intervals, bassInterval, spec) {
+  if (bassInterval === null || bassInterval === 0) return 0;
+  if (!intervals.includes(bassInterval)) return null;
+  const thirdTones = spec.sus ? [DEGREE_SEMITONES[spec.sus]] : [3, 4];
+  const seventhTones = spec.seventh === 'diminished' ? [9] : spec.seventh ? [10, 11] : [];
+  if (thirdTones.includes(bassInterval)) return 1;
+  if ([6, 7, 8].includes(bassInterval)) return 2;
+  if (seventhTones.includes(bassInterval)) return 3;
+  return null;
+}
+
+// Parses a lead-sheet chord symbol (e.g., "Cmaj9", "F#m7b5", "Bb7#9/D") into its root,
+// bass note and interval set. Returns null for symbols that do not follow the grammar.
 function parseChord(chordStr) {
   if (!chordStr || typeof chordStr !== 'string') return null;
   const chord = chordStr.trim();
-  const match = chord.match(/^([A-G][b#]?)([^\/]*)(?:\/([A-G][b#]?))?$/);
+  const match = chord.match(CHORD_SYMBOL_PATTERN);
   if (!match) return null;
-  const [_, root, quality, bass] = match;
-  // Determine chord quality flags.
-  const isMinor = quality.includes('m') && !quality.includes('maj');
-  const isDiminished = quality.includes('dim') || quality.includes('°');
-  const isAugmented = quality.includes('aug') || quality.includes('+');
-  const isSeventh = quality.includes('7');
-  const isMajorSeventh = quality.includes('maj7') || quality.includes('M7');
+  const [_, root, suffix, bass] = match;
+  const spec = parseChordSuffix(suffix);
+  if (!spec) return null;
+
+  // A bass a seventh above the root of a plain triad implies that seventh ("G/F" is G7/F).
+  const bassInterval = bass ? semitoneDiff(root, bass) : null;
+  if (!spec.seventh && !spec.sixth && (bassInterval === 10 || bassInterval === 11)) {
+    spec.seventh = bassInterval === 11 ? 'major' : 'minor';
+  }
+
+  const intervals = buildChordIntervals(spec);
+  const pitchClasses = intervals.map(interval => interval % 12);
+  const quality = getChordQuality(intervals, spec);
+  const isSeventh = spec.seventh !== null;
   return {
     root,
-    isMinor,
-    isDiminished,
-    isAugmented,
+    bass: bass || null,
+    inversion: getInversion(intervals, bassInterval, spec),
+    bassIsChordTone: bassInterval === null || pitchClasses.includes(bassInterval),
+    intervals,
+    quality,
+    isMajor: ['major', 'suspended', 'power'].includes(quality),
+    isMinor: quality === 'minor',
+    isDiminished: quality === 'diminished' || quality === 'half-diminished',
+    isHalfDiminished: quality === 'half-diminished',
+    isAugmented: quality === 'augmented',
+    isSuspended: quality === 'suspended',
+    isPowerChord: quality === 'power',
     isSeventh,
-    isMajorSeventh,
-    quality: isMinor ? 'minor' :
-             isDiminished ? 'diminished' :
-             isAugmented ? 'augmented' : 'major',
+    isMajorSeventh: spec.seventh === 'major',
+    isDiminishedSeventh: spec.seventh === 'diminished',
+    isSixth: spec.sixth && !isSeventh,
+    extensions: intervals.filter(interval => interval > 12),
+    tones: spellChordTones(root, intervals, spec.seventh === 'diminished'),
+    suffix,
     chord
   };
 }
 
+/* Chord Identification */
+
+// Chord suffixes identifyChord can name, in order of preference when two readings fit equally.
+// Each becomes a template of pitch classes above the root, taken from parseChord so every name
+// it returns reads back as the same chord, with the tensions (9ths, 11ths, 13ths) noted apart;
+// suffixes that repeat an earlier set are dropped.
+const IDENTIFY_CHORD_SUFFIXES = [
+  '', 'm', '7', 'maj7', 'm7', 'dim', 'aug', 'sus4', 'sus2', 'm7b5', 'dim7', '6', 'm6', '7sus4',
+  'mMaj7', 'add9', 'madd9', '9', 'maj9', 'm9', '7b9', '7#9', '7b5', '7#5', 'maj7#5', '6/9', 'm6/9',
+  '9sus4', '11', 'm11', '7#11', 'maj7#11', '9#11', '7b13', '13', 'm13', 'maj13', 'add11', '5'
+];
+
+const CHORD_TEMPLATES = IDENTIFY_CHORD_SUFFIXES
+  .map(suffix => {
+    const intervals = parseChord('C' + suffix).intervals;
+    return {
+      suffix,
+      pitchClasses: [...new Set(intervals.map(interval => interval % 12))],
+      tensions: intervals.filter(interval => interval > 12).map(interval => interval % 12)
+    };
+  })
+  .filter((template, index, templates) => templates.findIndex(other =>
+    other.pitchClasses.length === template.pitchClasses.length &&
+    other.pitchClasses.every(pitchClass => template.pitchClasses.includes(pitchClass))) === index);
+
+// A note for identifyChord: a name with an optional octave ("Bb", "F#3") or a MIDI number.
+const IDENTIFY_NOTE_PATTERN = /^([A-Ga-g](?:bb|##|b|#)?)(-?\d+)?$/;
+
+// Scoring for identifyChord readings. Simpler templates rank first, the lowest note as root
+// outweighs any template preference, and every tone left out of the chord costs a little more
+// when it is the root.
+const IDENTIFY_SCORES = { templateStep: 0.5, rootInBass: 20, omittedTone: 3, rootless: 12 };
+
+// Reads identifyChord's notes into names and, when every note has an octave, MIDI pitches.
+// MIDI numbers are spelled with the conventional accidentals (Bb, F#). Throws on anything
+// that is not a note.
+function readIdentifyNotes(notes) {
+  const tokens = typeof notes === 'string'
+    ? notes.split(/[\s,]+/).filter(Boolean)
+    : Array.from(notes || []);
+  return tokens.map(token => {
+    if (typeof token === 'number' && Number.isInteger(token)) {
+      const pitchClass = ((token % 12) + 12) % 12;
+      return { name: getDefaultTonic(pitchClass, 'major'), pitch: token, pitchClass };
+    }
+    const match = String(token).trim().match(IDENTIFY_NOTE_PATTERN);
+    if (!match) throw new Error(`Not a note: ${token}`);
+    const name = match[1][0].toUpperCase() + match[1].slice(1);
+    const parsed = parseNoteName(name);
+    const pitch = match[2] === undefined ? null
+      : (Number(match[2]) + 1) * 12 + NATURAL_PITCH_CLASSES[parsed.letter] + ACCIDENTAL_OFFSETS[name.slice(1)];
+    return { name, pitch, pitchClass: parsed.pitchClass };
+  });
+}
+
+// Names a root the chord's notes don't include from the letter of one of them ("E" a major
+// third above C), falling back to the conventional spelling.
+function spellAbsentRoot(rootPitchClass, note) {
+  const parsed = parseNoteName(note.name);
+  const interval = (note.pitchClass - rootPitchClass + 12) % 12;
+  return spellNote((parsed.letter - CHORD_TONE_LETTER_STEPS[interval] + 7) % 7, rootPitchClass) ||
+    getDefaultTonic(rootPitchClass, 'major');
+}
+
+// Names the chord formed by a set of notes, given as a string ("E G C", "Bb3 D4 F4 Ab4") or an
+// array of names or MIDI numbers. The bass is the lowest note when every note has an octave,
+// and otherwise the first one. Returns every chord symbol that accounts for all the notes, best
+// first, as { chord, root, bass, inversion, quality, rootless, omitted }: inversions get a slash
+// bass ("C/E"), `omitted` lists chord tones that were left out (an unplayed fifth, or the root of
+// a rootless voicing) and equally good readings of the same notes follow each other (C6, then
+// Am7/C). Every `chord` is valid analyzeChords input. Throws on notes it can't read.
+function identifyChord(notes) {
+  const read = readIdentifyNotes(notes);
+  if (read.length === 0) return [];
+  const bassNote = read.every(note => note.pitch !== null)
+    ? read.reduce((lowest, note) => (note.pitch < lowest.pitch ? note : lowest))
+    : read[0];
+  const names = {};
+  read.forEach(note => { if (!(note.pitchClass in names)) names[note.pitchClass] = note.name; });
+  const played = Object.keys(names).map(Number);
+  if (played.length < 2) return [];
+
+  const readings = [];
+  for (let root = 0; root < 12; root++) {
+    const intervals = played.map(pitchClass => (pitchClass - root + 12) % 12);
+    CHORD_TEMPLATES.forEach((template, rank) => {
+      if (!intervals.every(interval => template.pitchClasses.includes(interval))) return;
+      const missing = template.pitchClasses.filter(interval => !intervals.includes(interval));
+      const rootless = missing.includes(0);
+      const has = interval => template.pitchClasses.includes(interval);
+      const omittable = [7].concat(has(9) && (has(2) || has(5)) && has(10) ? [2, 5] : has(5) && has(2) ? [2] : [],
+        rootless ? [0] : []);
+      if (!missing.every(interval => omittable.includes(interval))) return;
+      // A rootless voicing is a seventh chord's third and seventh with a tension, or the top of
+      // a dominant seventh (B D F for G7).
+      if (rootless && (played.length < 3 || !intervals.some(interval => interval === 3 || interval === 4) ||
+        !intervals.some(interval => interval === 10 || interval === 11) ||
+        !(template.suffix === '7' || template.tensions.some(interval => intervals.includes(interval))))) return;
+
+      const rootName = names[root] || spellAbsentRoot(root, read[0]);
+      const chord = rootName + template.suffix + (bassNote.pitchClass === root ? '' : '/' + bassNote.name);
+      const parsed = parseChord(chord);
+      if (!parsed) return;
+      readings.push({
+        chord,
+        root: rootName,
+        bass: parsed.bass,
+        inversion: parsed.inversion,
+        quality: parsed.quality,
+        rootless,
+        omitted: parsed.tones.filter((tone, index) => missing.includes(parsed.intervals[index] % 12)),
+        score: -rank * IDENTIFY_SCORES.templateStep - missing.length * IDENTIFY_SCORES.omittedTone -
+          (rootless ? IDENTIFY_SCORES.rootless : 0) + (bassNote.pitchClass === root ? IDENTIFY_SCORES.rootInBass : 0)
+      });
+    });
+  }
+  return readings
+    .sort((a, b) => b.score - a.score)
+    .map(({ score, ...reading }) => reading);
+}
+
+// Names of the inversions identifyChord reports, by number.
+const INVERSION_NAMES = ['root position', 'first inversion', 'second inversion', 'third inversion'];
+
+// Describes how an identifyChord reading takes the notes: its inversion (or the bass it sits
+// over), and whether it is rootless or leaves tones out ("first inversion, without G").
+function describeReading(reading) {
+  const parts = [reading.inversion === null ? 'over ' + reading.bass : INVERSION_NAMES[reading.inversion]];
+  if (reading.rootless) parts.push('rootless');
+  const omitted = reading.omitted.filter(tone => !reading.rootless || tone !== reading.root);
+  if (omitted.length > 0) parts.push('without ' + omitted.join(', '));
+  return parts.join(', ');
+}
+
 // Check if a key would result in bii*, bIII*, bv* analysis, VI* with borrowed chords, or bVII* with v*
 function keyHasInvalidBorrowedChords(chords, key) {
   const scale = majorScales[key];
@@ -147,36 +691,36 @@ function keyHasInvalidBorrowedChords(chords, key) {
   // Check if any chord would be analyzed as bii*
   const hasbiimm = chords.some(chord => {
     const rootIndex = getPositionInScale(chord.root, [bii]);
-    return rootIndex === 0 && chord.isMinor && !chord.isDiminished && !chord.isAugmented;
+    return rootIndex === 0 && chord.isMinor;
   });
 
   // Check if any chord would be analyzed as bv*
   const hasbvmm = chords.some(chord => {
     const rootIndex = getPositionInScale(chord.root, [bv]);
-    return rootIndex === 0 && chord.isMinor && !chord.isDiminished && !chord.isAugmented;
+    return rootIndex === 0 && chord.isMinor;
   });
 
   // Check if any chord would be analyzed as v* (non-diatonic minor dominant)
   const hasv_star = chords.some(chord => {
     const rootIndex = getPositionInScale(chord.root, scale);
-    return rootIndex === 4 && chord.isMinor && !chord.isDiminished && !chord.isAugmented;
+    return rootIndex === 4 && chord.isMinor;
   });
 
   // Check if we have both a major VI* and borrowed bVI* or bVII* in the same progression
   // This is an unlikely combination and suggests we're in the wrong key
   const hasVI_star = chords.some(chord => {
     const rootIndex = getPositionInScale(chord.root, scale);
-    return rootIndex === 5 && !chord.isMinor && !chord.isDiminished && !chord.isAugmented;
+    return rootIndex === 5 && chord.isMajor;
   });
 
   const hasbVI_star = chords.some(chord => {
     const rootIndex = getPositionInScale(chord.root, [bVI]);
-    return rootIndex === 0 && !chord.isMinor && !chord.isDiminished && !chord.isAugmented;
+    return rootIndex === 0 && chord.isMajor;
   });
 
   const hasbVII_star = chords.some(chord => {
     const rootIndex = getPositionInScale(chord.root, [bVII]);
-    return rootIndex === 0 && !chord.isMinor && !chord.isDiminished && !chord.isAugmented;
+    return rootIndex === 0 && chord.isMajor;
   });
 
   // Check for invalid combinations:
@@ -198,7 +742,7 @@ function getRotationCandidate(chords) {
   const candidateCounts = {};
   for (let i = 0; i < chords.length; i++) {
     const A = chords[i];
-    if (A.isMinor) continue;
+    if (!A.isMajor) continue;
     for (let j = 0; j < chords.length; j++) {
       if (i === j) continue;
       const B = chords[j];
@@ -232,7 +776,7 @@ function getRotationCandidate(chords) {
 function detectIVVPattern(chords) {
   // Get only major chords
   const majorChords = chords.filter(chord =>
-    !chord.isMinor && !chord.isDiminished && !chord.isAugmented
+    chord.isMajor
   );
 
   // Need at least 2 major chords
@@ -271,97 +815,6 @@ function detectIVVPattern(chords) {
   return null;
 }
 
-// Enhanced detection of VI* pattern to work with all keys, properly handling enharmonic equivalents
-function detectVIPattern(chords) {
-  // Get only the major chords
-  const majorChords = chords.filter(chord =>
-    !chord.isMinor && !chord.isDiminished && !chord.isAugmented
-  );
-
-  // Need at least 2 major chords for this pattern
-  if (majorChords.length < 2) return null;
-
-  // Special case patterns - explicit checks for common VI* patterns
-  // These are useful fallbacks and help with debugging
-
-  // Special case for F, Ab, Db - should be VI*, I, IV in Ab
-  const hasF = majorChords.some(chord => getPositionInScale(chord.root, ['F']) === 0);
-  const hasAb = majorChords.some(chord => getPositionInScale(chord.root, ['Ab']) === 0);
-  const hasDb = majorChords.some(chord => getPositionInScale(chord.root, ['Db']) === 0);
-
-  if (hasF && hasAb && hasDb) {
-    return 'Ab';
-  }
-
-  // Special case for D, F, Bb - should be VI*, I, IV in F
-  const hasD = majorChords.some(chord => getPositionInScale(chord.root, ['D']) === 0);
-  const hasBb = majorChords.some(chord => getPositionInScale(chord.root, ['Bb']) === 0);
-
-  if (hasD && hasF && hasBb) {
-    return 'F';
-  }
-
-  // Special case for A, C, F - should be VI*, I, IV in C
-  const hasA = majorChords.some(chord => getPositionInScale(chord.root, ['A']) === 0);
-  const hasC = majorChords.some(chord => getPositionInScale(chord.root, ['C']) === 0);
-
-  if (hasA && hasC && hasF) {
-    return 'C';
-  }
-
-  // Special case for C, Eb, Ab - should be VI*, I, IV in Eb
-  const hasEb = majorChords.some(chord => getPositionInScale(chord.root, ['Eb']) === 0);
-
-  if (hasC && hasEb && hasAb) {
-    return 'Eb';
-  }
-
-  // Special case for G, Bb, Eb - should be VI*, I, IV in Bb
-  const hasG = majorChords.some(chord => getPositionInScale(chord.root, ['G']) === 0);
-
-  if (hasG && hasBb && hasEb) {
-    return 'Bb';
-  }
-
-  // Special case for E, G, C - should be VI*, I, IV in G
-  const hasE = majorChords.some(chord => getPositionInScale(chord.root, ['E']) === 0);
-
-  if (hasE && hasG && hasC) {
-    return 'G';
-  }
-
-  // Check every possible key using proper enharmonic handling
-  for (const keyName in majorScales) {
-    const scale = majorScales[keyName];
-
-    // Skip keys that would lead to invalid chord analyses
-    if (keyHasInvalidBorrowedChords(chords, keyName)) continue;
-
-    // Check if we have a major chord on the 6th scale degree (which would be VI*)
-    // Using getPositionInScale for proper enharmonic handling
-    const hasMajorSixth = majorChords.some(chord => getPositionInScale(chord.root, scale) === 5);
-
-    if (hasMajorSixth) {
-      // Check if we have I and/or IV from this key, which would strongly support this key choice
-      const hasOne = majorChords.some(chord => getPositionInScale(chord.root, scale) === 0);
-      const hasFour = majorChords.some(chord => getPositionInScale(chord.root, scale) === 3);
-      const hasFive = majorChords.some(chord => getPositionInScale(chord.root, scale) === 4);
-
-      // If we have the tonic and either subdominant or dominant, this is likely the key
-      if (hasOne && (hasFour || hasFive)) {
-        return PREFERRED_KEY_SPELLING[keyName] || keyName;
-      }
-
-      // If we have VI* and both IV and V, this is also likely the key
-      if (hasFour && hasFive) {
-        return PREFERRED_KEY_SPELLING[keyName] || keyName;
-      }
-    }
-  }
-
-  return null;
-}
-
 /* getScaleDegree: returns the note that is 'semitones' above the given root.
    Uses an order-insensitive lookup over our NOTES groups.
 */
@@ -385,282 +838,1046 @@ function getScaleDegree(root, semitones, scale) {
   return resultNote;
 }
 
-/* Key Detection */
+/* Key Patterns */
+
+// Progression shapes that point to a key, each written once as Roman numerals relative to the
+// key's tonic so it matches in all 12 keys. Numerals count degrees of the pattern's own scale, as
+// the analysis writes them (VII is the subtonic in minor). Upper case is a major chord, lower
+// case minor, ° (or o) diminished and + augmented; b and # lower or raise the degree. A pattern
+// matches a candidate key of its `mode` (default major) when every numeral has a chord in the
+// progression. Add more with the `patterns` option of analyzeChords (see loadKeyPatterns).
+const KEY_PATTERNS = [
+  // A major chord on the submediant with the tonic and subdominant, as in "A, C, F" (labelled
+  // V/ii, I, IV in C).
+  { id: 'submediantTonicSubdominant', name: 'VI*-I-IV', numerals: ['VI', 'I', 'IV'] },
+  { id: 'submediantTonicDominant', name: 'VI*-I-V', numerals: ['VI', 'I', 'V'] },
+  { id: 'submediantSubdominantDominant', name: 'VI*-IV-V', numerals: ['VI', 'IV', 'V'] }
+];
+
+const PATTERN_NUMERAL = /^(b|#)?(VII|VI|V|IV|III|II|I)(°|o|\+)?$/i;
+const PATTERN_MODES = ['major', 'minor'].concat(Object.keys(MODES));
+
+// Turns one pattern numeral ("bVII", "vi", "vii°") into the semitones above the tonic of a
+// scale with this pattern and the chord quality it asks for, or null when it is not a numeral.
+function parsePatternNumeral(numeral, scalePattern) {
+  const match = String(numeral).trim().match(PATTERN_NUMERAL);
+  if (!match) return null;
+  const [, accidental, roman, suffix] = match;
+  const degree = ROMAN_NUMERALS.major.indexOf(roman.toUpperCase());
+  const offset = scalePattern[degree] + (accidental === 'b' ? -1 : accidental === '#' ? 1 : 0);
+  const quality = suffix === '+' ? 'augmented'
+    : suffix ? 'diminished'
+      : roman === roman.toUpperCase() ? 'major' : 'minor';
+  return { offset: (offset + 12) % 12, quality };
+}
 
-// This function now computes a unified score that includes both diatonic scoring
-// and pattern-based bonuses before determining the best key
-function detectKey(chords) {
-  if (!chords || chords.length === 0) return null;
+// Checks a pattern definition and resolves its numerals. `numerals` may be an array or a
+// comma-separated string; throws an Error naming the pattern when something is wrong.
+function compileKeyPattern(pattern, index) {
+  if (!pattern || typeof pattern !== 'object') {
+    throw new Error(`Key pattern ${index + 1} must be an object`);
+  }
+  const id = pattern.id || pattern.name || `pattern${index + 1}`;
+  const numerals = typeof pattern.numerals === 'string'
+    ? pattern.numerals.split(',').map(numeral => numeral.trim()).filter(Boolean)
+    : pattern.numerals;
+  if (!Array.isArray(numerals) || numerals.length === 0) {
+    throw new Error(`Key pattern "${id}" needs a list of numerals`);
+  }
+  const mode = String(pattern.mode || 'major').toLowerCase();
+  if (!PATTERN_MODES.includes(mode)) {
+    throw new Error(`Key pattern "${id}" has an unknown mode: ${pattern.mode}`);
+  }
+  const chords = numerals.map(numeral => {
+    const parsed = parsePatternNumeral(numeral, getKeyScalePattern(mode));
+    if (!parsed) throw new Error(`Key pattern "${id}" has an unknown numeral: ${numeral}`);
+    return parsed;
+  });
+  return { id, name: pattern.name || numerals.join('-'), mode, numerals, chords };
+}
 
-  // Calculate base diatonic scores for all candidate keys
-  const candidateScores = {};
-  for (const candidate in majorScales) {
-    candidateScores[candidate] = 0;
+// Reads user patterns from the text of a JSON file (or already-parsed JSON): an array of
+// { id, name, numerals, mode } objects, or an object with such an array under "patterns".
+// Returns the checked patterns, ready for analyzeChords(input, { patterns }).
+function loadKeyPatterns(source) {
+  const data = typeof source === 'string' ? JSON.parse(source) : source;
+  const patterns = Array.isArray(data) ? data : data && data.patterns;
+  if (!Array.isArray(patterns)) {
+    throw new Error('Key patterns must be a JSON array or an object with a "patterns" array');
   }
+  return patterns.map(compileKeyPattern);
+}
 
-  // Compute base diatonic score for each candidate
-  for (const candidate in majorScales) {
-    // Skip keys that would lead to invalid chord analyses
-    if (keyHasInvalidBorrowedChords(chords, candidate)) {
-      candidateScores[candidate] = -1000; // Huge penalty
-      continue;
-    }
+// The built-in patterns followed by any `options.patterns`.
+function resolveKeyPatterns(options = {}) {
+  return KEY_PATTERNS.concat(options.patterns || []).map(compileKeyPattern);
+}
 
-    const scale = majorScales[candidate];
-    let score = 0;
+function hasPatternQuality(chord, quality) {
+  if (quality === 'major') return chord.isMajor;
+  if (quality === 'minor') return chord.isMinor;
+  if (quality === 'diminished') return chord.isDiminished;
+  return chord.isAugmented;
+}
 
-    // Base diatonic score: +2 for each chord that is diatonic with the expected quality.
-    chords.forEach(chord => {
-      const pos = getPositionInScale(chord.root, scale);
-      if (pos !== -1 && isDiatonicQuality(chord, pos)) {
-        score += 2;
-      }
-    });
+// Lists the patterns that match the progression in the key with this tonic and mode.
+// Roots are compared by pitch class, so enharmonic spellings match.
+function findKeyPatterns(chords, tonic, mode, patterns) {
+  const tonicIndex = getNoteIndex(tonic);
+  if (tonicIndex === -1) return [];
+  return patterns.filter(pattern => pattern.mode === mode && pattern.chords.every(({ offset, quality }) =>
+    chords.some(chord => (getNoteIndex(chord.root) - tonicIndex + 12) % 12 === offset &&
+      hasPatternQuality(chord, quality))));
+}
 
-    // Bonus: if the tonic (scale degree 0) is present (as a major chord), add +1.
-    if (chords.some(chord => getPositionInScale(chord.root, scale) === 0 && !chord.isMinor)) {
-      score += 1;
-    }
+// Key patterns found in each key region, matched against that region's chords in its own
+// key, so a modulation's new key isn't read as chromatic chords of the first one. Each entry
+// is { id, name, numerals, key, region } with the region's index.
+function findRegionPatterns(chords, regions, patterns) {
+  return regions.flatMap((region, index) => {
+    const { tonic, mode } = parseKeyName(region.key);
+    return findKeyPatterns(chords.slice(region.start, region.end), tonic, mode, patterns)
+      .map(({ id, name, numerals }) => ({ id, name, numerals, key: region.key, region: index }));
+  });
+}
 
-    // Bonus for subdominant (scale degree 3 or IV), add +1
-    if (chords.some(chord => getPositionInScale(chord.root, scale) === 3 && !chord.isMinor)) {
-      score += 1;
-    }
+/* Cadences */
+
+// Display names for the cadence types getCadence recognizes.
+const CADENCE_LABELS = {
+  perfectAuthentic: 'Perfect authentic cadence',
+  imperfectAuthentic: 'Imperfect authentic cadence',
+  plagal: 'Plagal cadence',
+  deceptive: 'Deceptive cadence',
+  backdoor: 'Backdoor cadence',
+  half: 'Half cadence',
+  phrygianHalf: 'Phrygian half cadence'
+};
 
-    // Bonus for dominant (scale degree 4 or V), add +1
-    if (chords.some(chord => getPositionInScale(chord.root, scale) === 4 && !chord.isMinor)) {
-      score += 1;
+// Names the cadence formed by moving from one chord to the next in a major or minor key, or
+// returns null (modal keys have none):
+//   authentic     V (not Vmaj7) or vii° to I; perfect when V and I are both in root position
+//   plagal        IV or iv to I
+//   backdoor      bVII7 to I, or iv-bVII to I (major keys)
+//   deceptive     V to vi or bVI (VI in minor)
+//   half          a phrase ending on V; Phrygian when it comes from iv6
+// Half cadences are only recognized on the last pair (`isLast`), where the phrase ends, and
+// `before` is the chord preceding `from`, if any.
+function getCadence(from, to, tonic, mode, isLast, before = null) {
+  if (mode !== 'major' && mode !== 'minor') return null;
+  const tonicIndex = getNoteIndex(tonic);
+  if (tonicIndex === -1) return null;
+  const offsetOf = chord => (getNoteIndex(chord.root) - tonicIndex + 12) % 12;
+  const isDominant = chord => offsetOf(chord) === 7 && chord.isMajor && !chord.isMajorSeventh;
+  const source = offsetOf(from);
+  const target = offsetOf(to);
+
+  if (target === 0 && (mode === 'major' ? to.isMajor : to.isMinor)) {
+    if (isDominant(from)) {
+      return from.inversion === 0 && to.inversion === 0 ? 'perfectAuthentic' : 'imperfectAuthentic';
     }
-
-    // Borrowed mediant bonus:
-    // In a major scale, the expected mediant (scale[2]) should be minor.
-    // If a major chord appears on that degree, add bonus +3.
-    if (scale[2]) {
-      const mediantChord = chords.find(chord =>
-        getPositionInScale(chord.root, scale) === 2 && !chord.isMinor);
-      if (mediantChord) score += 3;
+    if (source === 11 && from.isDiminished) return 'imperfectAuthentic';
+    if (source === 5 && (from.isMajor || from.isMinor)) return 'plagal';
+    if (source === 10 && from.isMajor && mode === 'major') {
+      const isDominantSeventh = from.isSeventh && !from.isMajorSeventh;
+      const fromSubdominant = before !== null && offsetOf(before) === 5 && before.isMinor;
+      return isDominantSeventh || fromSubdominant ? 'backdoor' : null;
     }
+    return null;
+  }
+  if (isDominant(from)) {
+    const toSubmediant = mode === 'major'
+      ? (target === 9 && to.isMinor) || (target === 8 && to.isMajor)
+      : target === 8 && to.isMajor;
+    return toSubmediant ? 'deceptive' : null;
+  }
+  if (isLast && isDominant(to)) {
+    return source === 5 && from.isMinor && from.inversion === 1 ? 'phrygianHalf' : 'half';
+  }
+  return null;
+}
 
-    // Check for VI* pattern (major chord on scale degree 5 which should be minor)
-    if (scale[5]) {
-      const submediandChord = chords.find(chord =>
-        getPositionInScale(chord.root, scale) === 5 && !chord.isMinor);
-      if (submediandChord) score += 2; // Bonus for VI*
-    }
+// Whether the chord at `index` ends the phrase, for half cadences: it is the last chord, and
+// not a return to the opening chord, which frames the progression as its tonic instead.
+function isPhraseEnd(chords, index) {
+  const first = chords[0];
+  const chord = chords[index];
+  const returnsToOpening = index > 0 && getNoteIndex(chord.root) === getNoteIndex(first.root) &&
+    chord.quality === first.quality;
+  return index === chords.length - 1 && !returnsToOpening;
+}
 
-    // Check for borrowed chords from the parallel minor
-    // Get what would be the flattened sixth and seventh
-    const flatSixth = getScaleDegree(scale[0], 8);
-    const flatSeventh = getScaleDegree(scale[0], 10);
+// Lists the cadences between consecutive chords in one key as { index, type }, where `index`
+// is the chord the cadence arrives on.
+function findCadences(chords, tonic, mode) {
+  const cadences = [];
+  for (let index = 1; index < chords.length; index++) {
+    const type = getCadence(chords[index - 1], chords[index], tonic, mode,
+      isPhraseEnd(chords, index), chords[index - 2] || null);
+    if (type) cadences.push({ index, type });
+  }
+  return cadences;
+}
 
-    // Check if we have bVI or bVII chords
-    const hasBorrowedVI = chords.some(chord =>
-      getPositionInScale(chord.root, [flatSixth]) === 0 && !chord.isMinor);
-    const hasBorrowedVII = chords.some(chord =>
-      getPositionInScale(chord.root, [flatSeventh]) === 0 && !chord.isMinor);
+/* Key Detection */
 
-    // If we have I, vi and either bVI or bVII, give a high bonus
-    const hasI = chords.some(chord =>
-      getPositionInScale(chord.root, scale) === 0 && !chord.isMinor);
-    const hasvi = chords.some(chord =>
-      getPositionInScale(chord.root, scale) === 5 && chord.isMinor);
+// Number of ranked key candidates returned by analyzeChords.
+const KEY_CANDIDATE_LIMIT = 8;
+
+// Softmax temperature used to turn candidate scores into confidences, in standard deviations
+// of the valid candidates' scores, so confidences follow how far a key stands out from the
+// rest rather than the size of the point totals (which grow with the progression).
+const KEY_CONFIDENCE_TEMPERATURE = 1;
+
+// Minimum number of IV-vi pairs before the strongest rotation candidate earns its bonus.
+const ROTATION_MARGIN_THRESHOLD = 2;
+
+// Points for each key-detection rule in KEY_RULES, by rule id. Counting rules (diatonic chords,
+// rotation pairs) earn their weight once per match. Override any of them with
+// analyzeChords(input, { weights }); a weight of 0 turns the rule off.
+const WEIGHTS = {
+  // Major keys
+  invalidBorrowedChords: -1000,
+  diatonicChords: 2,
+  tonicPresent: 1,
+  subdominantPresent: 1,
+  dominantPresent: 1,
+  borrowedMediant: 3,
+  majorSubmediant: 2,
+  borrowedWithTonicAndSubmediant: 4,
+  keyPattern: 10,
+  ivvPattern: 8,
+  ivvPatternWithoutTonic: 4,
+  rotationCandidate: 2,
+  strongestRotation: 2,
+  viIIVPattern: 12,
+  majorSubmediantWithoutTonic: 10,
+  // Minor keys
+  minorDiatonicChords: 2,
+  minorTonicPresent: 1,
+  minorSubdominantPresent: 1,
+  minorDominantPresent: 1,
+  harmonicMinorDominant: 12,
+  // Major and minor keys, by chord order
+  perfectAuthenticCadence: 3,
+  imperfectAuthenticCadence: 2,
+  plagalCadence: 1,
+  halfCadence: 2,
+  phrygianHalfCadence: 3,
+  deceptiveCadence: 1,
+  backdoorCadence: 2,
+  startsOnTonic: 1,
+  endsOnTonic: 2,
+  framedByTonic: 4,
+  // Modes
+  modalDiatonicChords: 2,
+  modalTonicPresent: 1,
+  modalCharacteristicChord: 4,
+  opensOnModalTonic: 6,
+  closesOnModalTonic: 6
+};
 
-    if (hasI && hasvi && (hasBorrowedVI || hasBorrowedVII)) {
-      score += 4; // Higher bonus for this common pattern
+// Collects the points each scoring rule awards to one key candidate.
+function createScoreSheet() {
+  const rules = [];
+  return {
+    rules,
+    award(rule, points, id) {
+      if (points !== 0) rules.push(id ? { rule, id, points } : { rule, points });
+    },
+    total() {
+      return rules.reduce((sum, entry) => sum + entry.points, 0);
     }
+  };
+}
 
-    candidateScores[candidate] = score;
-  }
+// Caches values computed by the rules, so work shared by several rules (or, for the
+// progression-wide patterns, by every candidate) runs once.
+function createMemo() {
+  const values = new Map();
+  return (name, compute) => {
+    if (!values.has(name)) values.set(name, compute());
+    return values.get(name);
+  };
+}
 
-  // Check for VI* pattern first - gives high probability for specific patterns
-  const viPattern = detectVIPattern(chords);
-  if (viPattern) {
-    // Increase score for this candidate but don't immediately return
-    candidateScores[viPattern] += 10; // Strong bonus
-  }
+const MODE_NAMES = Object.keys(MODES);
+
+// Candidate helpers shared by the rules. `degreeOf` is the major-scale position (0-6) of a
+// chord's root, and `offsetOf` its distance in semitones above the tonic.
+const hasMajorChordOn = (candidate, degree) =>
+  candidate.chords.some(chord => candidate.degreeOf(chord) === degree && chord.isMajor);
+const hasMinorChordOn = (candidate, degree) =>
+  candidate.chords.some(chord => candidate.degreeOf(chord) === degree && chord.isMinor);
+
+// Presence rules score the weight of the longest matching chord (0 when there is none), so a
+// held tonic counts for more than a passing one and a plain chord list scores 1.
+const longestWeight = (chords, test) =>
+  chords.reduce((longest, chord) => (test(chord) ? Math.max(longest, chordWeight(chord)) : longest), 0);
+const majorChordOnWeight = (candidate, degree) =>
+  longestWeight(candidate.chords, chord => candidate.degreeOf(chord) === degree && chord.isMajor);
+const minorKeyChordWeight = (candidate, semitones, test) =>
+  longestWeight(candidate.chords, chord => candidate.offsetOf(chord) === semitones && test(chord));
+
+// Counts chords by how long they sound: a chord's `weight` (set by analyzeChords from its
+// duration) defaults to 1, so a plain chord list counts each chord once.
+const chordWeight = chord => (chord.weight === undefined ? 1 : chord.weight);
+const sumChordWeights = chords => chords.reduce((sum, chord) => sum + chordWeight(chord), 0);
+
+// Tonic chord of a major or minor key, in the key's quality.
+function isKeyTonicChord(candidate, chord) {
+  return candidate.offsetOf(chord) === 0 && (candidate.mode === 'minor' ? chord.isMinor : chord.isMajor);
+}
 
-  // Check for IV-V pattern (two major chords a whole step apart)
-  const ivvCandidate = detectIVVPattern(chords);
-  if (ivvCandidate) {
-    // Check if the tonic of this candidate key is present
-    const tonicPresent = chords.some(chord =>
-      getPositionInScale(chord.root, majorScales[ivvCandidate]) === 0 && !chord.isMinor);
+// Whether a minor key's major V works as a dominant to its i: it moves V-i, or i opens or
+// closes the progression. A "V" that opens and closes the progression is a major tonic with a
+// borrowed iv ("C, Fm, C" is C, not F minor), so it never counts.
+function hasWorkingMinorDominant(candidate) {
+  const { chords } = candidate;
+  const isTonic = chord => candidate.offsetOf(chord) === 0 && chord.isMinor;
+  const isDominant = chord => candidate.offsetOf(chord) === 7 && chord.intervals.includes(4);
+  if (!chords.some(isTonic) || !chords.some(isDominant)) return false;
+  const first = chords[0];
+  const last = chords[chords.length - 1];
+  if (isDominant(first) && isDominant(last)) return false;
+  return isTonic(first) || isTonic(last) ||
+    chords.some((chord, index) => index > 0 && isTonic(chord) && isDominant(chords[index - 1]));
+}
 
-    // Apply lower bonus if tonic is missing
-    const bonus = tonicPresent ? 8 : 4;
-    candidateScores[ivvCandidate] += bonus;
+// Half and deceptive cadences point away from the tonic, so they only count for a key whose
+// tonic chord is heard somewhere in the progression.
+function countCadences(candidate, type) {
+  const cadences = candidate.cadences().filter(cadence => cadence.type === type);
+  if (['half', 'phrygianHalf', 'deceptive'].includes(type) &&
+      !candidate.chords.some(chord => isKeyTonicChord(candidate, chord))) {
+    return 0;
   }
+  return cadences.length;
+}
+
+// Modal tonic chord: minor on modes with a minor third, major otherwise.
+function isModalTonicChord(candidate, chord) {
+  const pattern = MODE_SCALE_PATTERNS[candidate.mode];
+  return candidate.offsetOf(chord) === 0 && (pattern[2] === 3 ? chord.isMinor : chord.isMajor);
+}
 
-  // Get rotation candidate info without immediately returning a key
-  const rotationInfo = getRotationCandidate(chords);
+// Modal bonuses need the mode's characteristic chord, no chords outside the mode, and a
+// progression that opens on the modal tonic, returns to it, and does not resolve to the parent
+// major tonic. So "Dm, G, C" stays ii–V–I in C, "Dm, Bb, A7, Dm" stays in D minor and
+// "F, G, D" stays in C, while "Dm, G, Dm, G" is D Dorian.
+function hasModalShape(candidate) {
+  return candidate.memo('modalShape', () => {
+    const { chords, mode } = candidate;
+    const first = chords[0];
+    const last = chords[chords.length - 1];
+    const parentTonicOffset = (12 - MAJOR_SCALE_PATTERN[MODES[mode].degree]) % 12;
+    const endsOnParentTonic = candidate.offsetOf(last) === parentTonicOffset && last.isMajor;
+    const hasCharacteristic = chords.some(chord =>
+      candidate.offsetOf(chord) === MODES[mode].characteristic && chord.isMajor);
+    const returnsToTonic = chords.filter(chord => isModalTonicChord(candidate, chord)).length > 1;
+    return hasCharacteristic && chords.every(chord => isModalDiatonicChord(candidate, chord)) &&
+      isModalTonicChord(candidate, first) && returnsToTonic && !endsOnParentTonic;
+  });
+}
+
+function isModalDiatonicChord(candidate, chord) {
+  const offset = candidate.offsetOf(chord);
+  return offset !== null && fitsScalePattern(chord, offset, MODE_SCALE_PATTERNS[candidate.mode]);
+}
 
-  // Add rotation candidate bonuses - weight them but don't let them dominate
-  // unless they're significantly stronger than the diatonic score
-  if (rotationInfo.bestCandidate) {
-    const ROTATION_WEIGHT = 2;
-    const ROTATION_MARGIN_THRESHOLD = 2; // Minimum margin to consider the rotation significant
+function countModalDiatonicChords(candidate) {
+  return candidate.memo('modalDiatonic', () =>
+    sumChordWeights(candidate.chords.filter(chord => isModalDiatonicChord(candidate, chord))));
+}
 
-    // Apply bonus for rotation candidates proportional to their count
-    for (const candidate in rotationInfo.candidateCounts) {
-      candidateScores[candidate] += rotationInfo.candidateCounts[candidate] * ROTATION_WEIGHT;
+// The built-in key-detection rules, scored in this order. Each rule applies to the listed
+// `modes` and its `score(candidate)` returns how many times it matches (true counts as once);
+// points are that count times the rule's weight. `countLabel` rules show the count in their
+// label, `detail(candidate)` adds text to the label of a rule that scored, and `validOnly`
+// rules are skipped for major keys with invalid borrowed chords.
+const KEY_RULES = [
+  {
+    id: 'invalidBorrowedChords',
+    label: 'Invalid borrowed chords (bii*, bv*, VI* with bVI*/bVII*, bVII* with v*)',
+    modes: ['major'],
+    score: candidate => keyHasInvalidBorrowedChords(candidate.chords, candidate.name)
+  },
+  {
+    id: 'diatonicChords',
+    label: 'Diatonic chords',
+    modes: ['major'],
+    countLabel: true,
+    validOnly: true,
+    score: candidate => sumChordWeights(candidate.chords.filter(chord => {
+      const pos = candidate.degreeOf(chord);
+      return pos !== -1 && isDiatonicQuality(chord, pos);
+    }))
+  },
+  {
+    id: 'tonicPresent',
+    label: 'Tonic (I) present',
+    modes: ['major'],
+    validOnly: true,
+    score: candidate => majorChordOnWeight(candidate, 0)
+  },
+  {
+    id: 'subdominantPresent',
+    label: 'Subdominant (IV) present',
+    modes: ['major'],
+    validOnly: true,
+    score: candidate => majorChordOnWeight(candidate, 3)
+  },
+  {
+    id: 'dominantPresent',
+    label: 'Dominant (V) present',
+    modes: ['major'],
+    validOnly: true,
+    score: candidate => majorChordOnWeight(candidate, 4)
+  },
+  {
+    // The diatonic mediant is minor; a major chord there is labeled III*.
+    id: 'borrowedMediant',
+    label: 'Borrowed mediant (III*)',
+    modes: ['major'],
+    validOnly: true,
+    score: candidate => hasMajorChordOn(candidate, 2)
+  },
+  {
+    id: 'majorSubmediant',
+    label: 'Major submediant (VI*)',
+    modes: ['major'],
+    validOnly: true,
+    score: candidate => hasMajorChordOn(candidate, 5)
+  },
+  {
+    // I and vi alongside a bVI or bVII borrowed from the parallel minor.
+    id: 'borrowedWithTonicAndSubmediant',
+    label: 'I and vi with borrowed bVI/bVII',
+    modes: ['major'],
+    validOnly: true,
+    score: candidate => {
+      const flatSixth = getScaleDegree(candidate.tonic, 8);
+      const flatSeventh = getScaleDegree(candidate.tonic, 10);
+      const hasBorrowed = candidate.chords.some(chord => chord.isMajor &&
+        (getPositionInScale(chord.root, [flatSixth]) === 0 ||
+         getPositionInScale(chord.root, [flatSeventh]) === 0));
+      return hasBorrowed && hasMajorChordOn(candidate, 0) && hasMinorChordOn(candidate, 5);
     }
-
-    // Check if the rotation candidate is significantly stronger
-    if (rotationInfo.bestCount >= ROTATION_MARGIN_THRESHOLD) {
-      candidateScores[rotationInfo.bestCandidate] += ROTATION_WEIGHT;
+  },
+  {
+    // Scores once for each matching key pattern; the label names them.
+    id: 'keyPattern',
+    label: 'Key pattern',
+    modes: PATTERN_MODES,
+    validOnly: true,
+    score: candidate => candidate.matchedPatterns().length,
+    detail: candidate => candidate.matchedPatterns().map(pattern => pattern.name).join(', ')
+  },
+  {
+    // Two major chords a whole step apart, heard as IV-V.
+    id: 'ivvPattern',
+    label: 'IV-V pattern (detectIVVPattern)',
+    modes: ['major'],
+    score: candidate => candidate.progression('ivvPattern', detectIVVPattern) === candidate.name &&
+      hasMajorChordOn(candidate, 0)
+  },
+  {
+    id: 'ivvPatternWithoutTonic',
+    label: 'IV-V pattern without tonic (detectIVVPattern)',
+    modes: ['major'],
+    score: candidate => candidate.progression('ivvPattern', detectIVVPattern) === candidate.name &&
+      !hasMajorChordOn(candidate, 0)
+  },
+  {
+    id: 'rotationCandidate',
+    label: 'Rotation candidate (IV-vi pairs)',
+    modes: ['major'],
+    score: candidate => {
+      const rotation = candidate.progression('rotation', getRotationCandidate);
+      return rotation.bestCandidate ? rotation.candidateCounts[candidate.name] || 0 : 0;
     }
+  },
+  {
+    id: 'strongestRotation',
+    label: 'Strongest rotation candidate',
+    modes: ['major'],
+    score: candidate => {
+      const rotation = candidate.progression('rotation', getRotationCandidate);
+      return rotation.bestCandidate === candidate.name && rotation.bestCount >= ROTATION_MARGIN_THRESHOLD;
+    }
+  },
+  {
+    id: 'viIIVPattern',
+    label: 'vi-I-IV pattern',
+    modes: ['major'],
+    score: candidate => hasMinorChordOn(candidate, 5) && hasMajorChordOn(candidate, 0) &&
+      hasMajorChordOn(candidate, 3)
+  },
+  {
+    // VI* and IV with no tonic, as in "A, F, D".
+    id: 'majorSubmediantWithoutTonic',
+    label: 'VI*-IV pattern without tonic',
+    modes: ['major'],
+    score: candidate => hasMajorChordOn(candidate, 5) && hasMajorChordOn(candidate, 3) &&
+      !hasMajorChordOn(candidate, 0)
+  },
+  {
+    id: 'minorDiatonicChords',
+    label: 'Diatonic chords in minor',
+    modes: ['minor'],
+    countLabel: true,
+    score: candidate => sumChordWeights(candidate.chords.filter(chord => isDiatonicInMinor(chord, candidate.tonic)))
+  },
+  {
+    id: 'minorTonicPresent',
+    label: 'Tonic (i) present',
+    modes: ['minor'],
+    score: candidate => minorKeyChordWeight(candidate, 0, chord => chord.isMinor)
+  },
+  {
+    id: 'minorSubdominantPresent',
+    label: 'Subdominant (iv) present',
+    modes: ['minor'],
+    score: candidate => minorKeyChordWeight(candidate, 5, chord => chord.isMinor)
+  },
+  {
+    id: 'minorDominantPresent',
+    label: 'Dominant (v or V) present',
+    modes: ['minor'],
+    score: candidate => minorKeyChordWeight(candidate, 7, chord => chord.isMinor || chord.isMajor)
+  },
+  {
+    // A major V (with its raised leading tone) alongside i is the strongest sign of a minor
+    // key, as in "Am, Dm, E7, Am", and weighs as much as vi-I-IV (see hasWorkingMinorDominant).
+    id: 'harmonicMinorDominant',
+    label: 'Harmonic-minor dominant (V) with i',
+    modes: ['minor'],
+    score: hasWorkingMinorDominant
+  },
+  {
+    id: 'perfectAuthenticCadence',
+    label: 'Perfect authentic cadence (V-I)',
+    modes: ['major', 'minor'],
+    countLabel: true,
+    score: candidate => countCadences(candidate, 'perfectAuthentic')
+  },
+  {
+    id: 'imperfectAuthenticCadence',
+    label: 'Imperfect authentic cadence (inverted V-I, vii°-I)',
+    modes: ['major', 'minor'],
+    countLabel: true,
+    score: candidate => countCadences(candidate, 'imperfectAuthentic')
+  },
+  {
+    id: 'plagalCadence',
+    label: 'Plagal cadence (IV-I)',
+    modes: ['major', 'minor'],
+    countLabel: true,
+    score: candidate => countCadences(candidate, 'plagal')
+  },
+  {
+    id: 'halfCadence',
+    label: 'Half cadence (ends on V)',
+    modes: ['major', 'minor'],
+    score: candidate => countCadences(candidate, 'half')
+  },
+  {
+    id: 'phrygianHalfCadence',
+    label: 'Phrygian half cadence (iv6-V)',
+    modes: ['major', 'minor'],
+    score: candidate => countCadences(candidate, 'phrygianHalf')
+  },
+  {
+    id: 'deceptiveCadence',
+    label: 'Deceptive cadence (V-vi)',
+    modes: ['major', 'minor'],
+    countLabel: true,
+    score: candidate => countCadences(candidate, 'deceptive')
+  },
+  {
+    id: 'backdoorCadence',
+    label: 'Backdoor cadence (bVII-I)',
+    modes: ['major'],
+    countLabel: true,
+    score: candidate => countCadences(candidate, 'backdoor')
+  },
+  {
+    id: 'startsOnTonic',
+    label: 'Starts on the tonic',
+    modes: ['major', 'minor'],
+    score: candidate => longestWeight([candidate.chords[0]], chord => isKeyTonicChord(candidate, chord))
+  },
+  {
+    id: 'endsOnTonic',
+    label: 'Ends on the tonic',
+    modes: ['major', 'minor'],
+    score: candidate => longestWeight(candidate.chords.slice(-1), chord => isKeyTonicChord(candidate, chord))
+  },
+  {
+    // Opening and closing on the same tonic frames the whole progression in that key, which
+    // outweighs a cadence into the key a fifth below ("C, Fm, C" is C with a borrowed iv).
+    id: 'framedByTonic',
+    label: 'Starts and ends on the tonic',
+    modes: ['major', 'minor'],
+    score: candidate => candidate.chords.length > 1 &&
+      isKeyTonicChord(candidate, candidate.chords[0]) &&
+      isKeyTonicChord(candidate, candidate.chords[candidate.chords.length - 1])
+  },
+  {
+    id: 'modalDiatonicChords',
+    label: 'Diatonic chords in mode',
+    modes: MODE_NAMES,
+    countLabel: true,
+    score: countModalDiatonicChords
+  },
+  {
+    id: 'modalTonicPresent',
+    label: 'Modal tonic present',
+    modes: MODE_NAMES,
+    score: candidate => longestWeight(candidate.chords, chord => isModalTonicChord(candidate, chord))
+  },
+  {
+    id: 'modalCharacteristicChord',
+    label: 'Characteristic modal chord',
+    modes: MODE_NAMES,
+    score: hasModalShape
+  },
+  {
+    id: 'opensOnModalTonic',
+    label: 'Opens on modal tonic',
+    modes: MODE_NAMES,
+    score: hasModalShape
+  },
+  {
+    id: 'closesOnModalTonic',
+    label: 'Closes on modal tonic',
+    modes: MODE_NAMES,
+    score: candidate => hasModalShape(candidate) &&
+      isModalTonicChord(candidate, candidate.chords[candidate.chords.length - 1])
   }
+];
 
-  // Generalized special case for vi-I-IV pattern in any key
-  // For each candidate key, check if the progression contains vi (minor), I (major), and IV (major)
-  for (const candidate in candidateScores) {
-    const scale = majorScales[candidate];
-    if (!scale) continue;
-
-    // Check if progression contains minor vi chord (submediant)
-    const hasMinorvi = chords.some(chord =>
-      getPositionInScale(chord.root, scale) === 5 && chord.isMinor);
+// Combines the built-in rules with `options.weights` overrides and any `options.rules` a
+// caller registers. A custom rule is { id, label, score(candidate), weight, modes }, where
+// `modes` defaults to every mode and `weight` to 1; its weight can also be set in `weights`.
+// Rules whose weight is 0 are dropped.
+function resolveKeyRules(options = {}) {
+  const weights = options.weights || {};
+  const customRules = (options.rules || []).map(rule => ({
+    modes: ['major', 'minor'].concat(MODE_NAMES),
+    label: rule.id,
+    ...rule
+  }));
+  return KEY_RULES.concat(customRules)
+    .map(rule => {
+      const weight = rule.id in weights ? weights[rule.id] : rule.id in WEIGHTS ? WEIGHTS[rule.id] : rule.weight;
+      return { ...rule, weight: Number(weight === undefined ? 1 : weight) || 0 };
+    })
+    .filter(rule => rule.weight !== 0);
+}
 
-    // Check if progression contains major I chord (tonic)
-    const hasMajorI = chords.some(chord =>
-      getPositionInScale(chord.root, scale) === 0 && !chord.isMinor);
+// Builds the object a rule scores: the progression, the key, and helpers for chord positions.
+// `name` is the scored spelling of a major key (both spellings of black-key tonics are scored),
+// `progression(name, detect)` caches a progression-wide detector such as detectIVVPattern, and
+// `matchedPatterns()` and `cadences()` list the key patterns and cadences found in this key.
+function createKeyCandidate(chords, name, mode, progression, patterns = []) {
+  const memo = createMemo();
+  const scale = mode === 'major' ? majorScales[name] : null;
+  return {
+    chords,
+    name,
+    tonic: name,
+    mode,
+    key: getKeyName(name, mode),
+    scale,
+    degreeOf: chord => getPositionInScale(chord.root, scale || spellScale(name, MAJOR_SCALE_PATTERN)),
+    offsetOf: chord => semitoneDiff(name, chord.root),
+    progression: (ruleName, detect) => progression(ruleName, () => detect(chords)),
+    matchedPatterns: () => memo('patterns', () => findKeyPatterns(chords, name, mode, patterns)),
+    cadences: () => memo('cadences', () => findCadences(chords, name, mode)),
+    memo
+  };
+}
 
-    // Check if progression contains major IV chord (subdominant)
-    const hasMajorIV = chords.some(chord =>
-      getPositionInScale(chord.root, scale) === 3 && !chord.isMinor);
+// Scores one candidate with every rule for its mode. Returns its score sheet and whether the
+// invalid-borrowed-chords rule fired.
+function scoreKeyCandidate(candidate, rules) {
+  const sheet = createScoreSheet();
+  const applicable = rules.filter(rule => rule.modes.includes(candidate.mode));
+  const invalidRule = applicable.find(rule => rule.id === 'invalidBorrowedChords');
+  const invalid = Boolean(invalidRule && invalidRule.score(candidate));
+  applicable.forEach(rule => {
+    if (rule.validOnly && invalid) return;
+    // Duration-weighted counts can be fractional; round them to hundredths.
+    const hits = Math.round((Number(rule.score(candidate)) || 0) * 100) / 100;
+    const detail = rule.countLabel ? hits : hits && rule.detail ? rule.detail(candidate) : '';
+    const label = detail !== '' ? `${rule.label} (${detail})` : rule.label;
+    sheet.award(label, Math.round(hits * rule.weight * 100) / 100, rule.id);
+  });
+  return { sheet, invalid };
+}
 
-    // If all three are present, give a strong bonus to this candidate key
-    if (hasMinorvi && hasMajorI && hasMajorIV) {
-      candidateScores[candidate] += 12; // Strong bonus for vi-I-IV pattern
+// Ranks every candidate key (major, minor and modal) by score, best first. Each entry has
+// { key, tonic, mode, score, confidence, rules }, where `rules` lists the points each rule
+// awarded. Major keys come first among equal scores, so minor and modal keys only win when
+// they outscore every major key outright, and keys with invalid borrowed chords rank last.
+// `options.weights` and `options.rules` customize the rules (see resolveKeyRules), and
+// `options.patterns` adds key patterns (see loadKeyPatterns).
+function rankKeys(chords, options = {}) {
+  if (!chords || chords.length === 0) return [];
+
+  const rules = resolveKeyRules(options);
+  const patterns = resolveKeyPatterns(options);
+  const progression = createMemo();
+  const candidates = [];
+  for (const name in majorScales) {
+    const { sheet, invalid } = scoreKeyCandidate(createKeyCandidate(chords, name, 'major', progression, patterns), rules);
+    const key = PREFERRED_KEY_SPELLING[name] || name;
+    const entry = { key, tonic: key, mode: 'major', score: sheet.total(), rules: sheet.rules, invalid };
+    // Both spellings of a black-key tonic are scored; keep the stronger one.
+    const existing = candidates.findIndex(c => c.key === key);
+    if (existing === -1) {
+      candidates.push(entry);
+    } else if (entry.score > candidates[existing].score) {
+      candidates[existing] = entry;
     }
   }
 
-  // Add a bonus for VI*-IV-II* pattern when tonic is absent (for progressions like A, F, D)
-  for (const candidate in candidateScores) {
-    const scale = majorScales[candidate];
-    if (!scale) continue;
+  ['minor'].concat(MODE_NAMES).forEach(mode => {
+    NOTES.forEach((noteGroup, pitchClass) => {
+      const tonic = noteGroup.split('/')[0];
+      const { sheet } = scoreKeyCandidate(createKeyCandidate(chords, tonic, mode, progression, patterns), rules);
+      const spelled = getDefaultTonic(pitchClass, mode);
+      candidates.push({
+        key: getKeyName(spelled, mode), tonic: spelled, mode,
+        score: sheet.total(), rules: sheet.rules, invalid: false
+      });
+    });
+  });
 
-    // Check if progression contains major VI* chord (should be minor diatonically)
-    const hasMajorVI = chords.some(chord =>
-      getPositionInScale(chord.root, scale) === 5 && !chord.isMinor);
+  candidates.forEach(entry => holdMinorKeyWithoutDominant(entry, candidates, chords));
+
+  // Stable sort: valid keys first, then by score.
+  candidates.sort((a, b) => (a.invalid - b.invalid) || (b.score - a.score));
+
+  const topScore = candidates[0].score;
+  const validScores = candidates.filter(c => !c.invalid).map(c => c.score);
+  const meanScore = validScores.reduce((sum, score) => sum + score, 0) / validScores.length;
+  const spread = Math.sqrt(validScores.reduce((sum, score) => sum + (score - meanScore) ** 2, 0) /
+    validScores.length) || 1;
+  const weights = candidates.map(c =>
+    Math.exp((c.score - topScore) / (spread * KEY_CONFIDENCE_TEMPERATURE)));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  return candidates.map((c, i) => ({
+    key: c.key,
+    tonic: c.tonic,
+    mode: c.mode,
+    score: c.score,
+    confidence: weights[i] / totalWeight,
+    rules: c.rules
+  }));
+}
 
-    // Check if progression contains major IV chord
-    const hasMajorIV = chords.some(chord =>
-      getPositionInScale(chord.root, scale) === 3 && !chord.isMinor);
+// Whether a major V (a major third above the dominant) is heard on the given tonic. A minor v
+// doesn't count: it is just as diatonic as iii of the relative major.
+function hasMajorDominant(chords, tonic) {
+  return chords.some(chord => semitoneDiff(tonic, chord.root) === 7 && chord.intervals.includes(4));
+}
 
-    // Check if progression contains major II* chord (should be minor diatonically)
-    const hasMajorII = chords.some(chord =>
-      getPositionInScale(chord.root, scale) === 1 && !chord.isMinor);
+// Whether a minor tonic's dominant is heard: a major V, or any chord sounding the leading tone
+// (the raised seventh, as in vii°) in its tones or slash bass.
+function hasDominantEvidence(chords, tonic) {
+  return hasMajorDominant(chords, tonic) || chords.some(chord => {
+    const offset = semitoneDiff(tonic, chord.root);
+    return chord.intervals.some(interval => (offset + interval) % 12 === 11) ||
+      (chord.bass && semitoneDiff(tonic, chord.bass) === 11);
+  });
+}
+
+// A minor key needs dominant or leading-tone evidence to beat a major key whose V is heard:
+// without it, a tonic minor chord alone would read "Dm7, G7" as D minor. Such a key's score is
+// held to the best of those majors, which then rank first, and the deduction is listed with
+// its rules. With no major V anywhere ("Am, Dm, Am") the minor key keeps its score.
+function holdMinorKeyWithoutDominant(entry, candidates, chords) {
+  if (entry.mode !== 'minor' || hasDominantEvidence(chords, entry.tonic)) return;
+  const majors = candidates.filter(c => c.mode === 'major' && !c.invalid && hasMajorDominant(chords, c.tonic));
+  const limit = Math.max(...majors.map(c => c.score));
+  if (majors.length === 0 || entry.score <= limit) return;
+  entry.rules.push({
+    rule: 'No dominant or leading tone (held to a major key whose V is heard)',
+    id: 'minorWithoutDominant',
+    points: Math.round((limit - entry.score) * 100) / 100
+  });
+  entry.score = limit;
+}
+
+// Returns the name of the best-scoring key ("C", "A minor", "D Mixolydian"), or null.
+function detectKey(chords, options = {}) {
+  const ranked = rankKeys(chords, options);
+  return ranked.length > 0 ? ranked[0].key : null;
+}
+
+/* Minor Key Detection */
+
+// Checks whether every chord tone fits one of the minor scale forms on the given tonic.
+function isDiatonicInMinor(chord, tonic) {
+  const offset = semitoneDiff(tonic, chord.root);
+  if (offset === null) return false;
+  return MINOR_SCALE_FORMS.some(pattern => fitsScalePattern(chord, offset, pattern));
+}
+
+/* Modal Key Detection */
 
-    // Check if the tonic (I) is missing
-    const hasMissingI = !chords.some(chord =>
-      getPositionInScale(chord.root, scale) === 0 && !chord.isMinor);
+// Spells a modal tonic with the accidentals of its parent major key (F# Dorian, Bb Mixolydian).
+function spellModalTonic(tonic, mode) {
+  const noteGroup = NOTES[getNoteIndex(tonic)].split('/');
+  if (noteGroup.length === 1) return tonic;
+  const parent = getScaleDegree(tonic, -MAJOR_SCALE_PATTERN[MODES[mode].degree]);
+  const parentUsesFlats = parent === 'F' || NOTES[getNoteIndex(parent)].includes('/');
+  return parentUsesFlats ? noteGroup[1] : noteGroup[0];
+}
 
-    // If we have VI* and IV and either II* or minor ii, and tonic is missing, give bonus
-    if (hasMajorVI && hasMajorIV && hasMissingI) {
-      candidateScores[candidate] += 10; // Strong bonus for VI*-IV-II* pattern
+/* Modulation Detection */
+
+// Shortest key region (in chords) the segmentation may create, except when the whole
+// progression is shorter than this.
+const MIN_KEY_REGION_LENGTH = 4;
+
+// Cost of a key change, in non-diatonic chords: a modulation has to explain away more
+// non-diatonic chords than this before it is preferred over staying in one key.
+const MODULATION_COST = 2;
+
+// How many chords before a region boundary are searched for a pivot chord.
+const PIVOT_SEARCH_LENGTH = 2;
+
+// Splits a progression into key regions. Boundaries are placed to minimize the number of
+// chords that are non-diatonic in their region's best-fitting major scale (which also covers
+// its relative minor and modes), plus MODULATION_COST per key change; each region is then
+// named with detectKey, using the rule options if given, and each boundary is re-checked
+// against the keys the regions are named with. Returns [{ key, start, end, pivot }]
+// with `end` exclusive; `pivot` describes the chord that belongs to both the previous key and
+// this one, or null for a direct modulation.
+function segmentKeyRegions(chords, options = {}) {
+  const keys = NOTES.map(noteGroup => {
+    const tonic = noteGroup.split('/')[0];
+    return PREFERRED_KEY_SPELLING[tonic] || tonic;
+  });
+
+  // misfitCounts[k][i]: non-diatonic chords among the first i chords in keys[k].
+  const misfitCounts = keys.map(key => {
+    const counts = [0];
+    chords.forEach(chord => {
+      counts.push(counts[counts.length - 1] + (getRomanNumeral(chord, key).diatonic ? 0 : 1));
+    });
+    return counts;
+  });
+  const regionMisfits = (start, end) =>
+    Math.min(...misfitCounts.map(counts => counts[end] - counts[start]));
+
+  // best[i] holds the cheapest segmentation of the first i chords. Among equal costs it keeps
+  // the fewest regions, then the latest boundary, so chords that fit both keys stay in the
+  // outgoing region where they can act as pivots.
+  const best = new Array(chords.length + 1).fill(null);
+  best[0] = { cost: 0, boundaries: [0] };
+  for (let end = 1; end <= chords.length; end++) {
+    for (let start = 0; start < end; start++) {
+      const isWhole = start === 0 && end === chords.length;
+      if (!best[start] || (end - start < MIN_KEY_REGION_LENGTH && !isWhole)) continue;
+      const cost = best[start].cost + regionMisfits(start, end) + (start > 0 ? MODULATION_COST : 0);
+      const boundaries = best[start].boundaries.concat([end]);
+      const current = best[end];
+      const isBetter = !current || cost < current.cost ||
+        (cost === current.cost && boundaries.length === current.boundaries.length);
+      if (isBetter) best[end] = { cost, boundaries };
     }
   }
 
-  // Pick candidate with highest score.
-  let bestCandidate = null, bestScore = -Infinity;
-  for (const candidate in candidateScores) {
-    if (candidateScores[candidate] > bestScore) {
-      bestScore = candidateScores[candidate];
-      bestCandidate = candidate;
+  // The scale that gives a region its cost need not be the key detectKey names it with (a
+  // C-major passage with two V/V chords fits G's scale best). Among the boundary positions the
+  // scales rate equally, keep the one whose named keys leave the fewest chords non-diatonic,
+  // and only then the latest.
+  const keyNames = new Map();
+  const nameRegion = (start, end) => {
+    const id = start + ':' + end;
+    if (!keyNames.has(id)) keyNames.set(id, detectKey(chords.slice(start, end), options));
+    return keyNames.get(id);
+  };
+  const namedMisfits = (start, end) => {
+    const key = nameRegion(start, end);
+    return chords.slice(start, end).filter(chord => !getRomanNumeral(chord, key).diatonic).length;
+  };
+  const boundaries = best[chords.length].boundaries.slice();
+  for (let i = 1; i < boundaries.length - 1; i++) {
+    const before = boundaries[i - 1];
+    const after = boundaries[i + 1];
+    const scaleCost = position => regionMisfits(before, position) + regionMisfits(position, after);
+    const target = scaleCost(boundaries[i]);
+    let chosen = null;
+    for (let position = before + MIN_KEY_REGION_LENGTH; position <= after - MIN_KEY_REGION_LENGTH; position++) {
+      if (scaleCost(position) !== target) continue;
+      const cost = namedMisfits(before, position) + namedMisfits(position, after);
+      if (!chosen || cost <= chosen.cost) chosen = { position, cost };
     }
+    boundaries[i] = chosen.position;
   }
 
-  // Safety check: if the best candidate key would result in invalid analyses, try picking another key
-  if (bestCandidate && keyHasInvalidBorrowedChords(chords, bestCandidate)) {
-    // Find the next best candidate that doesn't have invalid borrowed chords
-    let nextBestCandidate = null, nextBestScore = -Infinity;
-
-    for (const candidate in candidateScores) {
-      if (candidateScores[candidate] > nextBestScore &&
-          candidate !== bestCandidate &&
-          !keyHasInvalidBorrowedChords(chords, candidate)) {
-        nextBestScore = candidateScores[candidate];
-        nextBestCandidate = candidate;
-      }
+  // Name each region and merge neighbours that land in the same key.
+  const regions = [];
+  for (let i = 1; i < boundaries.length; i++) {
+    const start = boundaries[i - 1];
+    const end = boundaries[i];
+    const key = nameRegion(start, end);
+    const previous = regions[regions.length - 1];
+    if (previous && previous.key === key) {
+      previous.end = end;
+    } else {
+      regions.push({ key, start, end });
     }
+  }
+
+  return regions.map((region, index) => ({
+    ...region,
+    pivot: index === 0 ? null : findPivotChord(chords, regions[index - 1], region)
+  }));
+}
 
-    if (nextBestCandidate) {
-      bestCandidate = nextBestCandidate;
+// Finds the pivot between two adjacent key regions: the chord nearest the boundary, among the
+// last chords of the outgoing region, that is diatonic in both keys. It is reported with both
+// numerals (e.g. vi in C = ii in G).
+function findPivotChord(chords, fromRegion, toRegion) {
+  const earliest = Math.max(fromRegion.start, fromRegion.end - PIVOT_SEARCH_LENGTH);
+  for (let index = fromRegion.end - 1; index >= earliest; index--) {
+    const fromNumeral = getRomanNumeral(chords[index], fromRegion.key);
+    const toNumeral = getRomanNumeral(chords[index], toRegion.key);
+    if (fromNumeral.diatonic && toNumeral.diatonic) {
+      return {
+        index,
+        chord: chords[index].chord,
+        fromKey: fromRegion.key,
+        fromNumeral: fromNumeral.numeral,
+        toKey: toRegion.key,
+        toNumeral: toNumeral.numeral
+      };
     }
   }
-
-  return bestCandidate ? (PREFERRED_KEY_SPELLING[bestCandidate] || bestCandidate) : null;
+  return null;
 }
 
 /* Diatonic Quality Check */
 
 // For a given chord and its position in a candidate key's scale, check if its quality is diatonic.
+// Every chord tone (including sevenths, extensions and alterations) must belong to the scale.
 function isDiatonicQuality(chord, position) {
   if (position < 0 || position > 6) return false;
-  if (chord.isDiminished) {
-    return DIATONIC_QUALITIES.diminished.includes(position);
-  } else if (chord.isMinor) {
-    return DIATONIC_QUALITIES.minor.includes(position);
-  } else if (!chord.isAugmented) {
-    return DIATONIC_QUALITIES.major.includes(position);
-  }
-  return false;
+  const degreeOffset = MAJOR_SCALE_PATTERN[position];
+  return chord.intervals.every(interval =>
+    MAJOR_SCALE_PATTERN.includes((degreeOffset + interval) % 12));
 }
 
 /* Helper: Get Position in Scale */
 
-// Returns the index (0-6) of a note in a given scale array.
+// Returns the index (0-6) of a note in a given scale array, matching enharmonic spellings.
 function getPositionInScale(note, scale) {
-  const directPosition = scale.indexOf(note);
-  if (directPosition !== -1) return directPosition;
-  const enharmonicEquivalents = {
-    'C#': 'Db', 'Db': 'C#',
-    'D#': 'Eb', 'Eb': 'D#',
-    'F#': 'Gb', 'Gb': 'F#',
-    'G#': 'Ab', 'Ab': 'G#',
-    'A#': 'Bb', 'Bb': 'A#'
-  };
-  const enharmonic = enharmonicEquivalents[note];
-  if (enharmonic) return scale.indexOf(enharmonic);
-  return -1;
+  const noteIndex = getNoteIndex(note);
+  if (noteIndex === -1) return -1;
+  return scale.findIndex(scaleNote => getNoteIndex(scaleNote) === noteIndex);
 }
 
 /* Roman Numeral Analysis */
 
+// Figured-bass inversion figures for triads and seventh chords, indexed by inversion.
+const INVERSION_FIGURES = {
+  triad: ['', '6', '64'],
+  seventh: ['7', '65', '43', '42']
+};
+
+// Quality mark and figure appended to a case-adjusted numeral (e.g. "ø7", "maj7", "65", "sus4").
+function getNumeralSuffix(chord) {
+  const inversion = chord.inversion || 0;
+  let suffix = '';
+  if (chord.isHalfDiminished) {
+    suffix = 'ø';
+  } else if (chord.isDiminished) {
+    suffix = '°';
+  } else if (chord.isAugmented) {
+    suffix = '+';
+  }
+  if (chord.isSeventh) {
+    suffix += (chord.isMajorSeventh ? 'maj' : '') + INVERSION_FIGURES.seventh[inversion];
+  } else {
+    suffix += INVERSION_FIGURES.triad[inversion] || '';
+  }
+  if (chord.isSixth) {
+    suffix += 'add6';
+  }
+  if (chord.isSuspended) {
+    suffix += chord.intervals.includes(2) ? 'sus2' : 'sus4';
+  } else if (chord.isPowerChord) {
+    suffix += '5';
+  }
+  return suffix;
+}
+
+// Applies numeral case for the chord quality: lowercase for minor and diminished chords.
+function formatNumeral(baseNumeral, chord) {
+  const lower = chord.isMinor || chord.isDiminished;
+  return (lower ? baseNumeral.toLowerCase() : baseNumeral) + getNumeralSuffix(chord);
+}
+
+// Scale-degree labels for a bass note, by semitones above the tonic.
+const BASS_DEGREE_LABELS = ['1', 'b2', '2', 'b3', '3', '4', '#4', '5', 'b6', '6', 'b7', '7'];
+
 // For a given chord and detected key, generate the Roman numeral analysis.
-function getRomanNumeral(chord, key) {
-  const scale = majorScales[key];
-  if (!scale) return { numeral: '?', function: 'Unknown', diatonic: false };
+// Non-diatonic chords that tonicize a scale degree are shown as applied chords (V7/vi), and
+// `nextChord` decides whether they resolve. Inversions are shown as figured bass (I6, V65, V42);
+// any other slash bass is shown as a scale degree after the numeral (IV/5) and flagged when it
+// is not a chord tone.
+function getRomanNumeral(chord, key, nextChord = null) {
+  const roman = getChordNumeral(chord, key);
+  if (!roman.diatonic) {
+    const applied = getAppliedChordNumeral(chord, key, nextChord);
+    if (applied) {
+      roman.numeral = applied.numeral;
+      roman.function = applied.function;
+    }
+  }
+  if (chord.bass && chord.inversion === null) {
+    const bassDegree = semitoneDiff(parseKeyName(key).tonic, chord.bass);
+    roman.numeral += '/' + (bassDegree === null ? chord.bass : BASS_DEGREE_LABELS[bassDegree]);
+    if (!chord.bassIsChordTone) {
+      roman.function += ' (non-chord-tone bass)';
+    }
+  }
+  return roman;
+}
+
+// Generates the numeral and function for the chord itself, ignoring any non-inversion bass.
+function getChordNumeral(chord, key) {
+  const { tonic, mode } = parseKeyName(key);
+  if (mode === 'minor') return getMinorKeyNumeral(chord, tonic);
+  if (MODES[mode]) return getModalKeyNumeral(chord, tonic, mode);
+  key = tonic;
+  if (getNoteIndex(key) === -1) return { numeral: '?', function: 'Unknown', diatonic: false };
+  const scale = spellScale(key, MAJOR_SCALE_PATTERN);
 
   // Check for borrowed flat sixth (bVI)
-  const flatVI = getScaleDegree(scale[0], 8);
-  if (getPositionInScale(chord.root, [flatVI]) === 0 && !chord.isMinor) {
-    return { numeral: "bVI*", function: "Borrowed Chord", diatonic: false };
+  const flatVI = getScaleDegree(key, 8);
+  if (getPositionInScale(chord.root, [flatVI]) === 0 && chord.isMajor) {
+    const numeral = getDegreeNumeral(key, chord.root, MAJOR_SCALE_PATTERN) || "bVI";
+    return { numeral: formatNumeral(numeral, chord) + "*", function: "Borrowed Chord", diatonic: false };
   }
 
   // Check for borrowed flat seventh (bVII)
-  const flatVII = getScaleDegree(scale[0], 10);
-  if (getPositionInScale(chord.root, [flatVII]) === 0 && !chord.isMinor) {
-    return { numeral: "bVII*", function: "Borrowed Chord", diatonic: false };
+  const flatVII = getScaleDegree(key, 10);
+  if (getPositionInScale(chord.root, [flatVII]) === 0 && chord.isMajor) {
+    const numeral = getDegreeNumeral(key, chord.root, MAJOR_SCALE_PATTERN) || "bVII";
+    return { numeral: formatNumeral(numeral, chord) + "*", function: "Borrowed Chord", diatonic: false };
   }
 
   const pos = getPositionInScale(chord.root, scale);
   if (pos !== -1) {
     const diatonic = isDiatonicQuality(chord, pos);
-    let numeral;
-    if (chord.isMinor) {
-      numeral = ROMAN_NUMERALS.minor[pos];
-    } else if (chord.isDiminished) {
-      numeral = ROMAN_NUMERALS.minor[pos] + '°';
-    } else if (chord.isAugmented) {
-      numeral = ROMAN_NUMERALS.major[pos] + '+';
-    } else {
-      numeral = ROMAN_NUMERALS.major[pos];
-    }
-    if (chord.isSeventh) {
-      numeral += chord.isMajorSeventh ? 'maj7' : '7';
-    }
+    let numeral = formatNumeral(ROMAN_NUMERALS.major[pos], chord);
 
     // Mark non-diatonic chords
     if (!diatonic) numeral += '*';
@@ -671,11 +1888,11 @@ function getRomanNumeral(chord, key) {
     // Apply special function names for specific non-diatonic chords
     if (!diatonic) {
       // II* should be "V of V"
-      if (pos === 1 && !chord.isMinor) {
+      if (pos === 1 && chord.isMajor) {
         funcName = "V of V";
       }
       // III* should be "Phrygian Dominant"
-      else if (pos === 2 && !chord.isMinor) {
+      else if (pos === 2 && chord.isMajor) {
         funcName = "Phrygian Dominant";
       }
       // iv should be "Minor Four"
@@ -683,7 +1900,7 @@ function getRomanNumeral(chord, key) {
         funcName = "Minor Four";
       }
       // VI* should be "Tierce de Picardie"
-      else if (pos === 5 && !chord.isMinor) {
+      else if (pos === 5 && chord.isMajor) {
         funcName = "Tierce de Picardie";
       }
     }
@@ -696,60 +1913,935 @@ function getRomanNumeral(chord, key) {
   return { numeral: chromatic.numeral, function: chromatic.function, diatonic: false };
 }
 
+// Numeral and function for a chord in a minor key. Degrees are relative to the minor tonic
+// (i, ii°, III, iv, V, VI, VII), and the raised sixth and seventh keep their degree numbers.
+function getMinorKeyNumeral(chord, tonic) {
+  const semitones = semitoneDiff(tonic, chord.root);
+  if (semitones === null) return { numeral: '?', function: 'Unknown', diatonic: false };
+
+  const degree = MINOR_SCALE_DEGREES[semitones];
+  if (degree === undefined) {
+    const chromatic = getChromaticNumeral(chord, tonic, 'minor');
+    return { numeral: chromatic.numeral, function: chromatic.function, diatonic: false };
+  }
+
+  const diatonic = isDiatonicInMinor(chord, tonic);
+  let numeral = formatNumeral(ROMAN_NUMERALS.major[degree], chord);
+  if (!diatonic) numeral += '*';
+
+  let funcName = MINOR_FUNCTION_NAMES[degree];
+  if (semitones === 11) {
+    funcName = 'Leading Tone';
+  } else if (degree === 0 && chord.isMajor) {
+    funcName = 'Picardy Third';
+  }
+
+  return { numeral, function: funcName, diatonic };
+}
+
+// Numeral and function for a chord in a mode. Numerals are relative to the modal tonic and
+// flatted against the major scale (I–bVII–IV in Mixolydian, i–IV in Dorian).
+function getModalKeyNumeral(chord, tonic, mode) {
+  const semitones = semitoneDiff(tonic, chord.root);
+  if (semitones === null) return { numeral: '?', function: 'Unknown', diatonic: false };
+
+  const pattern = MODE_SCALE_PATTERNS[mode];
+  const degree = pattern.indexOf(semitones);
+  const diatonic = degree !== -1 && fitsScalePattern(chord, semitones, pattern);
+  const degreeNumeral = getDegreeNumeral(tonic, chord.root, MAJOR_SCALE_PATTERN);
+  let numeral = formatNumeral(degreeNumeral || CHROMATIC_NUMERALS.major[semitones], chord);
+  if (!diatonic) numeral += '*';
+
+  let funcName = 'Borrowed Chord';
+  if (degree !== -1) {
+    funcName = semitones === 10 ? 'Subtonic' : FUNCTION_NAMES[degree];
+    if (semitones === MODES[mode].characteristic && chord.isMajor) {
+      funcName += ' (modal characteristic)';
+    }
+  }
+
+  return { numeral, function: funcName, diatonic };
+}
+
+/* Applied Chords */
+
+// Numeral of the diatonic triad `semitones` above the tonic when an applied chord can tonicize
+// it, or null for the tonic itself, diminished triads and roots outside the scale. Minor keys
+// tonicize the harmonic-minor V rather than the natural-minor v.
+function getTonicizationTarget(tonic, semitones, mode) {
+  const pattern = getKeyScalePattern(mode);
+  const degree = pattern.indexOf(semitones);
+  if (degree <= 0) return null;
+  const third = (pattern[(degree + 2) % 7] - semitones + 12) % 12;
+  const fifth = (pattern[(degree + 4) % 7] - semitones + 12) % 12;
+  if (fifth !== 7) return null;
+
+  const numeral = MODES[mode]
+    ? getDegreeNumeral(tonic, spellScale(tonic, pattern)[degree], MAJOR_SCALE_PATTERN) ||
+      CHROMATIC_NUMERALS.major[semitones]
+    : ROMAN_NUMERALS.major[degree];
+  const isMinorTarget = third === 3 && !(mode === 'minor' && degree === 4);
+  return isMinorTarget ? numeral.toLowerCase() : numeral;
+}
+
+// Recognizes secondary dominants (V/x, V7/x) a fifth above a diatonic target and secondary
+// leading-tone chords (vii°/x, viiø7/x, vii°7/x) a semitone below it. The chord counts as
+// resolved when `nextChord` has the target's root. Returns null for any other chord.
+function getAppliedChordNumeral(chord, key, nextChord) {
+  const { tonic, mode } = parseKeyName(key);
+  const rootSemitones = semitoneDiff(tonic, chord.root);
+  if (rootSemitones === null) return null;
+
+  const isDominant = chord.intervals.includes(4) && !chord.isMinor && !chord.isSuspended &&
+    !chord.isMajorSeventh && !chord.isSixth;
+  let baseNumeral, functionName, targetDistance;
+  if (isDominant) {
+    [baseNumeral, functionName, targetDistance] = ['V', 'Applied Dominant', 5];
+  } else if (chord.isDiminished) {
+    [baseNumeral, functionName, targetDistance] = ['VII', 'Applied Leading-Tone', 1];
+  } else {
+    return null;
+  }
+
+  const target = getTonicizationTarget(tonic, (rootSemitones + targetDistance) % 12, mode);
+  if (!target) return null;
+
+  const resolved = nextChord !== null && semitoneDiff(chord.root, nextChord.root) === targetDistance;
+  return {
+    numeral: formatNumeral(baseNumeral, chord) + '/' + target,
+    function: `${functionName} (${resolved ? 'resolved' : 'unresolved'})`
+  };
+}
+
 /* Chromatic Numeral */
 
-// For chords that are not diatonic, generate a chromatic numeral based on semitone distance.
-function getChromaticNumeral(chord, key) {
+// Chromatic degree labels by semitones above the tonic, used when a root's spelling gives no
+// degree (more than two semitones from its letter's degree). In minor keys the unaltered
+// degrees follow the natural minor scale, so only the remaining semitones carry accidentals.
+const CHROMATIC_NUMERALS = {
+  major: ['I', 'bII', 'II', 'bIII', 'III', 'IV', 'bV', 'V', 'bVI', 'VI', 'bVII', 'VII'],
+  minor: ['I', 'bII', 'II', 'III', '#III', 'IV', '#IV', 'V', 'VI', '#VI', 'VII', '#VII']
+};
+
+// For chords that are not diatonic, generate a chromatic numeral from the root's spelling
+// (#iv° for F#° in C, bV for Gb), falling back to the semitone distance.
+function getChromaticNumeral(chord, key, mode = 'major') {
   const tonicIndex = getNoteIndex(key);
   const chordIndex = getNoteIndex(chord.root);
   if (tonicIndex === -1 || chordIndex === -1) return { numeral: '?', function: 'Unknown' };
 
   const semitones = (chordIndex - tonicIndex + 12) % 12;
-  const chromaticIntervals = ['I', 'bII', 'II', 'bIII', 'III', 'IV', 'bV', 'V', 'bVI', 'VI', 'bVII', 'VII'];
-  let numeral = chromaticIntervals[semitones];
+  const pattern = mode === 'minor' ? NATURAL_MINOR_SCALE_PATTERN : MAJOR_SCALE_PATTERN;
+  const degreeNumeral = getDegreeNumeral(key, chord.root, pattern);
+  const numeral = formatNumeral(degreeNumeral || CHROMATIC_NUMERALS[mode][semitones], chord);
 
   // Determine function name
   let functionName = "Borrowed Chord";
+  if (mode === 'minor' && semitones === 1 && chord.isMajor) {
+    functionName = "Neapolitan";
+  }
 
-  if (chord.isMinor) {
-    numeral = numeral.toLowerCase();
-  } else if (chord.isDiminished) {
-    numeral = numeral.toLowerCase() + '°';
-  } else if (chord.isAugmented) {
-    numeral += '+';
+  return { numeral: numeral + '*', function: functionName };
+}
+
+/* Rhythmic Notation */
+
+// Input with bar lines is read as a chart: "| C . G . | Am . . F | x4". Inside a bar, a chord
+// symbol starts a chord, "." holds the previous chord for a beat (a bar may open with one to
+// tie over the bar line), and "C:3" gives a chord an explicit number of beats. A bar of chord
+// symbols alone is shared evenly ("| C G |" is two beats each in 4/4); a bar with dots or counts
+// is one beat per symbol unless counted, and must add up to its time signature. "3/4" or "6/8"
+// sets the time signature from that bar on, "%" repeats the previous bar, "|: ... :|" plays a
+// section twice, and "xN" plays the section before it N times ("|: ... :| x3", or everything
+// since the last repeat when there is no "|:"). Counts are read with their sign so that zero
+// and negative ones can be rejected. A symbol stops before a ":|", so "|:C|G:|" reads the same
+// as "|: C | G :|", and a double bar line "||" is one bar line.
+const BAR_TOKEN_PATTERN = /\|:|:\||\|\|(?!:)|\||[^\s|,]+?(?=:\||[\s|,]|$)/g;
+const TIME_SIGNATURE_PATTERN = /^(\d{1,2})\/(1|2|4|8|16)$/;
+const REPEAT_COUNT_PATTERN = /^x(-?\d+)$/i;
+const BEAT_COUNT_PATTERN = /^(.+):(-?\d+(?:\.\d+)?)$/;
+
+// Comma-separated input is one chord per 4/4 bar.
+const DEFAULT_METER = { beats: 4, unit: 4 };
+
+// Reads a progression in either notation. Returns the written chord `rows` ({ symbol, bar,
+// beats }, only symbols that parse), the `timeline` of chords as played once repeats are
+// expanded ({ row, start, length }, in quarter notes), the opening `meter`, the `meters` as
+// played ({ start, beats, unit } at each time-signature change, the first at 0), and the
+// `rejected` symbols. An unreadable symbol inside a bar leaves the previous chord sounding for
+// its beats, and an empty bar ("| C | | G |") holds it through the bar; beats with nothing
+// sounding yet are silent rather than dropped. Zero or negative counts, a "." with no chord
+// before it to hold and whole bars whose beats don't add up to their time signature (written
+// "| C . . . . |") are rejected too.
+function parseProgression(input) {
+  const text = String(input);
+  if (!text.includes('|')) {
+    const symbols = text.split(',').map(symbol => symbol.trim()).filter(Boolean);
+    const valid = symbols.filter(symbol => parseChord(symbol));
+    return {
+      rows: valid.map((symbol, index) => ({ symbol, bar: index + 1, beats: DEFAULT_METER.beats })),
+      timeline: valid.map((symbol, index) => ({ row: index, start: index * 4, length: 4 })),
+      meter: { ...DEFAULT_METER },
+      meters: [{ start: 0, ...DEFAULT_METER }],
+      rejected: symbols.filter(symbol => !parseChord(symbol))
+    };
   }
 
-  if (chord.isSeventh) {
-    numeral += chord.isMajorSeventh ? 'maj7' : '7';
+  const rows = [];
+  const rejected = [];
+  const bars = [];
+  const repeats = [];
+  let meter = { ...DEFAULT_METER };
+  let openingMeter = null;
+  let current = [];
+  let currentMeter = meter;
+  let sectionStart = 0;
+  let lastRepeat = null;
+  let barTokens = [];
+  let barRows = 0;
+  let barRejected = 0;
+  let previousToken = null;
+
+  const addRepeat = times => {
+    if (bars.length > sectionStart) {
+      lastRepeat = { start: sectionStart, end: bars.length, times };
+      repeats.push(lastRepeat);
+    }
+    sectionStart = bars.length;
+  };
+
+  // Closes the bar being read; a "%" bar may hold nothing else, a lone "." holds through the
+  // whole bar, and a bar in beats that doesn't fill its time signature is rejected whole, with
+  // its chords.
+  const closeBar = () => {
+    if (current.length > 1 && current[0].repeatBar !== undefined) {
+      rejected.push('%');
+      current.shift();
+    }
+    if (current.length === 1 && current[0].hold) current[0].beats = null;
+    const inBeats = current.some(item => item.beats !== null && item.beats !== undefined);
+    const total = current.reduce((sum, item) => sum + (item.beats === null ? 1 : item.beats), 0);
+    if (inBeats && total !== currentMeter.beats) {
+      rows.splice(barRows);
+      rejected.splice(barRejected, rejected.length, '| ' + barTokens.join(' ') + ' |');
+      current = [];
+    }
+    if (current.length > 0) {
+      bars.push({ items: current, meter: currentMeter });
+      if (!openingMeter) openingMeter = currentMeter;
+    }
+    current = [];
+    currentMeter = meter;
+    barTokens = [];
+    barRows = rows.length;
+    barRejected = rejected.length;
+  };
+
+  (text.match(BAR_TOKEN_PATTERN) || []).map(token => (token === '||' ? '|' : token)).forEach(token => {
+    const timeSignature = token.match(TIME_SIGNATURE_PATTERN);
+    const repeatCount = token.match(REPEAT_COUNT_PATTERN);
+    if (token === '|' || token === '|:' || token === ':|') {
+      // Two bar lines with nothing between them make an empty bar, held like a lone "." (and
+      // rejected like one when there is no chord yet to hold).
+      if (['|', '|:'].includes(previousToken) && token !== '|:' && current.length === 0 &&
+          barTokens.length === 0) {
+        if (rows.length === 0) {
+          rejected.push('| |');
+        } else {
+          current.push({ hold: true, beats: null });
+        }
+      }
+      closeBar();
+      if (token === '|:') sectionStart = bars.length;
+      if (token === ':|') addRepeat(2);
+    } else if (repeatCount) {
+      closeBar();
+      const times = Number(repeatCount[1]);
+      if (times < 1) {
+        rejected.push(token);
+      } else if (lastRepeat && lastRepeat.end === bars.length) {
+        lastRepeat.times = times;
+      } else {
+        addRepeat(times);
+      }
+    } else if (timeSignature) {
+      barTokens.push(token);
+      meter = { beats: Number(timeSignature[1]), unit: Number(timeSignature[2]) };
+      if (current.length === 0) currentMeter = meter;
+    } else if (token === '%' && current.length === 0 && bars.length > 0) {
+      barTokens.push(token);
+      current.push({ repeatBar: bars.length - 1 });
+    } else if (token === '.') {
+      barTokens.push(token);
+      if (rows.length === 0) rejected.push(token);
+      current.push({ hold: true, beats: 1 });
+    } else {
+      const counted = token.match(BEAT_COUNT_PATTERN);
+      const symbol = counted ? counted[1] : token;
+      const beats = counted ? Number(counted[2]) : null;
+      barTokens.push(token);
+      if (beats !== null && beats <= 0) {
+        rejected.push(token);
+      } else if (parseChord(symbol)) {
+        current.push({ row: rows.length, beats });
+        rows.push({ symbol, bar: bars.length + 1, beats: 0 });
+      } else {
+        rejected.push(symbol);
+        current.push({ hold: true, beats });
+      }
+    }
+    previousToken = token;
+  });
+  closeBar();
+
+  // Plays the bars in order, expanding repeats and "%" bars into the timeline.
+  const order = [];
+  bars.forEach((bar, index) => {
+    order.push(index);
+    repeats.filter(repeat => repeat.end === index + 1).forEach(repeat => {
+      const section = order.slice(order.lastIndexOf(repeat.start));
+      for (let time = 1; time < repeat.times; time++) order.push(...section);
+    });
+  });
+
+  const timeline = [];
+  const meters = [];
+  let start = 0;
+  order.forEach(barIndex => {
+    let bar = bars[barIndex];
+    while (bar.items.length === 1 && bar.items[0].repeatBar !== undefined) {
+      bar = { ...bars[bar.items[0].repeatBar], meter: bar.meter };
+    }
+    const lastMeter = meters[meters.length - 1];
+    if (!lastMeter || lastMeter.beats !== bar.meter.beats || lastMeter.unit !== bar.meter.unit) {
+      meters.push({ start, ...bar.meter });
+    }
+    const counted = bar.items.some(item => item.beats !== null);
+    const evenBeats = bar.meter.beats / bar.items.length;
+    const quarterNotes = 4 / bar.meter.unit;
+    bar.items.forEach(item => {
+      const beats = counted ? (item.beats === null ? 1 : item.beats) : evenBeats;
+      const length = beats * quarterNotes;
+      const last = timeline[timeline.length - 1];
+      if (item.row !== undefined) {
+        timeline.push({ row: item.row, start, length });
+      } else if (last) {
+        last.length += length;
+      }
+      start += length;
+    });
+  });
+
+  // A row's beats are those of its first appearance, counted in its bar's meter.
+  rows.forEach((row, index) => {
+    const first = timeline.find(event => event.row === index);
+    const unit = bars[row.bar - 1].meter.unit;
+    row.beats = first ? first.length * unit / 4 : 0;
+  });
+
+  const opening = { ...(openingMeter || meter) };
+  return { rows, timeline, meter: opening, meters: meters.length > 0 ? meters : [{ start: 0, ...opening }], rejected };
+}
+
+// Weights each written chord by how long it sounds in total, so in key detection a chord held
+// for four bars counts four times as much as a one-bar chord. Weights average 1, which keeps a
+// chart on the same scale as a plain chord list and makes repeating the whole chart neutral.
+function getChordWeights(rows, timeline) {
+  const lengths = rows.map((row, index) =>
+    timeline.reduce((sum, event) => (event.row === index ? sum + event.length : sum), 0));
+  const mean = lengths.reduce((sum, length) => sum + length, 0) / (rows.length || 1);
+  return lengths.map(length => (mean > 0 ? length / mean : 1));
+}
+
+/* Transposition */
+
+// Names the key `semitones` above (or below, if negative) a key, in the same mode and with
+// its conventional spelling: transposeKey("A minor", 1) is "Bb minor".
+function transposeKey(key, semitones) {
+  const { tonic, mode } = parseKeyName(key);
+  const tonicIndex = getNoteIndex(tonic);
+  if (tonicIndex === -1 || !Number.isInteger(semitones)) return null;
+  return getKeyName(getDefaultTonic(((tonicIndex + semitones) % 12 + 12) % 12, mode), mode);
+}
+
+// Single accidentals that name a white key, kept in a transposition only when the target key's
+// scale has them (Cb in Gb major).
+const WHITE_KEY_ENHARMONICS = ['Cb', 'Fb', 'E#', 'B#'];
+
+// Moves a progression by a number of semitones or into a target key ("Eb", "F# minor"; its
+// mode only guides spelling). Every chord keeps its suffix and slash bass, and notes move by
+// the interval between the two tonics, letter names included, so the result is spelled in the
+// target key and analyzes to the same numerals. A note that would need a double sharp or flat
+// that way, or a Cb, Fb, E# or B# outside the target scale, takes its name in the target key's
+// scale, or else the key's sharp or flat spelling. Accepts a comma-separated string, a chart with
+// bar lines (only its chord symbols change) or an array of symbols and returns the same form;
+// unparseable symbols are kept as they are. Returns null for an unknown target.
+function transpose(progression, target) {
+  const isArray = Array.isArray(progression);
+  const isChart = !isArray && String(progression).includes('|');
+  const symbols = (isArray ? progression : String(progression).split(','))
+    .map(symbol => String(symbol).trim())
+    .filter(Boolean);
+  let chords = symbols.map(parseChord).filter(Boolean);
+  if (isChart) {
+    const { rows, timeline } = parseProgression(progression);
+    const weights = getChordWeights(rows, timeline);
+    chords = rows.map((row, index) => ({ ...parseChord(row.symbol), weight: weights[index] }));
   }
+  if (chords.length === 0) return isArray ? symbols : isChart ? String(progression) : symbols.join(', ');
+
+  const sourceKey = spellKeyName(detectKey(chords), chords);
+  const targetKey = typeof target === 'number' ? transposeKey(sourceKey, target) : target;
+  const source = parseNoteName(parseKeyName(sourceKey).tonic);
+  const destination = targetKey ? parseNoteName(parseKeyName(targetKey).tonic) : null;
+  if (!destination) return null;
+
+  const letterSteps = (destination.letter - source.letter + 7) % 7;
+  const semitones = (destination.pitchClass - source.pitchClass + 12) % 12;
+  const { tonic: targetTonic, mode: targetMode } = parseKeyName(targetKey);
+  const targetScale = spellScale(targetTonic, getKeyScalePattern(targetMode));
+  const prefersFlats = targetScale.some(note => note && note.includes('b'));
+  const moveNote = note => {
+    const parsed = parseNoteName(note);
+    const pitchClass = (parsed.pitchClass + semitones) % 12;
+    const moved = spellNote((parsed.letter + letterSteps) % 7, pitchClass);
+    const awkward = !moved || /##|bb/.test(moved) || (WHITE_KEY_ENHARMONICS.includes(moved) && !targetScale.includes(moved));
+    if (!awkward) return moved;
+    const inScale = targetScale.find(name => name && getNoteIndex(name) === pitchClass && !/##|bb/.test(name));
+    const names = NOTES[pitchClass].split('/');
+    return inScale || (prefersFlats ? names[names.length - 1] : names[0]);
+  };
 
-  return { numeral: numeral + '*', function: functionName };
+  const moveSymbol = symbol => {
+    if (!parseChord(symbol)) return symbol;
+    const [, root, suffix, bass] = symbol.match(CHORD_SYMBOL_PATTERN);
+    return moveNote(root) + suffix + (bass ? '/' + moveNote(bass) : '');
+  };
+  if (isChart) {
+    return String(progression).replace(BAR_TOKEN_PATTERN, token => {
+      const counted = token.match(BEAT_COUNT_PATTERN);
+      return counted ? moveSymbol(counted[1]) + ':' + counted[2] : moveSymbol(token);
+    });
+  }
+  const transposed = symbols.map(moveSymbol);
+  return isArray ? transposed : transposed.join(', ');
+}
+
+/* Substitutions */
+
+// Chord symbol suffixes for triads and seventh chords, by the semitones of their third, fifth
+// and seventh above the root. Augmented triads are left out as substitutes.
+const TRIAD_SUFFIXES = { '4,7': '', '3,7': 'm', '3,6': 'dim' };
+const SEVENTH_SUFFIXES = { '4,7,11': 'maj7', '4,7,10': '7', '3,7,10': 'm7', '3,6,10': 'm7b5', '3,6,9': 'dim7', '3,7,11': 'mMaj7' };
+
+// Degrees of the parallel minor (in a major key) or parallel major (in a minor key) to borrow
+// for a chord on each degree of the key: iv for ii and IV, bVII for IV and V, bVI for vi, and
+// IV, ii and I in minor.
+const MODAL_INTERCHANGE = {
+  major: { 1: [3, 1], 3: [3, 6], 4: [6], 5: [5] },
+  minor: { 0: [0], 1: [1], 3: [3] }
+};
+
+// Symbol for the triad or seventh chord a scale builds on one of its degrees, or null when
+// the degree can't be spelled or makes no usable chord.
+function buildScaleChord(scale, pattern, degree, isSeventh) {
+  if (!scale[degree]) return null;
+  const above = steps => (pattern[(degree + steps) % 7] - pattern[degree] + 12) % 12;
+  const suffix = isSeventh
+    ? SEVENTH_SUFFIXES[[above(2), above(4), above(6)].join(',')]
+    : TRIAD_SUFFIXES[[above(2), above(4)].join(',')];
+  return suffix === undefined ? null : scale[degree] + suffix;
+}
+
+// Substitutes for one analyzed chord in its key, as { type, chord, description } before their
+// numerals are added: chords a third away that share two tones, a tritone substitute for
+// dominants, chords borrowed from the parallel key, a dominant seventh of the next chord and a
+// diminished seventh passing from this chord's bass to the next one's.
+function findSubstitutes(chord, next, key) {
+  const { tonic, mode } = parseKeyName(key);
+  const pattern = getKeyScalePattern(mode);
+  const scale = spellScale(tonic, pattern);
+  const pitchClasses = chord.intervals.map(interval => (getNoteIndex(chord.root) + interval) % 12);
+  const root = parseNoteName(chord.root);
+  const degree = scale.indexOf(chord.root);
+  const substitutes = [];
+
+  // Diatonic chords a third above and below; minor keys also build them on the harmonic minor.
+  const patterns = mode === 'minor' ? [pattern, MINOR_SCALE_FORMS[1]] : [pattern];
+  if (degree !== -1) {
+    patterns.forEach(scalePattern => {
+      const scaleNotes = spellScale(tonic, scalePattern);
+      [2, 5].forEach(steps => {
+        const symbol = buildScaleChord(scaleNotes, scalePattern, (degree + steps) % 7, chord.isSeventh);
+        const candidate = symbol && parseChord(symbol);
+        if (!candidate) return;
+        const shared = candidate.tones.filter((tone, index) =>
+          pitchClasses.includes((getNoteIndex(candidate.root) + candidate.intervals[index]) % 12));
+        if (shared.length < 2) return;
+        const tones = shared.slice(0, -1).join(', ') + ' and ' + shared[shared.length - 1];
+        substitutes.push({ type: 'diatonic', chord: symbol, description: `Shares ${tones} with ${chord.chord}` });
+      });
+    });
+  }
+
+  // A dominant's tritone substitute: the dominant seventh a tritone away shares its third and seventh.
+  const isDominant = chord.intervals.includes(4) && chord.intervals.includes(10) && !chord.isSuspended;
+  const isDominantTriad = !chord.isSeventh && chord.quality === 'major' && semitoneDiff(tonic, chord.root) === 7;
+  if (isDominant || isDominantTriad) {
+    const substituteRoot = spellNote((root.letter + 4) % 7, (root.pitchClass + 6) % 12);
+    const [third, seventh] = spellChordTones(chord.root, [4, 10], false);
+    if (substituteRoot) {
+      substitutes.push({
+        type: 'tritone',
+        chord: substituteRoot + '7',
+        description: `Tritone substitute for ${chord.chord}: shares its ${third}–${seventh} tritone`
+      });
+    }
+  }
+
+  // Chords borrowed from the parallel minor or major key.
+  const borrowed = MODAL_INTERCHANGE[mode] && degree !== -1 ? MODAL_INTERCHANGE[mode][degree] || [] : [];
+  if (borrowed.length > 0) {
+    const parallelMode = mode === 'major' ? 'minor' : 'major';
+    const parallelPattern = getKeyScalePattern(parallelMode);
+    const parallelScale = spellScale(tonic, parallelPattern);
+    borrowed.forEach(borrowedDegree => {
+      const symbol = buildScaleChord(parallelScale, parallelPattern, borrowedDegree, chord.isSeventh);
+      if (symbol) {
+        substitutes.push({ type: 'modal', chord: symbol, description: `Borrowed from ${getKeyName(tonic, parallelMode)}` });
+      }
+    });
+  }
+
+  if (next && !next.isDiminished) {
+    // The next chord's dominant seventh, a fifth above its root.
+    const target = parseNoteName(next.root);
+    const dominantRoot = spellNote((target.letter + 4) % 7, (target.pitchClass + 7) % 12);
+    if (dominantRoot && !(isDominant && dominantRoot === chord.root)) {
+      substitutes.push({ type: 'secondary', chord: dominantRoot + '7', description: `Leads into ${next.chord} as its dominant` });
+    }
+  }
+
+  if (next) {
+    // A diminished seventh on the semitone between this bass and the next, played after the chord.
+    const bass = parseNoteName(chord.bass || chord.root);
+    const nextBass = getNoteIndex(next.bass || next.root);
+    const step = (nextBass - bass.pitchClass + 12) % 12;
+    const passingRoot = step === 2 || step === 10
+      ? spellNote(bass.letter, (bass.pitchClass + (step === 2 ? 1 : 11)) % 12)
+      : null;
+    if (passingRoot) {
+      substitutes.push({
+        type: 'passing',
+        chord: passingRoot + 'dim7',
+        description: `Passes from ${chord.chord} to ${next.chord}`,
+        passing: true
+      });
+    }
+  }
+  return substitutes;
+}
+
+// Suggests substitutions for every row of an analyzeChords result, each in its row's key:
+// diatonic chords sharing two tones with it, a tritone substitute for dominants, modal
+// interchange from the parallel key (iv, bVI and bVII in major), the dominant of the next
+// chord and a passing diminished seventh into the next chord. Returns one list per row of
+// { type, chord, numeral, function, description }, with the numeral and function analyzeChords
+// would give the substitute there; passing chords (`passing: true`) go after the row's chord
+// rather than replacing it. Substitutes that only repeat the row's chord are left out.
+function suggestSubstitutions(result) {
+  if (!result || !result.key) return [];
+  const chords = result.analysis.map(row => parseChord(row.chord));
+  return result.analysis.map((row, index) => {
+    const key = result.regions[row.region].key;
+    const chord = chords[index];
+    const next = chords[index + 1] || null;
+    const samePitches = candidate => candidate.intervals.length === chord.intervals.length &&
+      semitoneDiff(chord.root, candidate.root) === 0 &&
+      candidate.intervals.every((interval, position) => interval % 12 === chord.intervals[position] % 12);
+    const seen = new Set();
+    return findSubstitutes(chord, next, key)
+      .map(substitute => {
+        const candidate = parseChord(substitute.chord);
+        if (!candidate || seen.has(substitute.chord) || (!substitute.passing && samePitches(candidate))) return null;
+        seen.add(substitute.chord);
+        const roman = getRomanNumeral(candidate, key, next);
+        if (substitute.type === 'secondary' && !/^(Applied Dominant|Dominant)/.test(roman.function)) return null;
+        return { ...substitute, numeral: roman.numeral, function: roman.function };
+      })
+      .filter(Boolean);
+  });
+}
+
+// Swaps one of suggestSubstitutions' suggestions into a progression for the written chord at
+// row `index` and returns the new progression in the same notation. A passing chord is added
+// after the row's chord instead: in a chart it takes the chord's last held beat ("| C . . C#dim7 |"),
+// splits a counted length ("C:3" to "C:2 C#dim7:1"), or else shares the chord's place in the bar.
+// Returns the progression unchanged when it has no such row.
+function substituteChord(progression, index, substitution) {
+  const text = String(progression);
+  const symbol = typeof substitution === 'string' ? substitution : substitution.chord;
+  const passing = typeof substitution === 'object' && substitution.passing === true;
+  if (!text.includes('|')) {
+    let row = -1;
+    return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      if (!parseChord(part) || ++row !== index) return part;
+      return passing ? part + ', ' + symbol : symbol;
+    }).join(', ');
+  }
+
+  const tokens = [...text.matchAll(BAR_TOKEN_PATTERN)];
+  const position = tokens.filter(token => {
+    const counted = token[0].match(BEAT_COUNT_PATTERN);
+    return parseChord(counted ? counted[1] : token[0]);
+  })[index];
+  if (!position) return text;
+  const at = tokens.indexOf(position);
+  const counted = position[0].match(BEAT_COUNT_PATTERN);
+  const splice = (token, replacement) => text.slice(0, token.index) + replacement + text.slice(token.index + token[0].length);
+  if (!passing) return splice(position, symbol + (counted ? ':' + counted[2] : ''));
+
+  if (counted) {
+    const beats = Number(counted[2]);
+    const held = beats >= 2 ? beats - 1 : beats / 2;
+    return splice(position, `${counted[1]}:${held} ${symbol}:${beats - held}`);
+  }
+  let lastHold = null;
+  for (let next = at + 1; next < tokens.length && tokens[next][0] === '.'; next++) lastHold = tokens[next];
+  return lastHold ? splice(lastHold, symbol) : splice(position, position[0] + ' ' + symbol);
+}
+
+/* Next-Chord Suggestions */
+
+// Style presets for suggestNext: which chords get sevenths ("none", "dominant" for V and
+// applied dominants, or "all").
+const NEXT_CHORD_STYLES = {
+  pop: { sevenths: 'none' },
+  jazz: { sevenths: 'all' },
+  classical: { sevenths: 'dominant' }
+};
+
+// Chord symbol suffixes for a chord built on a numeral, by its quality, as a triad or with the
+// seventh a style adds.
+const NUMERAL_CHORD_SUFFIXES = {
+  triad: { major: '', dominant: '', minor: 'm', diminished: 'dim' },
+  seventh: { major: 'maj7', dominant: '7', minor: 'm7', diminished: 'm7b5' }
+};
+
+// Transitions between chords, written as Roman numerals of the key's own scale like
+// KEY_PATTERNS (VII is the subtonic in minor), with applied dominants as "V/x". A transition
+// applies when the progression ends with its `from` numerals ("*" is any chord, and an empty
+// `from` starts a progression), and adds its weight under each style to the chord it leads to;
+// a chord never leads to itself.
+const NEXT_CHORD_TRANSITIONS = {
+  major: [
+    { from: [], to: 'I', reason: 'start on the tonic', weights: { pop: 3, jazz: 2, classical: 3 } },
+    { from: [], to: 'vi', reason: 'start on the relative minor', weights: { pop: 1.5, jazz: 0.5, classical: 0.5 } },
+    { from: [], to: 'ii', reason: 'start on the predominant', weights: { pop: 0.5, jazz: 2, classical: 0 } },
+    { from: ['*'], to: 'I', reason: 'return to the tonic', weights: { pop: 0.5, jazz: 0.5, classical: 0.5 } },
+    { from: ['I'], to: 'IV', reason: 'tonic to subdominant', weights: { pop: 3, jazz: 1, classical: 2 } },
+    { from: ['I'], to: 'V', reason: 'tonic to dominant', weights: { pop: 3, jazz: 1, classical: 2 } },
+    { from: ['I'], to: 'vi', reason: 'tonic to relative minor', weights: { pop: 3, jazz: 2, classical: 2 } },
+    { from: ['I'], to: 'ii', reason: 'tonic to predominant', weights: { pop: 1, jazz: 3, classical: 2 } },
+    { from: ['I'], to: 'iii', reason: 'tonic to mediant', weights: { pop: 1, jazz: 1, classical: 1 } },
+    { from: ['I'], to: 'bVII', reason: 'Mixolydian flat seven', weights: { pop: 1.5, jazz: 0.5, classical: 0 } },
+    { from: ['I'], to: 'V/ii', reason: 'turnaround into ii', weights: { pop: 0.5, jazz: 2.5, classical: 1 } },
+    { from: ['I'], to: 'V/IV', reason: 'tonic becomes the dominant of IV', weights: { pop: 0.5, jazz: 1.5, classical: 1 } },
+    { from: ['ii'], to: 'V', reason: 'predominant to dominant', weights: { pop: 2, jazz: 4, classical: 3 } },
+    { from: ['ii'], to: 'bII', reason: 'tritone substitute for V', weights: { pop: 0, jazz: 2, classical: 0 } },
+    { from: ['ii'], to: 'vii°', reason: 'predominant to leading-tone chord', weights: { pop: 0, jazz: 0.5, classical: 1.5 } },
+    { from: ['ii'], to: 'IV', reason: 'predominant expansion', weights: { pop: 1, jazz: 0.5, classical: 1 } },
+    { from: ['iii'], to: 'vi', reason: 'descending fifth', weights: { pop: 1, jazz: 2, classical: 2 } },
+    { from: ['iii'], to: 'IV', reason: 'step up to the subdominant', weights: { pop: 2, jazz: 0.5, classical: 1 } },
+    { from: ['IV'], to: 'V', reason: 'predominant to dominant', weights: { pop: 3, jazz: 1, classical: 3 } },
+    { from: ['IV'], to: 'I', reason: 'plagal cadence', weights: { pop: 2, jazz: 1, classical: 2 } },
+    { from: ['IV'], to: 'ii', reason: 'predominant expansion', weights: { pop: 1, jazz: 1, classical: 1 } },
+    { from: ['IV'], to: 'iv', reason: 'major to minor subdominant', weights: { pop: 1.5, jazz: 1, classical: 1 } },
+    { from: ['IV'], to: 'vi', reason: 'subdominant to relative minor', weights: { pop: 1, jazz: 0, classical: 0.5 } },
+    { from: ['IV'], to: 'vii°', reason: 'predominant to leading-tone chord', weights: { pop: 0, jazz: 0, classical: 1 } },
+    { from: ['V'], to: 'I', reason: 'authentic resolution', weights: { pop: 3, jazz: 3, classical: 4 } },
+    { from: ['V'], to: 'vi', reason: 'deceptive resolution', weights: { pop: 2, jazz: 1, classical: 2 } },
+    { from: ['V'], to: 'IV', reason: 'retrogression to the subdominant', weights: { pop: 1.5, jazz: 0, classical: 0 } },
+    { from: ['vi'], to: 'IV', reason: 'relative minor to subdominant', weights: { pop: 3, jazz: 1, classical: 1.5 } },
+    { from: ['vi'], to: 'ii', reason: 'descending fifth', weights: { pop: 1, jazz: 3, classical: 2 } },
+    { from: ['vi'], to: 'V', reason: 'relative minor to dominant', weights: { pop: 1.5, jazz: 0.5, classical: 1 } },
+    { from: ['vi'], to: 'iii', reason: 'descending third', weights: { pop: 0.5, jazz: 0.5, classical: 1 } },
+    { from: ['vii°'], to: 'I', reason: 'leading-tone resolution', weights: { pop: 1, jazz: 1, classical: 3 } },
+    { from: ['iv'], to: 'I', reason: 'minor plagal cadence', weights: { pop: 2, jazz: 1, classical: 1.5 } },
+    { from: ['iv'], to: 'V', reason: 'borrowed predominant to dominant', weights: { pop: 1, jazz: 1, classical: 2 } },
+    { from: ['bVI'], to: 'bVII', reason: 'borrowed step up', weights: { pop: 2, jazz: 0.5, classical: 0 } },
+    { from: ['bVI'], to: 'V', reason: 'borrowed predominant to dominant', weights: { pop: 1, jazz: 0.5, classical: 2 } },
+    { from: ['bVII'], to: 'I', reason: 'backdoor resolution', weights: { pop: 2, jazz: 2, classical: 0.5 } },
+    { from: ['bVII'], to: 'IV', reason: 'Mixolydian descent', weights: { pop: 1.5, jazz: 0, classical: 0 } },
+    { from: ['bII'], to: 'I', reason: 'tritone substitute resolution', weights: { pop: 0, jazz: 3, classical: 0 } },
+    { from: ['V/ii'], to: 'ii', reason: 'secondary dominant resolution', weights: { pop: 1, jazz: 3, classical: 2 } },
+    { from: ['V/IV'], to: 'IV', reason: 'secondary dominant resolution', weights: { pop: 1, jazz: 2, classical: 2 } },
+    { from: ['V/V'], to: 'V', reason: 'secondary dominant resolution', weights: { pop: 1, jazz: 2, classical: 3 } },
+    { from: ['V/vi'], to: 'vi', reason: 'secondary dominant resolution', weights: { pop: 1, jazz: 2, classical: 2 } },
+    { from: ['ii', 'V'], to: 'I', reason: 'jazz cadence', weights: { pop: 1, jazz: 4, classical: 2 } },
+    { from: ['IV', 'V'], to: 'I', reason: 'full cadence', weights: { pop: 1, jazz: 0.5, classical: 2 } },
+    { from: ['bVI', 'bVII'], to: 'I', reason: 'Aeolian cadence', weights: { pop: 3, jazz: 1, classical: 0.5 } },
+    { from: ['I', 'V'], to: 'vi', reason: 'pop axis (I–V–vi–IV)', weights: { pop: 2, jazz: 0, classical: 0 } },
+    { from: ['V', 'vi'], to: 'IV', reason: 'pop axis (I–V–vi–IV)', weights: { pop: 2, jazz: 0, classical: 0 } },
+    { from: ['I', 'vi'], to: 'IV', reason: '50s progression (I–vi–IV–V)', weights: { pop: 1.5, jazz: 0, classical: 0 } },
+    { from: ['I', 'vi'], to: 'ii', reason: 'I–vi–ii–V turnaround', weights: { pop: 0, jazz: 2, classical: 1 } },
+    { from: ['vi', 'ii'], to: 'V', reason: 'circle of fifths', weights: { pop: 0.5, jazz: 2, classical: 1.5 } },
+    { from: ['iii', 'vi'], to: 'ii', reason: 'circle of fifths', weights: { pop: 0, jazz: 2, classical: 1.5 } }
+  ],
+  minor: [
+    { from: [], to: 'i', reason: 'start on the tonic', weights: { pop: 3, jazz: 2, classical: 3 } },
+    { from: [], to: 'VI', reason: 'start on the submediant', weights: { pop: 1, jazz: 0, classical: 0 } },
+    { from: [], to: 'ii°', reason: 'start on the predominant', weights: { pop: 0, jazz: 2, classical: 0 } },
+    { from: ['*'], to: 'i', reason: 'return to the tonic', weights: { pop: 0.5, jazz: 0.5, classical: 0.5 } },
+    { from: ['i'], to: 'iv', reason: 'tonic to subdominant', weights: { pop: 2, jazz: 1.5, classical: 2 } },
+    { from: ['i'], to: 'VI', reason: 'tonic to submediant', weights: { pop: 3, jazz: 1, classical: 1.5 } },
+    { from: ['i'], to: 'VII', reason: 'tonic to subtonic', weights: { pop: 2.5, jazz: 0.5, classical: 0.5 } },
+    { from: ['i'], to: 'V', reason: 'tonic to dominant', weights: { pop: 1, jazz: 1, classical: 2 } },
+    { from: ['i'], to: 'III', reason: 'tonic to relative major', weights: { pop: 1.5, jazz: 1, classical: 1 } },
+    { from: ['i'], to: 'ii°', reason: 'tonic to predominant', weights: { pop: 0, jazz: 2.5, classical: 1.5 } },
+    { from: ['i'], to: 'IV', reason: 'Dorian major four', weights: { pop: 1, jazz: 0.5, classical: 0 } },
+    { from: ['ii°'], to: 'V', reason: 'predominant to dominant', weights: { pop: 1, jazz: 4, classical: 3 } },
+    { from: ['IV'], to: 'i', reason: 'Dorian vamp', weights: { pop: 2, jazz: 1, classical: 0.5 } },
+    { from: ['III'], to: 'VI', reason: 'descending fifth', weights: { pop: 1, jazz: 1.5, classical: 2 } },
+    { from: ['III'], to: 'VII', reason: 'relative major to subtonic', weights: { pop: 1.5, jazz: 0.5, classical: 0.5 } },
+    { from: ['iv'], to: 'V', reason: 'predominant to dominant', weights: { pop: 1.5, jazz: 1, classical: 3 } },
+    { from: ['iv'], to: 'i', reason: 'plagal cadence', weights: { pop: 1.5, jazz: 1, classical: 1.5 } },
+    { from: ['iv'], to: 'VII', reason: 'subdominant to subtonic', weights: { pop: 1.5, jazz: 1, classical: 0.5 } },
+    { from: ['V'], to: 'i', reason: 'authentic resolution', weights: { pop: 3, jazz: 3, classical: 4 } },
+    { from: ['V'], to: 'VI', reason: 'deceptive resolution', weights: { pop: 1.5, jazz: 1, classical: 2 } },
+    { from: ['VI'], to: 'VII', reason: 'step up to the subtonic', weights: { pop: 3, jazz: 0.5, classical: 0.5 } },
+    { from: ['VI'], to: 'iv', reason: 'submediant to subdominant', weights: { pop: 1, jazz: 0.5, classical: 1 } },
+    { from: ['VI'], to: 'ii°', reason: 'submediant to predominant', weights: { pop: 0, jazz: 1.5, classical: 1.5 } },
+    { from: ['VI'], to: 'V', reason: 'submediant to dominant', weights: { pop: 1, jazz: 0.5, classical: 1.5 } },
+    { from: ['VII'], to: 'i', reason: 'subtonic resolution', weights: { pop: 2.5, jazz: 0.5, classical: 0.5 } },
+    { from: ['VII'], to: 'III', reason: 'dominant of the relative major', weights: { pop: 2, jazz: 1.5, classical: 1.5 } },
+    { from: ['ii°', 'V'], to: 'i', reason: 'minor jazz cadence', weights: { pop: 1, jazz: 4, classical: 2 } },
+    { from: ['VI', 'VII'], to: 'i', reason: 'Aeolian cadence', weights: { pop: 3, jazz: 1, classical: 0.5 } },
+    { from: ['i', 'VII'], to: 'VI', reason: 'Andalusian descent', weights: { pop: 2, jazz: 0.5, classical: 1 } },
+    { from: ['VII', 'VI'], to: 'V', reason: 'Andalusian cadence', weights: { pop: 2, jazz: 1, classical: 2 } }
+  ]
+};
+
+// Reduces an analyzer numeral to the form the transitions use: no inversion figures, sevenths,
+// added tones, non-diatonic marks or bass degrees ("V65/V" is "V/V", "viiø7" is "vii°").
+function getTransitionNumeral(numeral) {
+  return numeral
+    .replace(/\/(?:b|#)?\d$/, '')
+    .replace(/maj|add6|sus[24]|\*|\d/g, '')
+    .replace('ø', '°');
+}
+
+// Spells the chord a transition numeral names in a key ("bVII" in C is Bb, "V/ii" is A), with
+// a seventh when the style asks for one, or returns null.
+function buildNumeralChord(numeral, tonic, mode, style) {
+  const pattern = getKeyScalePattern(mode);
+  const [chordNumeral, targetNumeral] = numeral.split('/');
+  const tonicName = parseNoteName(tonic);
+  let root, quality;
+  if (targetNumeral) {
+    const target = parsePatternNumeral(targetNumeral, pattern);
+    const targetDegree = ROMAN_NUMERALS.major.indexOf(targetNumeral.replace(/^[b#]|°$/g, '').toUpperCase());
+    if (!target || targetDegree === -1) return null;
+    root = spellNote((tonicName.letter + targetDegree + 4) % 7, (tonicName.pitchClass + target.offset + 7) % 12);
+    quality = 'dominant';
+  } else {
+    const parsed = parsePatternNumeral(chordNumeral, pattern);
+    const degree = ROMAN_NUMERALS.major.indexOf(chordNumeral.replace(/^[b#]|°$/g, '').toUpperCase());
+    if (!parsed || degree === -1) return null;
+    root = spellNote((tonicName.letter + degree) % 7, (tonicName.pitchClass + parsed.offset) % 12);
+    const isDominant = parsed.quality === 'major' && (parsed.offset === 7 || (numeral === 'bII' && mode === 'major'));
+    quality = isDominant ? 'dominant' : parsed.quality;
+  }
+  if (!root) return null;
+  const sevenths = NEXT_CHORD_STYLES[style].sevenths;
+  const withSeventh = sevenths === 'all' || (sevenths === 'dominant' && quality === 'dominant');
+  return root + NUMERAL_CHORD_SUFFIXES[withSeventh ? 'seventh' : 'triad'][quality];
+}
+
+// Suggests chords to follow a progression (a comma list or chart), ranked by a functional
+// harmony model: transitions from the last chord or last few chords, read from the numerals
+// getRomanNumeral gives them in `key` (by default the key the progression ends in), each
+// weighted by `options.style` ("pop", the default, "jazz" or "classical"). Modes use the
+// transitions of the parallel major or minor key. With no chords, suggests how to start in
+// `key`. Returns up to `options.limit` (default 6) suggestions as { chord, numeral, function,
+// reason, score }, where `reason` names the strongest transition behind the chord
+// ("V → I authentic resolution"). Throws on an unknown style.
+function suggestNext(progression, key = null, options = {}) {
+  const style = options.style || 'pop';
+  if (!NEXT_CHORD_STYLES[style]) {
+    throw new Error(`Unknown style: ${style} (use ${Object.keys(NEXT_CHORD_STYLES).join(', ')})`);
+  }
+  const limit = options.limit === undefined ? 6 : options.limit;
+  const input = Array.isArray(progression) ? progression.join(', ') : String(progression || '');
+  const chords = parseProgression(input).rows.map(row => parseChord(row.symbol));
+  if (!key) {
+    if (chords.length === 0) return [];
+    const { regions } = analyzeChords(input);
+    key = regions[regions.length - 1].key;
+  }
+  const { tonic, mode } = parseKeyName(key);
+  if (getNoteIndex(tonic) === -1) return [];
+  // Modes borrow the transitions of the parallel key with the same third.
+  const table = mode === 'minor' || ['dorian', 'phrygian', 'aeolian'].includes(mode) ? 'minor' : 'major';
+  const tableKey = getKeyName(tonic, table);
+  const numerals = chords.map(chord => getTransitionNumeral(getRomanNumeral(chord, tableKey).numeral));
+
+  const suggestions = new Map();
+  NEXT_CHORD_TRANSITIONS[table].forEach(transition => {
+    const weight = transition.weights[style];
+    const { from } = transition;
+    if (!weight || (from.length === 0) !== (numerals.length === 0) || from.length > numerals.length) return;
+    const tail = numerals.slice(numerals.length - from.length);
+    if (!from.every((numeral, index) => numeral === '*' || numeral === tail[index])) return;
+    if (numerals.length > 0 && transition.to === numerals[numerals.length - 1]) return;
+
+    const symbol = buildNumeralChord(transition.to, tonic, table, style);
+    const chord = symbol && parseChord(symbol);
+    if (!chord) return;
+    const existing = suggestions.get(symbol);
+    const reason = tail.concat(transition.to).join(' → ') + ' ' + transition.reason;
+    if (!existing) {
+      const roman = getRomanNumeral(chord, key);
+      suggestions.set(symbol, {
+        chord: symbol,
+        numeral: roman.numeral,
+        function: roman.function,
+        reason,
+        score: weight,
+        strongest: weight
+      });
+    } else {
+      existing.score += weight;
+      if (weight > existing.strongest) Object.assign(existing, { reason, strongest: weight });
+    }
+  });
+  return [...suggestions.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ strongest, ...suggestion }) => ({ ...suggestion, score: Math.round(suggestion.score * 100) / 100 }));
 }
 
 /* Main Analysis Function */
 
-// Splits the comma-separated chord string, detects the key, and returns Roman numeral analysis.
-function analyzeChords(chordString) {
-  const chordStrings = chordString.split(',').map(c => c.trim());
-  const chords = chordStrings.map(parseChord).filter(Boolean);
-  if (chords.length === 0) return { key: null, analysis: [] };
-  const key = detectKey(chords);
-  const analysis = chords.map(chord => {
-    const roman = getRomanNumeral(chord, key);
+// Reads the chord string (a comma list or a chart with bar lines, see parseProgression), detects
+// the key, and returns Roman numeral analysis. Symbols that do not parse are left out of the
+// analysis and listed in `rejected`. Each row records the `bar` it is written in and its
+// `beats`; `timeline` lists the chords as played, repeats included, in quarter notes.
+// `candidates` ranks the most likely keys for the whole progression with confidences and the
+// rules behind each score. Modulating progressions are split into `regions`, each analyzed in
+// its own key; `key` is the key the progression starts in, and pivot chords carry a `pivot`
+// with their numeral in both keys. Pass `options.key` (e.g. "A minor") to analyze every chord
+// in that key instead; `detectedKey` always holds the detected starting key. `options.weights`
+// and `options.rules` re-weight, disable or add key-detection rules (see WEIGHTS and
+// KEY_RULES). Detected keys are spelled to match the input (F# rather than Gb when the chords
+// are written with sharps), and each row lists its chord `tones` spelled by letter.
+function analyzeChords(chordString, options = {}) {
+  const { rows, timeline, meter, meters, rejected } = parseProgression(chordString);
+  const weights = getChordWeights(rows, timeline);
+  const chords = rows.map((row, index) => ({ ...parseChord(row.symbol), weight: weights[index] }));
+  if (chords.length === 0) {
+    return {
+      key: null, detectedKey: null, candidates: [], regions: [], patterns: [], analysis: [], timeline: [],
+      meter, meters, rejected
+    };
+  }
+  // Detection names keys by pitch; the spelling layer then matches them to the input.
+  const spell = detectedKeyName => spellKeyName(detectedKeyName, chords);
+  const candidates = rankKeys(chords, options).map(candidate => ({
+    ...candidate,
+    key: spell(candidate.key),
+    tonic: parseKeyName(spell(candidate.key)).tonic
+  }));
+  const detectedRegions = segmentKeyRegions(chords, options).map(region => ({
+    ...region,
+    key: spell(region.key),
+    pivot: region.pivot && { ...region.pivot, fromKey: spell(region.pivot.fromKey), toKey: spell(region.pivot.toKey) }
+  }));
+  const detectedKey = detectedRegions[0].key;
+  const regions = options.key
+    ? [{ key: options.key, start: 0, end: chords.length, pivot: null }]
+    : detectedRegions;
+  const key = regions[0].key;
+  const { tonic, mode } = parseKeyName(key);
+
+  const analysis = chords.map((chord, index) => {
+    const regionIndex = regions.findIndex(region => index >= region.start && index < region.end);
+    const roman = getRomanNumeral(chord, regions[regionIndex].key, chords[index + 1] || null);
+    const nextRegion = regions[regionIndex + 1];
+    const pivot = nextRegion && nextRegion.pivot && nextRegion.pivot.index === index
+      ? nextRegion.pivot
+      : null;
+    // A cadence into a region's first chord is judged in the key it comes from.
+    const cadenceRegion = index === regions[regionIndex].start && regionIndex > 0
+      ? regionIndex - 1
+      : regionIndex;
+    const regionKey = parseKeyName(regions[cadenceRegion].key);
+    const cadence = index > 0
+      ? getCadence(chords[index - 1], chord, regionKey.tonic, regionKey.mode,
+        isPhraseEnd(chords, index), chords[index - 2] || null)
+      : null;
     return {
       chord: chord.chord,
+      intervals: chord.intervals,
+      tones: chord.tones,
+      bass: chord.bass,
+      inversion: chord.inversion,
       numeral: roman.numeral,
       function: roman.function,
-      diatonic: roman.diatonic
+      diatonic: roman.diatonic,
+      region: regionIndex,
+      pivot,
+      cadence: cadence && { type: cadence, label: CADENCE_LABELS[cadence] },
+      bar: rows[index].bar,
+      beats: rows[index].beats
     };
   });
-  return { key, analysis };
+
+  return {
+    key,
+    tonic,
+    mode,
+    detectedKey,
+    candidates: candidates.slice(0, KEY_CANDIDATE_LIMIT),
+    regions: regions.map(region => ({ ...region, ...parseKeyName(region.key) })),
+    patterns: findRegionPatterns(chords, regions, resolveKeyPatterns(options)),
+    analysis,
+    timeline,
+    meter,
+    meters,
+    rejected
+  };
 }
 
-// Export for browser use.
-window.ChordAnalyzer = {
+// Export for browser use, or as a CommonJS module when loaded by Node.
+(function (exported) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = exported;
+  } else {
+    window.ChordAnalyzer = exported;
+  }
+})({
   analyzeChords,
   parseChord,
+  identifyChord,
+  describeReading,
+  parseProgression,
+  suggestSubstitutions,
+  substituteChord,
+  suggestNext,
+  NEXT_CHORD_STYLES,
+  NUMERAL_CHORD_SUFFIXES,
+  getNoteIndex,
+  parseNoteName,
+  spellNote,
   detectKey,
-  getRomanNumeral
-};
\ No newline at end of file
+  rankKeys,
+  segmentKeyRegions,
+  getRomanNumeral,
+  transpose,
+  transposeKey,
+  loadKeyPatterns,
+  WEIGHTS,
+  KEY_RULES,
+  KEY_PATTERNS
+});
@@ -1,57 +1,82 @@
 /**
  * Example chord progressions for the Chord Analyzer
  * These examples are based on popular songs, all transposed to C
+ * expectedKey and expectedNumerals are checked by test/examples.test.js
  */
 
-window.ChordExamples = [
+(function (examples) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = examples;
+  } else {
+    window.ChordExamples = examples;
+  }
+})([
   {
     name: "Jon Bellion - All Time Low (C)",
     chords: "F, G, Am, C",
-    expectedKey: "C"
+    expectedKey: "C",
+    expectedNumerals: ["IV", "V", "vi", "I"]
   },
   {
+    // Db and Eb are IV and V in Ab, and the C major chord on the mediant is the dominant of vi
+    // (Fm), written V/vi like the other applied chords here.
     name: "Radiohead - Everything In Its Right Place (Ab)",
     chords: "C, Db, Eb",
-    expectedKey: "E"
+    expectedKey: "Ab",
+    expectedNumerals: ["V/vi", "IV", "V"]
   },
   {
     name: "London Grammar - Hey Now (C)",
     chords: "F, Am, G, D",
-    expectedKey: "C"
+    expectedKey: "C",
+    expectedNumerals: ["IV", "vi", "V", "V/V"]
   },
   {
     name: "Deadmau5 - I Remember (C)",
     chords: "A, C, F, E, C, F",
-    expectedKey: "C"
+    expectedKey: "C",
+    expectedNumerals: ["V/ii", "I", "IV", "V/vi", "I", "IV"]
   },
   {
     name: "Avicii - Levels (C)",
     chords: "Am, C, G, F",
-    expectedKey: "C"
+    expectedKey: "C",
+    expectedNumerals: ["vi", "I", "V", "IV"]
   },
   {
     name: "Boards of Canada - Olson (C)",
     chords: "F, G, D",
-    expectedKey: "C"
+    expectedKey: "C",
+    expectedNumerals: ["IV", "V", "V/V"]
   },
   {
     name: "Above & Beyond - Sun & Moon (C)",
     chords: "Am, C, Dm, Am, C, F",
-    expectedKey: "C"
+    expectedKey: "C",
+    expectedNumerals: ["vi", "I", "ii", "vi", "I", "IV"]
   },
   {
     name: "Koven & Circadian - The Outlines (C)",
     chords: "E, F, G",
-    expectedKey: "C"
+    expectedKey: "C",
+    expectedNumerals: ["V/vi", "IV", "V"]
   },
   {
     name: "Charli XCX - Von Dutch (C)",
     chords: "A, C, F, G, A, C, F, D",
-    expectedKey: "C"
+    expectedKey: "C",
+    expectedNumerals: ["V/ii", "I", "IV", "V", "V/ii", "I", "IV", "V/V"]
   },
   {
     name: "Skeler - ID 1 (C)",
     chords: "Dm, E, F",
-    expectedKey: "C"
+    expectedKey: "C",
+    expectedNumerals: ["ii", "V/vi", "IV"]
   },
-];
\ No newline at end of file
+  {
+    name: "Twelve-Bar Blues (C)",
+    chords: "| C | F | C | % | F | % | C | % | G7 | F | C | G7 |",
+    expectedKey: "C",
+    expectedNumerals: ["I", "IV", "I", "IV", "I", "V7", "IV", "I", "V7"]
+  },
+]);
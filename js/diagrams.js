@@ -0,0 +1,300 @@
+/**
+ * Chord Diagrams for the Chord Analyzer
+ * Finds playable guitar shapes for parsed chords in any tuning and capo position, and draws them
+ * and piano keyboards with the chord tones marked, as SVG markup.
+ * Runs as a browser script (window.ChordDiagrams) or as a CommonJS module under Node.
+ */
+
+(function (isModule) {
+  const ChordAnalyzer = isModule ? require('./chord-analyzer.js') : window.ChordAnalyzer;
+
+  /* Guitar Shapes */
+
+  // Open-string MIDI pitches, lowest string first, for the tunings the page offers.
+  const GUITAR_TUNINGS = {
+    standard: { name: 'Standard (E A D G B E)', strings: [40, 45, 50, 55, 59, 64] },
+    halfStepDown: { name: 'Half step down (Eb Ab Db Gb Bb Eb)', strings: [39, 44, 49, 54, 58, 63] },
+    dropD: { name: 'Drop D (D A D G B E)', strings: [38, 45, 50, 55, 59, 64] },
+    openG: { name: 'Open G (D G D G B D)', strings: [38, 43, 50, 55, 59, 62] },
+    openD: { name: 'Open D (D A D F# A D)', strings: [38, 45, 50, 54, 57, 62] },
+    dadgad: { name: 'DADGAD (D A D G A D)', strings: [38, 45, 50, 55, 57, 62] }
+  };
+
+  // Frets a hand covers without stretching, the highest fret shapes start on above the capo, and
+  // the highest that still mixes in open strings.
+  const HAND_SPAN = 4;
+  const HIGHEST_POSITION = 12;
+  const HIGHEST_OPEN_POSITION = 3;
+
+  // Reads a tuning: a GUITAR_TUNINGS name, MIDI pitches, or note names from the lowest string
+  // ("D A D G A D"). Note names are placed from the octave nearest low E, each string above the
+  // one before. Throws on anything else.
+  function parseTuning(tuning) {
+    if (tuning === undefined || tuning === null) return GUITAR_TUNINGS.standard.strings;
+    if (typeof tuning === 'string' && GUITAR_TUNINGS[tuning]) return GUITAR_TUNINGS[tuning].strings;
+    const notes = typeof tuning === 'string' ? tuning.trim().split(/[\s,]+/) : tuning;
+    if (!Array.isArray(notes) || notes.length < 3 || notes.length > 8) {
+      throw new Error('Unknown tuning: ' + tuning);
+    }
+    const strings = [];
+    notes.forEach((note) => {
+      if (typeof note === 'number' && note % 1 === 0) {
+        strings.push(note);
+        return;
+      }
+      const pitchClass = ChordAnalyzer.getNoteIndex(String(note));
+      if (pitchClass === -1) throw new Error('Unknown tuning: ' + tuning);
+      const previous = strings.length > 0 ? strings[strings.length - 1] : 34; // the first string lands in 35-46
+      strings.push(previous + ((((pitchClass - previous) % 12) + 12) % 12 || 12));
+    });
+    return strings;
+  }
+
+  // Pitch classes of a parsed chord's tones with their spelled names, the bass pitch class, and
+  // the tones a shape may leave out: the perfect fifth, and the ninth (and eleventh) under an
+  // eleventh or thirteenth.
+  function getShapeTones(chord) {
+    const root = ChordAnalyzer.getNoteIndex(chord.root);
+    const names = {};
+    chord.intervals.forEach((interval, index) => {
+      const pitchClass = (root + interval) % 12;
+      if (!(pitchClass in names)) names[pitchClass] = chord.tones[index];
+    });
+    const bass = chord.bass ? ChordAnalyzer.getNoteIndex(chord.bass) : root;
+    if (!(bass in names)) names[bass] = chord.bass;
+    const omittable = [7];
+    if (chord.intervals.includes(21)) omittable.push(2, 5);
+    else if (chord.intervals.includes(17)) omittable.push(2);
+    const required = chord.intervals
+      .map((interval) => interval % 12)
+      .filter((interval, index, all) => all.indexOf(interval) === index && !omittable.includes(interval))
+      .map((interval) => (root + interval) % 12);
+    return { root, bass, names, required, chordTones: Object.keys(names).map(Number) };
+  }
+
+  // Fingers a shape needs: one for each fretted note, except that notes on the lowest fretted
+  // fret can share a barre when no open string sounds under it.
+  function countFingers(frets) {
+    const fretted = frets.filter((fret) => fret !== null && fret > 0);
+    if (fretted.length === 0) return 0;
+    const lowest = Math.min(...fretted);
+    const first = frets.indexOf(lowest);
+    const barred = frets.slice(first, frets.lastIndexOf(lowest) + 1);
+    const onLowest = barred.filter((fret) => fret === lowest).length;
+    return fretted.length - onLowest + (barred.includes(0) ? onLowest : 1);
+  }
+
+  // Ranks a complete shape: more strings and open strings, fewer fingers and a lower position
+  // are easier; a stretch of three frets or more and muting a string inside the shape are
+  // awkward; the full chord with its fifth sounds best.
+  function scoreShape(frets, pitchClasses, tones) {
+    const sounding = frets.filter((fret) => fret !== null);
+    const fretted = sounding.filter((fret) => fret > 0);
+    const firstSounding = frets.findIndex((fret) => fret !== null);
+    const innerMutes = frets.slice(firstSounding).filter((fret) => fret === null).length;
+    const position = fretted.length > 0 ? Math.min(...fretted) : 0;
+    const span = fretted.length > 0 ? Math.max(...fretted) - position : 0;
+    const complete = tones.chordTones.every((pitchClass) => pitchClasses.includes(pitchClass));
+    return sounding.length * 2 + (sounding.length - fretted.length) * 0.5 - countFingers(frets) * 0.5 -
+      position * 0.5 - span * 0.5 - (span >= 3 ? 1.5 : 0) - innerMutes * 2 + (complete ? 1 : 0);
+  }
+
+  // Playable guitar shapes for a parsed chord, best first. Options: `tuning` (see parseTuning),
+  // `capo` (0-12) and `limit` (how many shapes, default 3). Every shape plays the bass (the slash
+  // bass, or else the root) on its lowest string, sounds at least four strings (or every string
+  // of a smaller instrument) and includes every chord tone but an omitted fifth or inner
+  // extension, within a four-fret span and four fingers. Shapes are returned as { frets,
+  // position, pitches, notes }: `frets` per string from the lowest, counted from the capo (0 is
+  // open, null is muted), `position` the lowest fretted fret, and the sounding MIDI `pitches`
+  // and spelled `notes` per string (null when muted). Shapes at different positions are
+  // preferred over variants of one another. Throws on an invalid tuning or capo.
+  function findGuitarVoicings(chord, options = {}) {
+    const strings = parseTuning(options.tuning);
+    const capo = options.capo === undefined ? 0 : options.capo;
+    if (!(capo % 1 === 0 && capo >= 0 && capo <= 12)) throw new Error('Capo must be a whole number from 0 to 12');
+    const limit = options.limit === undefined ? 3 : options.limit;
+    if (!chord || ChordAnalyzer.getNoteIndex(chord.root) === -1) return [];
+
+    const tones = getShapeTones(chord);
+    const minimumStrings = Math.min(4, strings.length);
+    const open = strings.map((pitch) => pitch + capo);
+    const shapes = new Map();
+
+    for (let position = 1; position <= HIGHEST_POSITION; position++) {
+      const frets = [];
+      const pitchClasses = [];
+      // Chooses a fret (or a mute) for each string from the lowest; the first sounding string
+      // must play the bass, and no later string may sound below it.
+      const search = (string) => {
+        if (string === strings.length) {
+          const sounding = frets.filter((fret) => fret !== null).length;
+          if (sounding < minimumStrings) return;
+          if (!tones.required.every((pitchClass) => pitchClasses.includes(pitchClass))) return;
+          if (countFingers(frets) > 4) return;
+          const key = frets.join(',');
+          if (!shapes.has(key)) shapes.set(key, { frets: frets.slice(), score: scoreShape(frets, pitchClasses, tones) });
+          return;
+        }
+        const bassString = frets.findIndex((fret) => fret !== null);
+        const bassPlayed = bassString !== -1;
+        const bassPitch = bassPlayed ? open[bassString] + frets[bassString] : -1;
+        const innerMutes = frets.filter((fret, index) => fret === null && frets.slice(0, index).some((other) => other !== null)).length;
+        if (!bassPlayed || innerMutes === 0) {
+          frets.push(null);
+          search(string + 1);
+          frets.pop();
+        }
+        const reachable = Array.from({ length: HAND_SPAN }, (_, offset) => position + offset);
+        (position <= HIGHEST_OPEN_POSITION ? [0].concat(reachable) : reachable).forEach((fret) => {
+          const pitchClass = (open[string] + fret) % 12;
+          if (bassPlayed ? !tones.chordTones.includes(pitchClass) : pitchClass !== tones.bass) return;
+          if (bassPlayed && open[string] + fret <= bassPitch) return;
+          frets.push(fret);
+          pitchClasses.push(pitchClass);
+          search(string + 1);
+          frets.pop();
+          pitchClasses.pop();
+        });
+      };
+      search(0);
+    }
+
+    const ranked = [...shapes.values()].sort((a, b) => b.score - a.score);
+    const chosen = [];
+    const positionOf = (frets) => Math.min(...frets.filter((fret) => fret !== null && fret > 0), Infinity);
+    ranked.forEach((shape) => {
+      if (chosen.length < limit && !chosen.some((other) => positionOf(other.frets) === positionOf(shape.frets))) chosen.push(shape);
+    });
+    ranked.forEach((shape) => {
+      if (chosen.length < limit && !chosen.includes(shape)) chosen.push(shape);
+    });
+
+    return chosen.map(({ frets }) => {
+      const pitches = frets.map((fret, string) => (fret === null ? null : open[string] + fret));
+      const fretted = frets.filter((fret) => fret !== null && fret > 0);
+      return {
+        frets,
+        position: fretted.length > 0 ? Math.min(...fretted) : 0,
+        pitches,
+        notes: pitches.map((pitch) => (pitch === null ? null : tones.names[pitch % 12]))
+      };
+    });
+  }
+
+  /* Piano */
+
+  // Keys to mark for a parsed chord: the bass (the slash bass, or else the root) in the octave
+  // below middle C, and the chord from the root above it, each tone at its interval so
+  // extensions sit above the seventh. Empty for chords without a readable root.
+  function getKeyboardPitches(chord) {
+    const root = chord ? ChordAnalyzer.getNoteIndex(chord.root) : -1;
+    if (root === -1) return [];
+    const bassIndex = chord.bass ? ChordAnalyzer.getNoteIndex(chord.bass) : -1;
+    const bass = 48 + (bassIndex === -1 ? root : bassIndex);
+    return [bass].concat(chord.intervals.map((interval) => 60 + root + interval));
+  }
+
+  /* Drawing */
+
+  const escapeText = (text) => String(text).replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+  // Pitch classes of the black keys, and each key's position among the white keys.
+  const BLACK_KEYS = [1, 3, 6, 8, 10];
+  const WHITE_KEY_INDEX = [0, 0, 1, 1, 2, 3, 3, 4, 4, 5, 5, 6];
+
+  const KEY_WIDTH = 14;
+  const KEY_HEIGHT = 56;
+  const BLACK_KEY_WIDTH = 9;
+  const BLACK_KEY_HEIGHT = 34;
+
+  // Draws a piano keyboard with `pitches` (MIDI numbers) marked and the lowest, the bass, in
+  // its own color. The keyboard runs from the C at or below the lowest pitch through the B
+  // at or above the highest, at least two octaves. `label` names the notes for screen readers.
+  function renderKeyboard(pitches, label) {
+    const lowest = pitches.length > 0 ? Math.min(...pitches) : 60;
+    const highest = pitches.length > 0 ? Math.max(...pitches) : 71;
+    const start = lowest - (lowest % 12);
+    const octaves = Math.max(2, Math.floor((highest - start) / 12) + 1);
+    const bass = pitches.length > 0 ? lowest : null;
+    const x = (pitch) => (Math.floor((pitch - start) / 12) * 7 + WHITE_KEY_INDEX[pitch % 12]) * KEY_WIDTH;
+    const keyClass = (pitch, color) => ['key', color]
+      .concat(pitch === bass ? ['chord-bass'] : pitches.includes(pitch) ? ['chord-tone'] : []).join(' ');
+
+    const white = [];
+    const black = [];
+    for (let pitch = start; pitch < start + octaves * 12; pitch++) {
+      if (BLACK_KEYS.includes(pitch % 12)) {
+        black.push(`<rect class="${keyClass(pitch, 'black')}" x="${x(pitch) + KEY_WIDTH - BLACK_KEY_WIDTH / 2}" y="0" ` +
+          `width="${BLACK_KEY_WIDTH}" height="${BLACK_KEY_HEIGHT}" />`);
+      } else {
+        white.push(`<rect class="${keyClass(pitch, 'white')}" x="${x(pitch)}" y="0" width="${KEY_WIDTH}" height="${KEY_HEIGHT}" />`);
+      }
+    }
+    const width = octaves * 7 * KEY_WIDTH;
+    return `<svg class="keyboard-diagram" viewBox="0 0 ${width} ${KEY_HEIGHT}" width="${width}" height="${KEY_HEIGHT}" ` +
+      `role="img" aria-label="${escapeText(label || '')}">` + white.join('') + black.join('') + '</svg>';
+  }
+
+  const STRING_GAP = 14;
+  const FRET_GAP = 18;
+  const FRETS_SHOWN = 5;
+  const DIAGRAM_TOP = 22;
+  const DIAGRAM_LEFT = 18;
+  const DIAGRAM_RIGHT = 28; // room for the fret number
+
+  // Draws a chord box for a findGuitarVoicings shape: strings left (lowest) to right, open and
+  // muted strings marked above the nut, the bass note in its own color, and the starting fret
+  // beside the box when the shape sits up the neck. `capo` is noted under the box.
+  function renderGuitarDiagram(shape, capo) {
+    const strings = shape.frets.length;
+    const top = shape.position > 2 ? shape.position : 1;
+    const width = DIAGRAM_LEFT + STRING_GAP * (strings - 1) + DIAGRAM_RIGHT;
+    const height = DIAGRAM_TOP + FRET_GAP * FRETS_SHOWN + (capo ? 22 : 8);
+    const right = DIAGRAM_LEFT + STRING_GAP * (strings - 1);
+    const bottom = DIAGRAM_TOP + FRET_GAP * FRETS_SHOWN;
+    const bassString = shape.frets.findIndex((fret) => fret !== null);
+    const parts = [];
+
+    for (let fret = 0; fret <= FRETS_SHOWN; fret++) {
+      const y = DIAGRAM_TOP + fret * FRET_GAP;
+      parts.push(`<line class="${fret === 0 && top === 1 ? 'nut' : 'fret'}" x1="${DIAGRAM_LEFT}" y1="${y}" x2="${right}" y2="${y}" />`);
+    }
+    for (let string = 0; string < strings; string++) {
+      const x = DIAGRAM_LEFT + string * STRING_GAP;
+      parts.push(`<line class="string" x1="${x}" y1="${DIAGRAM_TOP}" x2="${x}" y2="${bottom}" />`);
+      const fret = shape.frets[string];
+      const tone = string === bassString ? 'chord-bass' : 'chord-tone';
+      if (fret === null) {
+        parts.push(`<text class="string-mark" x="${x}" y="${DIAGRAM_TOP - 6}">×</text>`);
+      } else if (fret === 0) {
+        parts.push(`<circle class="open ${tone}" cx="${x}" cy="${DIAGRAM_TOP - 9}" r="4" />`);
+      } else {
+        parts.push(`<circle class="${tone}" cx="${x}" cy="${DIAGRAM_TOP + (fret - top + 0.5) * FRET_GAP}" r="5" />`);
+      }
+    }
+    if (top > 1) {
+      parts.push(`<text class="fret-number" x="${right + 5}" y="${DIAGRAM_TOP + FRET_GAP * 0.5 + 4}">${top}fr</text>`);
+    }
+    if (capo) {
+      parts.push(`<text class="capo-mark" x="${(DIAGRAM_LEFT + right) / 2}" y="${bottom + 16}">Capo ${capo}</text>`);
+    }
+    const label = shape.frets.map((fret) => (fret === null ? 'x' : fret)).join(' ') +
+      ' (' + shape.notes.filter(Boolean).join(' ') + ')';
+    return `<svg class="guitar-diagram" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" ` +
+      `role="img" aria-label="${escapeText(label)}">` + parts.join('') + '</svg>';
+  }
+
+  const exported = {
+    findGuitarVoicings,
+    parseTuning,
+    getKeyboardPitches,
+    renderKeyboard,
+    renderGuitarDiagram,
+    GUITAR_TUNINGS
+  };
+  if (isModule) {
+    module.exports = exported;
+  } else {
+    window.ChordDiagrams = exported;
+  }
+})(typeof module !== 'undefined' && !!module.exports);
@@ -0,0 +1,461 @@
+/**
+ * Melody Harmonization for the Chord Analyzer
+ * Reads a melody typed as note names with durations, or from a MIDI file, finds its key and
+ * proposes chord progressions for it from the key's diatonic and commonly borrowed chords.
+ * Runs as a browser script (window.ChordHarmonize) or as a CommonJS module under Node.
+ */
+
+(function (isModule) {
+  const ChordAnalyzer = isModule ? require('./chord-analyzer.js') : window.ChordAnalyzer;
+
+  // A melody's notes and their names come from MIDI import's file parser and pitch spellings.
+  function getMidiImport() {
+    return isModule ? require('./midi-import.js') : window.ChordMidiImport;
+  }
+
+  /* Reading Melodies */
+
+  // Octave of the first note when it isn't written.
+  const DEFAULT_OCTAVE = 4;
+
+  const NOTE_TOKEN_PATTERN = /^([A-Ga-g])(##|bb|#|b)?(-?\d)?(?::(\d*\.?\d+))?$/;
+  const REST_TOKEN_PATTERN = /^(?:r|rest)(?::(\d*\.?\d+))?$/i;
+  const METER_TOKEN_PATTERN = /^(\d{1,2})\/(1|2|4|8|16|32)$/;
+
+  // Reads a melody written as note tokens: a note name with an optional octave (C4 is middle C)
+  // and an optional length in beats after a colon ("E4:1", "F#:0.5"), or a rest ("r:2"). A note
+  // without an octave takes the one closest to the note before it, and a token without a length
+  // lasts as long as the one before it (a beat at first). Bar lines are ignored, and a time
+  // signature before the first note ("3/4") sets the meter. Returns { notes, meter, length } with
+  // notes as { name, pitch, start, length } (MIDI pitch, times in quarter notes) and the whole
+  // length in quarter notes. Throws on a token that isn't a note.
+  function parseMelody(text) {
+    let meter = { beats: 4, unit: 4 };
+    const notes = [];
+    let time = 0;
+    let beats = 1;
+    let previousPitch = null;
+    String(text).split(/[\s,|]+/).filter(Boolean).forEach((token) => {
+      const meterMatch = token.match(METER_TOKEN_PATTERN);
+      if (meterMatch && notes.length === 0 && time === 0) {
+        meter = { beats: Number(meterMatch[1]), unit: Number(meterMatch[2]) };
+        return;
+      }
+      const rest = token.match(REST_TOKEN_PATTERN);
+      const note = rest ? null : token.match(NOTE_TOKEN_PATTERN);
+      if (!rest && !note) throw new Error('Not a note: ' + token);
+      const count = rest ? rest[1] : note[4];
+      if (count !== undefined) beats = Number(count);
+      if (!(beats > 0)) throw new Error('Not a note length: ' + token);
+      const length = beats * 4 / meter.unit;
+      if (note) {
+        const letter = note[1].toUpperCase();
+        const accidental = note[2] || '';
+        // Counted from the letter's own octave, so Cb4 is a semitone below C4 and B#4 one above B4.
+        const letterPitch = ChordAnalyzer.getNoteIndex(letter);
+        const pitchClass = ChordAnalyzer.parseNoteName(letter + accidental).pitchClass;
+        const natural = letterPitch + (pitchClass - letterPitch + 14) % 12 - 2;
+        const pitch = note[3] !== undefined
+          ? natural + 12 * (Number(note[3]) + 1)
+          : natural + 12 * (previousPitch === null ? DEFAULT_OCTAVE + 1 : Math.round((previousPitch - natural) / 12));
+        if (pitch < 0 || pitch > 127) throw new Error('Note out of range: ' + token);
+        notes.push({ name: letter + accidental + ((pitch - natural) / 12 - 1), pitch, start: time, length });
+        previousPitch = pitch;
+      }
+      time += length;
+    });
+    return { notes, meter, length: time };
+  }
+
+  // Reads the melody of a MIDI file: the highest note starting at each moment, cut short where
+  // the next one starts, so chords and accompaniment under a melody line are left out. Returns
+  // parseMelody's { notes, meter, length } plus the file's `tempo` (BPM, or null). Throws on
+  // data that isn't a MIDI file.
+  function readMidiMelody(data) {
+    const parsed = getMidiImport().parseMidiFile(data);
+    const onsets = [];
+    parsed.notes.forEach((note) => {
+      const last = onsets[onsets.length - 1];
+      if (last && last.start === note.start) {
+        if (note.pitch > last.pitch) onsets[onsets.length - 1] = note;
+      } else {
+        onsets.push(note);
+      }
+    });
+    const toQuarters = (ticks) => ticks / parsed.ticksPerQuarter;
+    const names = getMidiImport().getPitchNames(parsed.keySignature);
+    const notes = onsets.map((note, index) => {
+      const next = onsets[index + 1];
+      const end = next ? Math.min(note.end, next.start) : note.end;
+      return {
+        name: names[note.pitch % 12] + (Math.floor(note.pitch / 12) - 1),
+        pitch: note.pitch,
+        start: toQuarters(note.start),
+        length: toQuarters(end - note.start)
+      };
+    });
+    const last = notes[notes.length - 1];
+    return {
+      notes,
+      meter: parsed.timeSignature || { beats: 4, unit: 4 },
+      length: last ? last.start + last.length : 0,
+      tempo: parsed.tempo
+    };
+  }
+
+  // Writes a melody back as the tokens parseMelody reads, with rests for the gaps, a bar line
+  // before each note that starts a bar, and the time signature up front when it isn't 4/4.
+  function formatMelody(melody) {
+    const beatLength = 4 / melody.meter.unit;
+    const barLength = melody.meter.beats * beatLength;
+    const formatLength = (quarters) => String(Math.round(quarters / beatLength * 1000) / 1000);
+    const tokens = melody.meter.beats === 4 && melody.meter.unit === 4 ? [] : [melody.meter.beats + '/' + melody.meter.unit];
+    let time = 0;
+    melody.notes.forEach((note) => {
+      if (note.start > time + 1e-6) tokens.push('r:' + formatLength(note.start - time));
+      const bars = note.start / barLength;
+      if (note.start > 0 && Math.abs(bars - Math.round(bars)) < 1e-6) tokens.push('|');
+      tokens.push(note.name + ':' + formatLength(note.length));
+      time = note.start + note.length;
+    });
+    return tokens.join(' ');
+  }
+
+  /* Finding the Key */
+
+  // Krumhansl-Kessler key profiles: how strongly each scale degree (from the tonic) belongs to
+  // a major or minor key.
+  const KEY_PROFILES = {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+  };
+
+  // Added to a key's correlation when the melody ends on its tonic.
+  const FINAL_TONIC_BONUS = 0.15;
+
+  // The scale degrees (semitones above the tonic) a melody in each mode keeps to: the major
+  // scale, and natural minor with its leading tone.
+  const KEY_SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10, 11]
+  };
+
+  // Taken from a key's correlation per share of the melody's length outside the key's scale;
+  // strong enough that a long final note can't carry a key the melody leaves ("C D E F G:4" is
+  // C, not G).
+  const OUT_OF_KEY_PENALTY = 3;
+
+  const correlate = (a, b) => {
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const meanA = mean(a);
+    const meanB = mean(b);
+    let product = 0;
+    let squaresA = 0;
+    let squaresB = 0;
+    a.forEach((value, index) => {
+      product += (value - meanA) * (b[index] - meanB);
+      squaresA += (value - meanA) * (value - meanA);
+      squaresB += (b[index] - meanB) * (b[index] - meanB);
+    });
+    return squaresA === 0 || squaresB === 0 ? 0 : product / Math.sqrt(squaresA * squaresB);
+  };
+
+  // Whether a melody backs up a minor key: its leading tone sounds, or its dominant does and the
+  // melody ends on the tonic.
+  function hasMinorKeyEvidence(weights, finalPitchClass, tonic) {
+    return weights[(tonic + 11) % 12] > 0 || (weights[(tonic + 7) % 12] > 0 && finalPitchClass === tonic);
+  }
+
+  // Ranks the 24 major and minor keys for a melody (text or a parsed melody) by how well its
+  // pitch classes, weighted by how long they sound, fit each key's profile; a final note on the
+  // tonic counts in the key's favour and notes outside the key's scale count against it. A minor
+  // key without evidence (hasMinorKeyEvidence) is held to the score of its relative or parallel
+  // major, so "E D C D | E E E" is C rather than E minor.
+  // Returns [{ key, score }], best first, with keys named as analyzeChords names them ("Eb",
+  // "C# minor"). Empty for a melody without notes.
+  function detectMelodyKey(melody) {
+    const { notes } = typeof melody === 'string' ? parseMelody(melody) : melody;
+    if (notes.length === 0) return [];
+    const weights = new Array(12).fill(0);
+    notes.forEach((note) => {
+      weights[note.pitch % 12] += note.length;
+    });
+    const length = weights.reduce((sum, weight) => sum + weight, 0);
+    const finalPitchClass = notes[notes.length - 1].pitch % 12;
+    const keys = [];
+    Object.keys(KEY_PROFILES).forEach((mode) => {
+      for (let tonic = 0; tonic < 12; tonic++) {
+        const profile = weights.map((weight, pitchClass) => KEY_PROFILES[mode][(pitchClass - tonic + 12) % 12]);
+        const outOfKey = weights.reduce((sum, weight, pitchClass) =>
+          (KEY_SCALES[mode].includes((pitchClass - tonic + 12) % 12) ? sum : sum + weight), 0) / length;
+        const score = correlate(weights, profile) + (finalPitchClass === tonic ? FINAL_TONIC_BONUS : 0) -
+          OUT_OF_KEY_PENALTY * outOfKey;
+        keys.push({ mode, tonic, score });
+      }
+    });
+    keys.forEach((entry) => {
+      if (entry.mode !== 'minor' || hasMinorKeyEvidence(weights, finalPitchClass, entry.tonic)) return;
+      const majors = keys.filter((other) => other.mode === 'major' && [0, 3].includes((other.tonic - entry.tonic + 12) % 12));
+      entry.score = Math.min(entry.score, Math.max(...majors.map((other) => other.score)));
+    });
+    return keys
+      .map(({ mode, tonic, score }) => ({
+        key: ChordAnalyzer.transposeKey(mode === 'major' ? 'C' : 'C minor', tonic),
+        score: Math.round(score * 1000) / 1000
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /* Harmonizing */
+
+  // The chords a harmonization chooses from: each key's diatonic triads and the chords most
+  // often borrowed from the parallel key, as a scale step and semitones above the tonic.
+  // Modes harmonize with the chords of the parallel major or minor key.
+  const HARMONIZATION_CHORDS = {
+    major: [
+      { numeral: 'I', step: 0, offset: 0, quality: 'major' },
+      { numeral: 'ii', step: 1, offset: 2, quality: 'minor' },
+      { numeral: 'iii', step: 2, offset: 4, quality: 'minor' },
+      { numeral: 'IV', step: 3, offset: 5, quality: 'major' },
+      { numeral: 'V', step: 4, offset: 7, quality: 'dominant' },
+      { numeral: 'vi', step: 5, offset: 9, quality: 'minor' },
+      { numeral: 'vii°', step: 6, offset: 11, quality: 'diminished' },
+      { numeral: 'iv', step: 3, offset: 5, quality: 'minor', borrowed: true },
+      { numeral: 'bVI', step: 5, offset: 8, quality: 'major', borrowed: true },
+      { numeral: 'bVII', step: 6, offset: 10, quality: 'major', borrowed: true }
+    ],
+    minor: [
+      { numeral: 'i', step: 0, offset: 0, quality: 'minor' },
+      { numeral: 'ii°', step: 1, offset: 2, quality: 'diminished' },
+      { numeral: 'III', step: 2, offset: 3, quality: 'major' },
+      { numeral: 'iv', step: 3, offset: 5, quality: 'minor' },
+      { numeral: 'V', step: 4, offset: 7, quality: 'dominant' },
+      { numeral: 'VI', step: 5, offset: 8, quality: 'major' },
+      { numeral: 'VII', step: 6, offset: 10, quality: 'major' },
+      { numeral: 'vii°', step: 6, offset: 11, quality: 'diminished' },
+      { numeral: 'IV', step: 3, offset: 5, quality: 'major', borrowed: true },
+      { numeral: 'v', step: 4, offset: 7, quality: 'minor', borrowed: true }
+    ]
+  };
+
+  const MINOR_MODES = ['minor', 'aeolian', 'dorian', 'phrygian', 'locrian'];
+
+  // How a harmonization is scored: the share of the melody each chord holds as chord tones
+  // (notes on the chord's first beat count `accent` more, and other notes count against it by
+  // `nonChordTone`), how strongly suggestNext leads from each chord to the next (a held chord
+  // counts `hold`), a penalty per borrowed chord, bonuses for starting and ending on the tonic,
+  // and the penalty that keeps each further proposal away from the chords chosen before.
+  const HARMONIZATION_WEIGHTS = {
+    melody: 3,
+    accent: 0.5,
+    nonChordTone: 0.5,
+    transition: 1.5,
+    hold: 0.25,
+    borrowed: 0.6,
+    startOnTonic: 1,
+    endOnTonic: 1.5,
+    repeat: 1
+  };
+
+  // Default number of proposals.
+  const HARMONIZATION_COUNT = 3;
+
+  // The candidate chords of a key in a style, spelled from its tonic, with their pitch classes.
+  // A root that would need a double accidental takes the name a major key on it has (A, not Bbb).
+  function getCandidateChords(key, style) {
+    const [tonic, mode = 'major'] = String(key).trim().split(/\s+/);
+    const tonicName = ChordAnalyzer.parseNoteName(tonic);
+    if (!tonicName) throw new Error('Unknown key: ' + key);
+    const sevenths = ChordAnalyzer.NEXT_CHORD_STYLES[style].sevenths;
+    const entries = HARMONIZATION_CHORDS[MINOR_MODES.includes(mode.toLowerCase()) ? 'minor' : 'major'];
+    return entries.map((entry) => {
+      const pitchClass = (tonicName.pitchClass + entry.offset) % 12;
+      const spelled = ChordAnalyzer.spellNote((tonicName.letter + entry.step) % 7, pitchClass);
+      const root = spelled && !/##|bb/.test(spelled) ? spelled : ChordAnalyzer.transposeKey('C', pitchClass);
+      const withSeventh = sevenths === 'all' || (sevenths === 'dominant' && entry.quality === 'dominant');
+      const symbol = root + ChordAnalyzer.NUMERAL_CHORD_SUFFIXES[withSeventh ? 'seventh' : 'triad'][entry.quality];
+      const chord = ChordAnalyzer.parseChord(symbol);
+      return {
+        symbol,
+        numeral: entry.numeral,
+        borrowed: !!entry.borrowed,
+        tonic: entry.offset === 0 && !entry.borrowed,
+        root: pitchClass,
+        minor: chord.isMinor || chord.isDiminished,
+        pitchClasses: chord.tones.map((tone) => ChordAnalyzer.getNoteIndex(tone))
+      };
+    });
+  }
+
+  // How well each candidate fits the melody in each segment, from -nonChordTone to 1.
+  function getMelodyFit(notes, candidates, segmentLength, segmentCount) {
+    const fits = [];
+    for (let segment = 0; segment < segmentCount; segment++) {
+      const start = segment * segmentLength;
+      const end = start + segmentLength;
+      const weighted = notes
+        .map((note) => {
+          const overlap = Math.min(end, note.start + note.length) - Math.max(start, note.start);
+          const accented = Math.abs(note.start - start) < 1e-6;
+          return { pitchClass: note.pitch % 12, weight: overlap > 0 ? overlap * (accented ? 1 + HARMONIZATION_WEIGHTS.accent : 1) : 0 };
+        })
+        .filter((note) => note.weight > 0);
+      const total = weighted.reduce((sum, note) => sum + note.weight, 0);
+      fits.push(candidates.map((candidate) => (total === 0 ? 0 : weighted.reduce((sum, note) =>
+        sum + note.weight * (candidate.pitchClasses.includes(note.pitchClass) ? 1 : -HARMONIZATION_WEIGHTS.nonChordTone), 0) / total)));
+    }
+    return fits;
+  }
+
+  // How strongly each candidate leads to each other, from suggestNext's ranking in the key and
+  // style, scaled so the strongest move from each chord is 1.
+  function getTransitions(candidates, key, style) {
+    return candidates.map((from) => {
+      const suggestions = ChordAnalyzer.suggestNext(from.symbol, key, { style, limit: Infinity });
+      const strongest = suggestions.reduce((most, suggestion) => Math.max(most, suggestion.score), 0);
+      return candidates.map((to) => {
+        if (to === from) return HARMONIZATION_WEIGHTS.hold;
+        const match = suggestions.find((suggestion) => {
+          const chord = ChordAnalyzer.parseChord(suggestion.chord);
+          return chord && ChordAnalyzer.getNoteIndex(chord.root) === to.root &&
+            (chord.isMinor || chord.isDiminished) === to.minor;
+        });
+        return match && strongest > 0 ? match.score / strongest : 0;
+      });
+    });
+  }
+
+  // The best-scoring chord per segment (Viterbi), with `penalties[segment][candidate]`
+  // subtracted. Returns { path, score } where the score leaves the penalties out.
+  function findBestPath(local, transitions, penalties) {
+    let best = local[0].map((score, candidate) => ({ score: score - penalties[0][candidate], raw: score, path: [candidate] }));
+    for (let segment = 1; segment < local.length; segment++) {
+      best = local[segment].map((score, candidate) => {
+        let chosen = null;
+        best.forEach((previous) => {
+          const step = HARMONIZATION_WEIGHTS.transition * transitions[previous.path[previous.path.length - 1]][candidate];
+          const total = previous.score + step + score - penalties[segment][candidate];
+          if (!chosen || total > chosen.score) {
+            chosen = { score: total, raw: previous.raw + step + score, path: previous.path.concat(candidate) };
+          }
+        });
+        return chosen;
+      });
+    }
+    const winner = best.reduce((top, option) => (option.score > top.score ? option : top));
+    return { path: winner.path, score: winner.raw };
+  }
+
+  // Writes one chord per segment as a chart: "." where a chord holds, one token per bar when a
+  // bar has a single chord, and the time signature up front when it isn't 4/4.
+  function toChart(symbols, beatsPerChord, meter) {
+    const beats = [];
+    symbols.forEach((symbol, index) => {
+      beats.push(index > 0 && symbol === symbols[index - 1] ? '.' : symbol);
+      for (let beat = 1; beat < beatsPerChord; beat++) beats.push('.');
+    });
+    while (beats.length % meter.beats !== 0) beats.push('.');
+    const bars = [];
+    for (let start = 0; start < beats.length; start += meter.beats) {
+      const bar = beats.slice(start, start + meter.beats);
+      bars.push(bar.slice(1).every((token) => token === '.') ? bar[0] : bar.join(' '));
+    }
+    const meterLabel = meter.beats === 4 && meter.unit === 4 ? '' : meter.beats + '/' + meter.unit + ' ';
+    return '| ' + meterLabel + bars.join(' | ') + ' |';
+  }
+
+  // Proposes chord progressions for a melody (text for parseMelody, or a parsed melody such as
+  // readMidiMelody returns). Options: `key` (by default the best of detectMelodyKey),
+  // `beatsPerChord` or `barsPerChord` for the harmonic rhythm (a chord per bar by default),
+  // `count` of proposals (default 3), `style` ("pop", "jazz" or "classical", as suggestNext takes
+  // them, for the chords' sevenths and the moves between them) and any analyzeChords options.
+  // Each chord is chosen from the key's diatonic and commonly borrowed chords for the melody
+  // notes it holds and how well it follows the chord before. Returns { key, melody, proposals }
+  // with proposals best first, each { progression, chords, score, analysis }: the chart, its
+  // chords ({ symbol, numeral, borrowed, start, beats } with held chords merged), a score per
+  // chord and the analyzeChords result of the chart in the key. Throws on a melody without
+  // notes, an unknown key or style, or an invalid harmonic rhythm or count.
+  function harmonizeMelody(melody, options = {}) {
+    const parsed = typeof melody === 'string' ? parseMelody(melody) : melody;
+    if (parsed.notes.length === 0) throw new Error('The melody has no notes');
+    const style = options.style || 'pop';
+    if (!ChordAnalyzer.NEXT_CHORD_STYLES[style]) {
+      throw new Error('Unknown style: ' + style + ' (use ' + Object.keys(ChordAnalyzer.NEXT_CHORD_STYLES).join(', ') + ')');
+    }
+    if (options.beatsPerChord && options.barsPerChord) throw new Error('Give bars or beats per chord, not both');
+    const beatsPerChord = options.beatsPerChord ||
+      (options.barsPerChord ? options.barsPerChord * parsed.meter.beats : parsed.meter.beats);
+    if (!(beatsPerChord % 1 === 0 && beatsPerChord >= 1 && beatsPerChord <= 64)) {
+      throw new Error('Chords must last a whole number of beats');
+    }
+    const count = options.count === undefined ? HARMONIZATION_COUNT : options.count;
+    if (!(count % 1 === 0 && count >= 1)) throw new Error('Proposal count must be a whole number of at least 1');
+    const key = options.key || detectMelodyKey(parsed)[0].key;
+
+    const candidates = getCandidateChords(key, style);
+    const segmentLength = beatsPerChord * 4 / parsed.meter.unit;
+    const segmentCount = Math.max(1, Math.ceil(parsed.length / segmentLength - 1e-6));
+    const fits = getMelodyFit(parsed.notes, candidates, segmentLength, segmentCount);
+    const transitions = getTransitions(candidates, key, style);
+    const local = fits.map((segmentFits, segment) => segmentFits.map((fit, index) => {
+      const candidate = candidates[index];
+      let score = HARMONIZATION_WEIGHTS.melody * fit;
+      if (candidate.borrowed) score -= HARMONIZATION_WEIGHTS.borrowed;
+      if (candidate.tonic && segment === 0) score += HARMONIZATION_WEIGHTS.startOnTonic;
+      if (candidate.tonic && segment === segmentCount - 1) score += HARMONIZATION_WEIGHTS.endOnTonic;
+      return score;
+    }));
+
+    // Each search after the first is steered away from the chords already proposed, until
+    // `count` different progressions are found or the searches stop finding new ones.
+    const penalties = local.map((segmentFits) => segmentFits.map(() => 0));
+    const found = [];
+    for (let attempt = 0; found.length < count && attempt < count * 4; attempt++) {
+      const { path, score } = findBestPath(local, transitions, penalties);
+      if (!found.some((proposal) => proposal.path.join() === path.join())) found.push({ path, score });
+      path.forEach((candidate, segment) => {
+        penalties[segment][candidate] += HARMONIZATION_WEIGHTS.repeat;
+      });
+    }
+
+    const analysisOptions = Object.assign({}, options, { key });
+    ['beatsPerChord', 'barsPerChord', 'count', 'style'].forEach((name) => delete analysisOptions[name]);
+    const proposals = found
+      .sort((a, b) => b.score - a.score)
+      .map(({ path, score }) => {
+        const symbols = path.map((candidate) => candidates[candidate].symbol);
+        const progression = toChart(symbols, beatsPerChord, parsed.meter);
+        const chords = [];
+        path.forEach((index, segment) => {
+          const last = chords[chords.length - 1];
+          if (last && last.symbol === candidates[index].symbol) {
+            last.beats += beatsPerChord;
+            return;
+          }
+          const { symbol, numeral, borrowed } = candidates[index];
+          chords.push({ symbol, numeral, borrowed, start: segment * beatsPerChord, beats: beatsPerChord });
+        });
+        return {
+          progression,
+          chords,
+          score: Math.round(score / segmentCount * 100) / 100,
+          analysis: ChordAnalyzer.analyzeChords(progression, analysisOptions)
+        };
+      });
+    return { key, melody: parsed, proposals };
+  }
+
+  const exported = {
+    harmonizeMelody,
+    parseMelody,
+    readMidiMelody,
+    formatMelody,
+    detectMelodyKey,
+    HARMONIZATION_CHORDS
+  };
+  if (isModule) {
+    module.exports = exported;
+  } else {
+    window.ChordHarmonize = exported;
+  }
+})(typeof module !== 'undefined' && !!module.exports);
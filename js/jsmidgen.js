@@ -548,6 +548,44 @@ var Midi = {};
 		return this;
 	};
 
+	/**
+	 * Set the time signature for the track.
+	 *
+	 * @param {number} numerator - The number of beats in a bar.
+	 * @param {number} denominator - The note value of a beat (2, 4, 8, ...).
+	 * @param {number} [time=0] - The number of ticks since the previous event,
+	 * defaults to 0.
+	 * @returns {Track} The current track.
+	 */
+	Track.prototype.setTimeSignature = Track.prototype.timeSignature = function(numerator, denominator, time) {
+		this.events.push(new MetaEvent({
+			type: MetaEvent.TIME_SIG,
+			// 24 MIDI clocks per metronome click, 8 thirty-second notes per quarter
+			data: [numerator, Math.round(Math.log(denominator) / Math.LN2), 24, 8],
+			time: time || 0,
+		}));
+		return this;
+	};
+
+	/**
+	 * Set the key signature for the track.
+	 *
+	 * @param {number} accidentals - The number of sharps (positive) or flats
+	 * (negative), from -7 to 7.
+	 * @param {boolean} [minor=false] - Whether the key is minor.
+	 * @param {number} [time=0] - The number of ticks since the previous event,
+	 * defaults to 0.
+	 * @returns {Track} The current track.
+	 */
+	Track.prototype.setKeySignature = Track.prototype.keySignature = function(accidentals, minor, time) {
+		this.events.push(new MetaEvent({
+			type: MetaEvent.KEY_SIG,
+			data: [(accidentals + 256) % 256, minor ? 1 : 0],
+			time: time || 0,
+		}));
+		return this;
+	};
+
 	/**
 	 * Serialize the track to an array of bytes.
 	 *
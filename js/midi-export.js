@@ -0,0 +1,349 @@
+/**
+ * MIDI Export for the Chord Analyzer
+ * Voices analyzed chords and writes them to a Standard MIDI File with jsmidgen.
+ * Runs as a browser script (window.ChordMidi) or as a CommonJS module under Node.
+ */
+
+(function (isModule) {
+  const ChordAnalyzer = isModule ? require('./chord-analyzer.js') : window.ChordAnalyzer;
+
+  // jsmidgen is looked up when a file is written, so the browser may load it after this script.
+  function getMidi() {
+    return isModule ? require('./jsmidgen.js') : window.Midi;
+  }
+
+  // Voicings come from the voicing engine (js/voicing.js), which the browser loads first.
+  function getVoicing() {
+    return isModule ? require('./voicing.js') : window.ChordVoicing;
+  }
+
+  // Every tone of the chord as MIDI pitches, bass first. Options are voiceChord's:
+  // `style` (close, open, drop2, shell or spread) and `range` ({ low, high }).
+  function getChordNotes(chord, options) {
+    return getVoicing().voiceChord(chord, options);
+  }
+
+  // jsmidgen's resolution: ticks per quarter note.
+  const TICKS_PER_QUARTER = 128;
+
+  // Export settings used when an option is left out. `timeSignature` defaults to the
+  // progression's own meter, and chord lengths to its timeline.
+  const MIDI_EXPORT_DEFAULTS = {
+    tempo: 120,
+    timeSignature: null,
+    barsPerChord: null,
+    beatsPerChord: null,
+    loop: 1,
+    program: 0,
+    bassProgram: 32,
+    velocity: 90,
+    separateBass: false,
+    melody: null,
+    melodyProgram: 0
+  };
+
+  // A few General MIDI programs (0-based) offered by the export dialog; any 0-127 is accepted.
+  const MIDI_PROGRAMS = [
+    { program: 0, name: 'Acoustic Grand Piano' },
+    { program: 4, name: 'Electric Piano 1' },
+    { program: 16, name: 'Drawbar Organ' },
+    { program: 19, name: 'Church Organ' },
+    { program: 24, name: 'Acoustic Guitar (nylon)' },
+    { program: 25, name: 'Acoustic Guitar (steel)' },
+    { program: 32, name: 'Acoustic Bass' },
+    { program: 33, name: 'Electric Bass (finger)' },
+    { program: 48, name: 'String Ensemble 1' },
+    { program: 52, name: 'Choir Aahs' },
+    { program: 61, name: 'Brass Section' },
+    { program: 88, name: 'Pad 1 (new age)' }
+  ];
+
+  // Position of each letter on the circle of fifths from C, and of each mode's tonic from its
+  // parent major's, for key signatures.
+  const LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+  const MODE_FIFTHS = { major: 0, lydian: 1, mixolydian: -1, dorian: -2, minor: -3, aeolian: -3, phrygian: -4, locrian: -5 };
+
+  // Key signature of a key name ("Eb", "F# minor", "D Mixolydian"): `accidentals` counts sharps
+  // (positive) or flats (negative), and `minor` is set for minor keys. Modes take their parent
+  // major's signature. Spellings beyond seven accidentals use the enharmonic key.
+  function getKeySignature(key) {
+    const [tonic, mode = 'major'] = key.split(/\s+/);
+    const accidental = tonic.slice(1);
+    const sharps = (accidental.match(/#/g) || []).length + 2 * (accidental.match(/x/g) || []).length -
+      (accidental.match(/b/g) || []).length;
+    let accidentals = LETTER_FIFTHS[tonic[0].toUpperCase()] + 7 * sharps + (MODE_FIFTHS[mode.toLowerCase()] || 0);
+    if (accidentals > 7) accidentals -= 12;
+    if (accidentals < -7) accidentals += 12;
+    return { accidentals, minor: mode.toLowerCase() === 'minor' };
+  }
+
+  // Reads a time signature given as "6/8" or { beats, unit }.
+  function parseTimeSignature(value) {
+    const match = typeof value === 'string' ? value.trim().match(/^(\d+)\/(\d+)$/) : null;
+    const meter = match ? { beats: Number(match[1]), unit: Number(match[2]) } : value;
+    if (!meter || !(meter.beats >= 1 && meter.beats <= 32) || meter.beats % 1 !== 0 ||
+        ![1, 2, 4, 8, 16, 32].includes(meter.unit)) {
+      throw new Error('Time signature must look like 3/4 or 6/8');
+    }
+    return { beats: meter.beats, unit: meter.unit };
+  }
+
+  // Checks export options and fills in the defaults; throws on values a MIDI file can't hold.
+  function resolveExportOptions(options, meter) {
+    const settings = Object.assign({}, MIDI_EXPORT_DEFAULTS, options);
+    const isWhole = (value, low, high) => value % 1 === 0 && value >= low && value <= high;
+    if (!(settings.tempo >= 20 && settings.tempo <= 300)) throw new Error('Tempo must be between 20 and 300 BPM');
+    if (!isWhole(settings.loop, 1, 99)) throw new Error('Loop count must be a whole number from 1 to 99');
+    if (!isWhole(settings.velocity, 1, 127)) throw new Error('Velocity must be a whole number from 1 to 127');
+    ['program', 'bassProgram', 'melodyProgram'].forEach((name) => {
+      if (!isWhole(settings[name], 0, 127)) throw new Error('General MIDI program must be a whole number from 0 to 127');
+    });
+    if (settings.barsPerChord && settings.beatsPerChord) throw new Error('Give bars or beats per chord, not both');
+    ['barsPerChord', 'beatsPerChord'].forEach((name) => {
+      if (settings[name] !== null && settings[name] !== undefined && !(settings[name] > 0)) {
+        throw new Error('Chord length must be a positive number');
+      }
+    });
+    if (settings.melody && !(Array.isArray(settings.melody) && settings.melody.every((note) =>
+      isWhole(note.pitch, 0, 127) && note.start >= 0 && note.length > 0))) {
+      throw new Error('Melody notes need a MIDI pitch, a start and a length');
+    }
+    // The melody keeps its own timing, so the chords must keep theirs to stay under it.
+    if (settings.melody && (settings.barsPerChord || settings.beatsPerChord)) {
+      throw new Error('Chord lengths stay as written when a melody is attached');
+    }
+    settings.timeSignature = parseTimeSignature(settings.timeSignature || meter || { beats: 4, unit: 4 });
+    return settings;
+  }
+
+  // The rows to play and their lengths in ticks: the timeline, repeats included, played `loop`
+  // times. Each entry's `rest` is the silence before it (beats of a chart with no chord yet). A
+  // fixed number of bars or beats per chord (in the export's time signature) replaces the
+  // timeline's lengths and leaves no rests.
+  function getPlayedSequence(timeline, settings) {
+    const beatLength = 4 / settings.timeSignature.unit;
+    const fixedLength = settings.beatsPerChord
+      ? settings.beatsPerChord * beatLength
+      : (settings.barsPerChord ? settings.barsPerChord * settings.timeSignature.beats * beatLength : null);
+    const toTicks = (quarters) => Math.round(quarters * TICKS_PER_QUARTER);
+    const sequence = [];
+    for (let pass = 0; pass < settings.loop; pass++) {
+      let end = 0;
+      timeline.forEach((event) => {
+        const rest = fixedLength ? 0 : Math.max(0, toTicks(event.start) - toTicks(end));
+        sequence.push({ row: event.row, ticks: toTicks(fixedLength || event.length), rest });
+        end = event.start + event.length;
+      });
+    }
+    return sequence;
+  }
+
+  // Adds a track to the file, named when there is more than one, with its program change.
+  function addTrack(file, name, channel, program) {
+    const Midi = getMidi();
+    const track = new Midi.Track();
+    file.addTrack(track);
+    if (name) track.addEvent(new Midi.MetaEvent({ type: Midi.MetaEvent.TRACK_NAME, data: name }));
+    track.setInstrument(channel, program);
+    return track;
+  }
+
+  // Tempo, time signature and (when the key is known) key signature, at the start of a track.
+  function addConductorEvents(track, key, settings) {
+    track.setTempo(settings.tempo);
+    track.setTimeSignature(settings.timeSignature.beats, settings.timeSignature.unit);
+    if (key) {
+      const signature = getKeySignature(key);
+      track.setKeySignature(signature.accidentals, signature.minor);
+    }
+  }
+
+  const readTicks = (time) => time.reduce((ticks, byte) => (ticks << 7) | (byte & 0x7f), 0);
+
+  // Inserts an event `ticks` from the start of a track, ahead of any event already at that time.
+  function insertEventAt(track, event, ticks) {
+    let elapsed = 0;
+    for (let index = 0; index < track.events.length; index++) {
+      const delta = readTicks(track.events[index].time);
+      if (elapsed + delta >= ticks) {
+        event.setTime(ticks - elapsed);
+        track.events[index].setTime(elapsed + delta - ticks);
+        track.events.splice(index, 0, event);
+        return;
+      }
+      elapsed += delta;
+    }
+    event.setTime(ticks - elapsed);
+    track.events.push(event);
+  }
+
+  // Writes the chart's later time signatures (`meters`, see parseProgression) where they fall,
+  // in every loop pass, on a track whose notes are already written. Only when the export keeps
+  // the chart's own meter and chord lengths; an explicit time signature or a fixed chord length
+  // replaces the bars.
+  function addMeterChanges(track, meters, timeline, options, settings) {
+    if (!meters || meters.length < 2 || (options && options.timeSignature) ||
+        settings.barsPerChord || settings.beatsPerChord) {
+      return;
+    }
+    const Midi = getMidi();
+    const last = timeline[timeline.length - 1];
+    const passLength = last ? last.start + last.length : 0;
+    let written = meters[0];
+    for (let pass = 0; pass < settings.loop; pass++) {
+      meters.forEach((meter) => {
+        if (meter.beats === written.beats && meter.unit === written.unit) return;
+        const event = new Midi.MetaEvent({
+          type: Midi.MetaEvent.TIME_SIG,
+          data: [meter.beats, Math.round(Math.log2(meter.unit)), 24, 8]
+        });
+        insertEventAt(track, event, Math.round((pass * passLength + meter.start) * TICKS_PER_QUARTER));
+        written = meter;
+      });
+    }
+  }
+
+  const getTimeline = (rows, timeline) => timeline || rows.map((row, index) => ({ row: index, start: index * 4, length: 4 }));
+
+  // The chords of an analyzeChords result as they are performed: `events` in playing order, each
+  // { row, start, length, pitches } with times in quarter notes and the voiced MIDI pitches (bass
+  // first), and the resolved export `settings`. createMidiFile writes these events, and in-browser
+  // playback plays them, so both sound the same. Takes createMidiFile's options.
+  function getChordEvents(analysis, options) {
+    const settings = resolveExportOptions(options, analysis.meter);
+    const events = getPlayedSequence(getTimeline(analysis.analysis, analysis.timeline), settings)
+      .map((event) => Object.assign({ chord: ChordAnalyzer.parseChord(analysis.analysis[event.row].chord) }, event));
+    let start = 0;
+    events.forEach((event) => {
+      event.start = start + event.rest / TICKS_PER_QUARTER;
+      event.length = event.ticks / TICKS_PER_QUARTER;
+      start = event.start + event.length;
+    });
+    const voiced = events.filter((event) => event.chord);
+    const voicings = getVoicing().voiceProgression(voiced.map((event) => event.chord), options);
+    return {
+      settings,
+      events: voiced.map((event, index) => ({ row: event.row, start: event.start, length: event.length, pitches: voicings[index] }))
+    };
+  }
+
+  // Builds a MIDI file from an analyzeChords result. Chords play in the order and for the
+  // lengths of the result's timeline, repeats included; results without one play each chord
+  // for a 4/4 bar. The chords are voiced as a progression, led smoothly from one to the next.
+  // Options (see MIDI_EXPORT_DEFAULTS) set the `tempo`, `timeSignature`, `barsPerChord` or
+  // `beatsPerChord`, `loop` count, General MIDI `program` and note `velocity`; `separateBass`
+  // writes a Type 1 file with the bass on its own track (`bassProgram`). The key signature
+  // follows the analyzed key. A `melody` ({ pitch, start, length } notes, in quarter notes from
+  // the start of the progression) goes on a track of its own (`melodyProgram`), played again
+  // with each loop; it can't be combined with `barsPerChord` or `beatsPerChord`. Voicing
+  // options (`style`, `range`, `voiceLeading`) pass through to voiceProgression.
+  function createMidiFile(analysis, options) {
+    const Midi = getMidi();
+    if (!Midi) throw new Error('jsmidgen library not found.');
+    const { settings, events } = getChordEvents(analysis, options);
+
+    const file = new Midi.File();
+    const named = settings.separateBass || !!settings.melody;
+    const chordTrack = addTrack(file, named ? 'Chords' : null, 0, settings.program);
+    addConductorEvents(chordTrack, analysis.key, settings);
+    const bassTrack = settings.separateBass ? addTrack(file, 'Bass', 1, settings.bassProgram) : null;
+    if (settings.melody) addMelodyTrack(file, settings, events);
+
+    let end = 0;
+    events.forEach(({ pitches, start, length }) => {
+      const ticks = Math.round(length * TICKS_PER_QUARTER);
+      if (pitches.length === 0) return;
+      const rest = Math.round(start * TICKS_PER_QUARTER) - Math.round(end * TICKS_PER_QUARTER);
+      end = start + length;
+      if (bassTrack) {
+        bassTrack.addNote(1, pitches[0], ticks, rest, settings.velocity);
+        addChordAfter(chordTrack, 0, pitches.slice(1), ticks, rest, settings.velocity);
+      } else {
+        addChordAfter(chordTrack, 0, pitches, ticks, rest, settings.velocity);
+      }
+    });
+    addMeterChanges(chordTrack, analysis.meters, getTimeline(analysis.analysis, analysis.timeline), options, settings);
+
+    return file;
+  }
+
+  // Like jsmidgen's addChord, after `rest` ticks of silence.
+  function addChordAfter(track, channel, pitches, ticks, rest, velocity) {
+    pitches.forEach((pitch, index) => track.noteOn(channel, pitch, index === 0 ? rest : 0, velocity));
+    pitches.forEach((pitch, index) => track.noteOff(channel, pitch, index === 0 ? ticks : 0));
+  }
+
+  // Writes the melody on channel 3, once per loop pass. Notes that would overlap the previous
+  // one are left out, since the track is a single line.
+  function addMelodyTrack(file, settings, events) {
+    const track = addTrack(file, 'Melody', 2, settings.melodyProgram);
+    const last = events[events.length - 1];
+    const passLength = last ? (last.start + last.length) / settings.loop : 0;
+    const toTicks = (quarters) => Math.round(quarters * TICKS_PER_QUARTER);
+    let cursor = 0;
+    for (let pass = 0; pass < settings.loop; pass++) {
+      settings.melody.forEach((note) => {
+        const start = pass * passLength + note.start;
+        if (start < cursor) return;
+        const end = start + note.length;
+        track.addNote(2, note.pitch, toTicks(end) - toTicks(start), toTicks(start) - toTicks(cursor), settings.velocity);
+        cursor = end;
+      });
+    }
+  }
+
+  // Builds a four-track MIDI file from a realizeSATB result: soprano, alto, tenor and bass each
+  // on their own track and channel, following the timeline like createMidiFile and taking the
+  // same options (`program` applies to every voice; `separateBass` does not apply). Rows the
+  // realization couldn't set are silent.
+  function createSATBMidiFile(realization, options) {
+    const Midi = getMidi();
+    if (!Midi) throw new Error('jsmidgen library not found.');
+    const settings = resolveExportOptions(options, realization.meter);
+
+    const file = new Midi.File();
+    const sequence = getPlayedSequence(getTimeline(realization.chords, realization.timeline), settings);
+    ['soprano', 'alto', 'tenor', 'bass'].forEach((voice, channel) => {
+      const track = addTrack(file, voice[0].toUpperCase() + voice.slice(1), channel, settings.program);
+      if (channel === 0) addConductorEvents(track, realization.key, settings);
+      let rest = 0;
+      sequence.forEach((event) => {
+        const pitches = realization.chords[event.row].pitches;
+        rest += event.rest;
+        if (!pitches) {
+          rest += event.ticks;
+          return;
+        }
+        track.addNote(channel, pitches[voice], event.ticks, rest, settings.velocity);
+        rest = 0;
+      });
+      if (channel === 0) {
+        addMeterChanges(track, realization.meters, getTimeline(realization.chords, realization.timeline), options, settings);
+      }
+    });
+
+    return file;
+  }
+
+  // Download name for an analysis, e.g. "progression-in-Fsharp-minor.mid".
+  function getMidiFileName(analysis) {
+    const key = analysis.key || 'C';
+    return "progression-in-" + key.replace('#', 'sharp').replace(/^([A-G])b/, '$1flat').replace(' ', '-') + ".mid";
+  }
+
+  const exported = {
+    getChordNotes,
+    getChordEvents,
+    createMidiFile,
+    createSATBMidiFile,
+    getMidiFileName,
+    getKeySignature,
+    MIDI_EXPORT_DEFAULTS,
+    MIDI_PROGRAMS
+  };
+  if (isModule) {
+    module.exports = exported;
+  } else {
+    window.ChordMidi = exported;
+  }
+})(typeof module !== 'undefined' && !!module.exports);
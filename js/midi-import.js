@@ -0,0 +1,264 @@
+/**
+ * MIDI Import for the Chord Analyzer
+ * Reads Standard MIDI Files, groups the notes that sound together into chords per beat or bar,
+ * names each chord and writes the result as a chart that analyzeChords reads.
+ * Runs as a browser script (window.ChordMidiImport) or as a CommonJS module under Node.
+ */
+
+(function (isModule) {
+  const ChordAnalyzer = isModule ? require('./chord-analyzer.js') : window.ChordAnalyzer;
+
+  /* Reading MIDI Files */
+
+  // General MIDI percussion lives on channel 10 (index 9); its notes aren't pitches.
+  const PERCUSSION_CHANNEL = 9;
+
+  // Data bytes that follow each channel-message status (by its high nibble).
+  const CHANNEL_MESSAGE_LENGTHS = { 0x8: 2, 0x9: 2, 0xa: 2, 0xb: 2, 0xc: 1, 0xd: 1, 0xe: 2 };
+
+  // Accepts an ArrayBuffer, typed array, Node Buffer, array of bytes or binary string (as
+  // jsmidgen's toBytes returns).
+  function toByteArray(data) {
+    if (typeof data === 'string') return Uint8Array.from(data, (char) => char.charCodeAt(0) & 0xff);
+    if (Object.prototype.toString.call(data) === '[object ArrayBuffer]') return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    if (Array.isArray(data)) return Uint8Array.from(data);
+    throw new Error('MIDI data must be bytes or a binary string');
+  }
+
+  // Parses a Standard MIDI File into its notes ({ pitch, channel, velocity, start, end } in
+  // ticks, percussion left out), the ticks per quarter note, and the first tempo (BPM), time
+  // signature ({ beats, unit }) and key signature ({ accidentals, minor }) found, or null.
+  // Throws on data that isn't a MIDI file.
+  function parseMidiFile(data) {
+    const bytes = toByteArray(data);
+    const readText = (offset) => String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    const readNumber = (offset, length) => {
+      let value = 0;
+      for (let i = 0; i < length; i++) value = value * 256 + bytes[offset + i];
+      return value;
+    };
+    if (bytes.length < 14 || readText(0) !== 'MThd') throw new Error('Not a MIDI file');
+
+    const headerLength = readNumber(4, 4);
+    const format = readNumber(8, 2);
+    const trackCount = readNumber(10, 2);
+    const division = readNumber(12, 2);
+    if (division & 0x8000) throw new Error('MIDI files timed in SMPTE frames are not supported');
+
+    const result = { format, ticksPerQuarter: division, tempo: null, timeSignature: null, keySignature: null, notes: [] };
+    let offset = 8 + headerLength;
+    for (let track = 0; track < trackCount && offset + 8 <= bytes.length; track++) {
+      const length = readNumber(offset + 4, 4);
+      if (readText(offset) === 'MTrk') readTrack(bytes, offset + 8, Math.min(offset + 8 + length, bytes.length), result);
+      offset += 8 + length;
+    }
+    result.notes.sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+    return result;
+  }
+
+  // Reads one track's events into `result`, pairing note-ons with their note-offs (a note-on
+  // with velocity 0 is a note-off). Notes still sounding at the end of the track end there.
+  function readTrack(bytes, start, end, result) {
+    let position = start;
+    let time = 0;
+    let status = 0;
+    const sounding = new Map();
+    const readVariableLength = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = bytes[position++];
+        value = value * 128 + (byte & 0x7f);
+      } while (byte & 0x80 && position < end);
+      return value;
+    };
+    const startNote = (channel, pitch, velocity) => {
+      const key = channel * 128 + pitch;
+      if (!sounding.has(key)) sounding.set(key, []);
+      sounding.get(key).push({ pitch, channel, velocity, start: time, end: time });
+    };
+    const stopNote = (channel, pitch) => {
+      const started = sounding.get(channel * 128 + pitch);
+      if (!started || started.length === 0) return;
+      const note = started.shift();
+      note.end = time;
+      if (note.end > note.start) result.notes.push(note);
+    };
+
+    while (position < end) {
+      time += readVariableLength();
+      let byte = bytes[position];
+      if (byte & 0x80) {
+        position++;
+      } else {
+        byte = status; // running status: the data byte belongs to the previous message
+      }
+
+      if (byte === 0xff) {
+        const type = bytes[position++];
+        const length = readVariableLength();
+        readMetaEvent(type, bytes.subarray(position, position + length), result);
+        position += length;
+      } else if (byte === 0xf0 || byte === 0xf7) {
+        position += readVariableLength();
+      } else if (CHANNEL_MESSAGE_LENGTHS[byte >> 4]) {
+        status = byte;
+        const type = byte >> 4;
+        const channel = byte & 0x0f;
+        const first = bytes[position];
+        const second = bytes[position + 1];
+        position += CHANNEL_MESSAGE_LENGTHS[type];
+        if (channel === PERCUSSION_CHANNEL) continue;
+        if (type === 0x9 && second > 0) startNote(channel, first, second);
+        if (type === 0x8 || (type === 0x9 && second === 0)) stopNote(channel, first);
+      } else {
+        break; // not a status byte we can read; the rest of the track is unusable
+      }
+    }
+    sounding.forEach((notes) => notes.forEach((note) => {
+      note.end = time;
+      if (note.end > note.start) result.notes.push(note);
+    }));
+  }
+
+  // Keeps the first tempo, time signature and key signature of the file.
+  function readMetaEvent(type, data, result) {
+    if (type === 0x51 && data.length === 3 && result.tempo === null) {
+      result.tempo = Math.round(60000000 / (data[0] * 65536 + data[1] * 256 + data[2]) * 100) / 100;
+    } else if (type === 0x58 && data.length >= 2 && result.timeSignature === null) {
+      result.timeSignature = { beats: data[0], unit: Math.pow(2, data[1]) };
+    } else if (type === 0x59 && data.length === 2 && result.keySignature === null) {
+      result.keySignature = { accidentals: data[0] > 127 ? data[0] - 256 : data[0], minor: data[1] === 1 };
+    }
+  }
+
+  /* Naming Chords */
+
+  const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+  const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+  // Without a key signature: the spellings most lead sheets use.
+  const COMMON_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+  // The names of the 12 pitch classes under a key signature ({ accidentals }, or null): flats
+  // or sharps as the signature has them.
+  function getPitchNames(keySignature) {
+    if (!keySignature) return COMMON_NAMES;
+    return keySignature.accidentals < 0 ? FLAT_NAMES : SHARP_NAMES;
+  }
+
+  // Names the chord formed by pitch classes (heaviest first) over a bass with identifyChord's
+  // best reading. Notes no chord symbol accounts for are dropped, lightest first. Returns null
+  // for fewer than two pitch classes.
+  function nameChord(pitchClasses, bass, names) {
+    const tones = [bass].concat(pitchClasses.filter((pitchClass) => pitchClass !== bass));
+    while (tones.length >= 2) {
+      const [best] = ChordAnalyzer.identifyChord(tones.map((pitchClass) => names[pitchClass]));
+      if (best) return best.chord;
+      tones.pop();
+    }
+    return null;
+  }
+
+  /* Segmenting */
+
+  // Share of the busiest pitch class's sounding time a pitch class needs to count as a chord
+  // tone in its segment; shorter passing notes are left out.
+  const CHORD_TONE_SHARE = 0.25;
+
+  // Groups the notes into segments of a beat or a bar (`segment`, default "bar") and names the
+  // chord sounding in each. Each pitch class is weighted by how long it sounds in the segment,
+  // and the bass is the lowest note of the chord tones. Segments with fewer than two pitch
+  // classes (rests, a bass line alone) are null.
+  function segmentNotes(parsed, options = {}) {
+    const meter = parsed.timeSignature || { beats: 4, unit: 4 };
+    const beatTicks = parsed.ticksPerQuarter * 4 / meter.unit;
+    const segmentTicks = options.segment === 'beat' ? beatTicks : beatTicks * meter.beats;
+    const names = getPitchNames(parsed.keySignature);
+    const lastTick = parsed.notes.reduce((latest, note) => Math.max(latest, note.end), 0);
+
+    const segments = [];
+    for (let start = 0; start < lastTick; start += segmentTicks) {
+      const end = start + segmentTicks;
+      const weights = new Array(12).fill(0);
+      const lowest = new Array(12).fill(Infinity);
+      parsed.notes.forEach((note) => {
+        const overlap = Math.min(end, note.end) - Math.max(start, note.start);
+        if (overlap <= 0) return;
+        weights[note.pitch % 12] += overlap;
+        lowest[note.pitch % 12] = Math.min(lowest[note.pitch % 12], note.pitch);
+      });
+      const heaviest = Math.max(...weights);
+      const pitchClasses = weights
+        .map((weight, pitchClass) => (heaviest > 0 && weight >= heaviest * CHORD_TONE_SHARE ? pitchClass : -1))
+        .filter((pitchClass) => pitchClass !== -1)
+        .sort((a, b) => weights[b] - weights[a]);
+      const bass = pitchClasses.reduce((low, pitchClass) => (low === -1 || lowest[pitchClass] < lowest[low] ? pitchClass : low), -1);
+      segments.push({ start: start / beatTicks, beats: segmentTicks / beatTicks, symbol: nameChord(pitchClasses, bass, names) });
+    }
+    return { segments, meter };
+  }
+
+  /* Importing */
+
+  // Writes segments as a chart in bar notation: one token per segment, "." where the chord
+  // holds, and the time signature up front when it isn't 4/4. The chart starts at the first
+  // chord, so a pickup rest isn't written as dots with nothing to hold, and its last bar is
+  // filled out with dots so every bar adds up to the meter.
+  function toChart(segments, meter, segmentsPerBar) {
+    const first = segments.findIndex((segment) => segment.symbol);
+    if (first === -1) return '';
+    const bars = [];
+    let previous = null;
+    segments.slice(first).forEach((segment, index) => {
+      if (index % segmentsPerBar === 0) bars.push([]);
+      const token = segment.symbol && segment.symbol !== previous ? segment.symbol : '.';
+      if (segment.symbol) previous = segment.symbol;
+      bars[bars.length - 1].push(token);
+    });
+    while (bars[bars.length - 1].every((token) => token === '.')) bars.pop();
+    const last = bars[bars.length - 1];
+    while (last.length < segmentsPerBar) last.push('.');
+    const meterLabel = meter.beats === 4 && meter.unit === 4 ? '' : meter.beats + '/' + meter.unit + ' ';
+    return '| ' + meterLabel + bars.map((bar) => bar.join(' ')).join(' | ') + ' |';
+  }
+
+  // Imports a MIDI file and analyzes its chords. Options: `segment` ("bar", the default, or
+  // "beat") and any analyzeChords options. Returns { progression, chords, tempo, meter,
+  // analysis }: the chart that was analyzed, the recognized chords ({ symbol, start, beats },
+  // with held segments merged and beats counted in the file's meter), the file's tempo (BPM, or
+  // null) and meter, and the analyzeChords result. Throws on data that isn't a MIDI file.
+  function importMidi(data, options = {}) {
+    const parsed = parseMidiFile(data);
+    const { segments, meter } = segmentNotes(parsed, options);
+    const segmentsPerBar = options.segment === 'beat' ? meter.beats : 1;
+    const progression = toChart(segments, meter, segmentsPerBar);
+
+    const chords = [];
+    segments.forEach((segment) => {
+      const last = chords[chords.length - 1];
+      if (!segment.symbol && !last) return;
+      if (last && (!segment.symbol || segment.symbol === last.symbol)) {
+        last.beats += segment.beats;
+      } else {
+        chords.push({ symbol: segment.symbol, start: segment.start, beats: segment.beats });
+      }
+    });
+    const analysisOptions = Object.assign({}, options);
+    delete analysisOptions.segment;
+    return {
+      progression,
+      chords,
+      tempo: parsed.tempo,
+      meter,
+      analysis: ChordAnalyzer.analyzeChords(progression, analysisOptions)
+    };
+  }
+
+  const exported = { importMidi, parseMidiFile, segmentNotes, getPitchNames };
+  if (isModule) {
+    module.exports = exported;
+  } else {
+    window.ChordMidiImport = exported;
+  }
+})(typeof module !== 'undefined' && !!module.exports);
@@ -0,0 +1,200 @@
+/**
+ * Audio Playback for the Chord Analyzer
+ * Plays analyzed progressions in the browser with the Web Audio API, using the same voicings and
+ * lengths as MIDI export. Scheduling works against any object shaped like an AudioContext and an
+ * injectable timer, so it also runs headlessly.
+ * Runs as a browser script (window.ChordPlayback) or as a CommonJS module under Node.
+ */
+
+(function (isModule) {
+  // Playback takes its chord events from MIDI export, so it sounds like the exported file.
+  function getChordMidi() {
+    return isModule ? require('./midi-export.js') : window.ChordMidi;
+  }
+
+  // Seconds between asking for playback and the first note, so the first chord is scheduled
+  // ahead of the audio clock; the next pass of a loop is also scheduled this far ahead.
+  const START_DELAY = 0.05;
+
+  // Note envelope, in seconds, and the loudest a single note gets (velocity 127).
+  const ATTACK = 0.01;
+  const RELEASE = 0.15;
+  const NOTE_GAIN = 0.2;
+
+  // How long an auditioned chord rings, at most, in seconds.
+  const AUDITION_LENGTH = 2;
+
+  function getFrequency(pitch) {
+    return 440 * Math.pow(2, (pitch - 69) / 12);
+  }
+
+  // When each chord of an analysis plays: { row, time, duration, pitches } with times in seconds
+  // from the start, in playing order. Takes createMidiFile's options (`tempo`, `style`,
+  // `barsPerChord`, `loop` and so on), so the chords sound as the exported file plays them.
+  // Also returns the `length` of the whole pass in seconds.
+  function schedulePlayback(analysis, options) {
+    const { settings, events } = getChordMidi().getChordEvents(analysis, options);
+    const secondsPerQuarter = 60 / settings.tempo;
+    const last = events[events.length - 1];
+    return {
+      events: events.map((event) => ({
+        row: event.row,
+        time: event.start * secondsPerQuarter,
+        duration: event.length * secondsPerQuarter,
+        pitches: event.pitches
+      })),
+      length: last ? (last.start + last.length) * secondsPerQuarter : 0,
+      velocity: settings.velocity
+    };
+  }
+
+  // Schedules one note on the context: a triangle wave with a short attack and release,
+  // into `output`. Returns the oscillator so it can be cut off.
+  function playNote(context, output, pitch, time, duration, velocity) {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const peak = NOTE_GAIN * velocity / 127;
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = getFrequency(pitch);
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(peak, time + ATTACK);
+    gain.gain.setValueAtTime(peak, time + Math.max(duration, ATTACK));
+    gain.gain.linearRampToValueAtTime(0, time + Math.max(duration, ATTACK) + RELEASE);
+    oscillator.connect(gain);
+    gain.connect(output);
+    oscillator.start(time);
+    oscillator.stop(time + Math.max(duration, ATTACK) + RELEASE);
+    return oscillator;
+  }
+
+  // Creates a player for an AudioContext (or anything with its currentTime, destination,
+  // createOscillator and createGain). `timer` ({ setTimeout, clearTimeout }, the global ones by
+  // default) drives the row callbacks and loops. `onRow(row)` is called as each chord starts,
+  // with null when playback ends, and `onStop()` once it has.
+  //
+  // play(analysis, options) plays the progression with createMidiFile's options, plus `loop`
+  // (true to repeat until stopped). update(options) changes the options from the next pass of a
+  // loop, such as a new tempo. audition(analysis, row, options) plays one row's chord with the
+  // voicing it has in the progression. stop() silences everything at once.
+  function createPlayer({ context, timer, onRow, onStop } = {}) {
+    const clock = timer || { setTimeout: setTimeout.bind(null), clearTimeout: clearTimeout.bind(null) };
+    let timeouts = [];
+    let oscillators = [];
+    let output = null;
+    let current = null;
+
+    const at = (time, callback) => {
+      timeouts.push(clock.setTimeout(callback, Math.max(0, (time - context.currentTime) * 1000)));
+    };
+
+    // A fresh output gain per play, so stop() can cut every note scheduled on it.
+    function openOutput() {
+      output = context.createGain();
+      output.gain.value = 1;
+      output.connect(context.destination);
+    }
+
+    function silence() {
+      timeouts.forEach((id) => clock.clearTimeout(id));
+      timeouts = [];
+      oscillators.forEach((oscillator) => oscillator.stop(context.currentTime));
+      oscillators = [];
+      if (output) output.disconnect();
+      output = null;
+    }
+
+    // Schedules one pass of the progression from `startTime`, then the next pass of a loop
+    // just before it ends, or the end of playback.
+    function schedulePass(pass, startTime) {
+      const passOscillators = [];
+      pass.events.forEach((event) => {
+        const time = startTime + event.time;
+        event.pitches.forEach((pitch) => {
+          passOscillators.push(playNote(context, output, pitch, time, event.duration, pass.velocity));
+        });
+        at(time, () => onRow && onRow(event.row));
+      });
+      oscillators = oscillators.concat(passOscillators);
+      const endTime = startTime + pass.length;
+      at(endTime + RELEASE, () => {
+        oscillators = oscillators.filter((oscillator) => !passOscillators.includes(oscillator));
+      });
+      if (current.options.loop === true && pass.length > 0) {
+        at(endTime - START_DELAY, () => {
+          // Nothing outside can catch an error thrown from a timer, so playback just ends.
+          let next;
+          try {
+            next = getPass();
+          } catch (error) {
+            stop();
+            return;
+          }
+          schedulePass(next, endTime);
+        });
+      } else {
+        at(endTime + RELEASE, stop);
+      }
+    }
+
+    const getPass = () => schedulePlayback(current.analysis, Object.assign({}, current.options, { loop: 1 }));
+
+    function play(analysis, options = {}) {
+      stop();
+      current = { analysis, options };
+      let pass;
+      try {
+        pass = getPass();
+      } catch (error) {
+        current = null;
+        throw error;
+      }
+      openOutput();
+      schedulePass(pass, context.currentTime + START_DELAY);
+    }
+
+    // Checks the options by scheduling a pass with them, so bad ones throw here and playback
+    // carries on unchanged.
+    function update(options) {
+      if (!current) return;
+      schedulePlayback(current.analysis, Object.assign({}, options, { loop: 1 }));
+      current.options = options;
+    }
+
+    function audition(analysis, row, options = {}) {
+      stop();
+      const pass = schedulePlayback(analysis, Object.assign({}, options, { loop: 1 }));
+      const event = pass.events.find((candidate) => candidate.row === row);
+      if (!event) return;
+      openOutput();
+      const time = context.currentTime + START_DELAY;
+      event.pitches.forEach((pitch) => {
+        oscillators.push(playNote(context, output, pitch, time, Math.min(event.duration, AUDITION_LENGTH), pass.velocity));
+      });
+    }
+
+    function stop() {
+      silence();
+      if (!current) return;
+      current = null;
+      if (onRow) onRow(null);
+      if (onStop) onStop();
+    }
+
+    return {
+      play,
+      update,
+      audition,
+      stop,
+      get playing() {
+        return current !== null;
+      }
+    };
+  }
+
+  const exported = { schedulePlayback, createPlayer };
+  if (isModule) {
+    module.exports = exported;
+  } else {
+    window.ChordPlayback = exported;
+  }
+})(typeof module !== 'undefined' && !!module.exports);
@@ -0,0 +1,348 @@
+/**
+ * Four-Part (SATB) Realization for the Chord Analyzer
+ * Writes an analyzed progression out for soprano, alto, tenor and bass, following the
+ * common-practice rules for ranges, doubling, spacing and the resolution of leading tones and
+ * chordal sevenths, and checks any four-part setting for part-writing errors.
+ * Runs as a browser script (window.ChordSATB) or as a CommonJS module under Node.
+ */
+
+(function (isModule) {
+  const ChordAnalyzer = isModule ? require('./chord-analyzer.js') : window.ChordAnalyzer;
+
+  /* Voices */
+
+  // Voices from the top down, as they are listed in tables.
+  const SATB_VOICES = ['soprano', 'alto', 'tenor', 'bass'];
+
+  // Comfortable MIDI ranges: soprano C4-G5, alto G3-D5, tenor C3-G4, bass E2-C4.
+  const SATB_RANGES = {
+    soprano: { low: 60, high: 79 },
+    alto: { low: 55, high: 74 },
+    tenor: { low: 48, high: 67 },
+    bass: { low: 40, high: 60 }
+  };
+
+  // Internally voices are indexed from the bottom up: bass, tenor, alto, soprano.
+  const VOICE_ORDER = ['bass', 'tenor', 'alto', 'soprano'];
+
+  // Middle of each range; realizations are pulled gently toward it so the voices don't drift.
+  const VOICE_CENTERS = VOICE_ORDER.map((voice) => (SATB_RANGES[voice].low + SATB_RANGES[voice].high) / 2);
+
+  const ERROR_LABELS = {
+    range: 'Out of range',
+    crossing: 'Voice crossing',
+    overlap: 'Voice overlap',
+    spacing: 'Spacing',
+    doubling: 'Doubling',
+    parallelFifths: 'Parallel fifths',
+    parallelOctaves: 'Parallel octaves',
+    leadingTone: 'Unresolved leading tone',
+    seventh: 'Unresolved seventh'
+  };
+
+  /* Chord Tones */
+
+  // Describes an analysis row for part writing: its root, bass and the pitch classes that
+  // play each role. `required` holds the tones every voicing must contain: root, third, seventh
+  // and the highest extensions, at most four, with a perfect fifth left out; `allowed` adds the
+  // fifth when there is room for it. The row's key supplies the tonic and the leading tone.
+  function describeRow(item, region) {
+    const root = ChordAnalyzer.getNoteIndex(item.tones[0]);
+    const bassIndex = item.bass ? ChordAnalyzer.getNoteIndex(item.bass) : -1;
+    const has = (interval) => item.intervals.includes(interval);
+    const pitchOf = (interval) => (root + interval) % 12;
+
+    const thirdInterval = [3, 4, 2, 5].find((interval) => has(interval));
+    const fifthInterval = [7, 6, 8].find((interval) => has(interval) && interval !== thirdInterval);
+    const isDiminishedSeventh = has(3) && has(6) && has(9) && !has(10) && !has(11);
+    const seventhInterval = [10, 11].find(has) !== undefined
+      ? [10, 11].find(has)
+      : (isDiminishedSeventh ? 9 : undefined);
+    const roles = [0, thirdInterval, fifthInterval, seventhInterval];
+    const extensions = item.intervals.filter((interval) => !roles.includes(interval));
+
+    const isPerfectFifth = fifthInterval === 7 && thirdInterval !== undefined;
+    const required = [0, thirdInterval, seventhInterval].concat(extensions.slice().reverse())
+      .concat(isPerfectFifth ? [] : [fifthInterval])
+      .filter((interval) => interval !== undefined)
+      .slice(0, 4)
+      .map(pitchOf);
+    const optionalFifth = isPerfectFifth && required.length < 4 ? [pitchOf(7)] : [];
+
+    const tonic = region ? ChordAnalyzer.getNoteIndex(region.tonic) : root;
+    return {
+      root,
+      bass: bassIndex === -1 ? root : bassIndex,
+      third: thirdInterval === undefined ? null : pitchOf(thirdInterval),
+      fifth: fifthInterval === undefined ? null : pitchOf(fifthInterval),
+      seventh: seventhInterval === undefined ? null : pitchOf(seventhInterval),
+      required: required.filter((pitchClass, index) => required.indexOf(pitchClass) === index),
+      allowed: required.concat(optionalFifth),
+      isDiminished: has(3) && has(6) && !has(10) && !has(11),
+      tonic,
+      leadingTone: (tonic + 11) % 12,
+      isDominant: root === (tonic + 7) % 12 || (has(4) && has(10)) || /^V.*\//.test(item.numeral)
+    };
+  }
+
+  /* Part-Writing Checks */
+
+  const pitchClassOf = (pitch) => ((pitch % 12) + 12) % 12;
+
+  function makeError(index, type, voices, detail) {
+    return { index, type, voices, message: ERROR_LABELS[type] + (detail ? ' ' + detail : '') };
+  }
+
+  // Errors within one chord: ranges, crossing, spacing and doubled leading tones or sevenths.
+  // `pitches` are ordered bass, tenor, alto, soprano.
+  function findChordErrors(pitches, info, index) {
+    const errors = [];
+    pitches.forEach((pitch, voice) => {
+      const range = SATB_RANGES[VOICE_ORDER[voice]];
+      if (pitch < range.low || pitch > range.high) {
+        errors.push(makeError(index, 'range', [VOICE_ORDER[voice]], 'in the ' + VOICE_ORDER[voice]));
+      }
+    });
+    for (let voice = 1; voice < 4; voice++) {
+      if (pitches[voice] < pitches[voice - 1]) {
+        errors.push(makeError(index, 'crossing', [VOICE_ORDER[voice - 1], VOICE_ORDER[voice]],
+          'between ' + VOICE_ORDER[voice - 1] + ' and ' + VOICE_ORDER[voice]));
+      }
+    }
+    for (let voice = 2; voice < 4; voice++) {
+      if (pitches[voice] - pitches[voice - 1] > 12) {
+        errors.push(makeError(index, 'spacing', [VOICE_ORDER[voice - 1], VOICE_ORDER[voice]],
+          'wider than an octave between ' + VOICE_ORDER[voice - 1] + ' and ' + VOICE_ORDER[voice]));
+      }
+    }
+    const count = (pitchClass) => pitches.filter((pitch) => pitchClassOf(pitch) === pitchClass).length;
+    if (count(info.leadingTone) > 1 && info.allowed.includes(info.leadingTone)) {
+      errors.push(makeError(index, 'doubling', [], 'of the leading tone'));
+    }
+    if (info.seventh !== null && count(info.seventh) > 1) {
+      errors.push(makeError(index, 'doubling', [], 'of the chordal seventh'));
+    }
+    return errors;
+  }
+
+  // Errors in the motion from one chord to the next: parallel fifths and octaves, overlaps, and
+  // leading tones and sevenths that don't resolve. Sevenths must fall by step whenever the root
+  // changes. A leading tone must rise to the root it leads to (an inner voice may fall to that
+  // chord's fifth instead): see getLeadingTone.
+  function findMotionErrors(from, to, fromInfo, toInfo, index) {
+    const errors = [];
+    for (let lower = 0; lower < 4; lower++) {
+      for (let upper = lower + 1; upper < 4; upper++) {
+        const before = pitchClassOf(from[upper] - from[lower]);
+        const after = pitchClassOf(to[upper] - to[lower]);
+        const lowerMotion = Math.sign(to[lower] - from[lower]);
+        const upperMotion = Math.sign(to[upper] - from[upper]);
+        if (before === after && (before === 7 || before === 0) && lowerMotion !== 0 && lowerMotion === upperMotion) {
+          errors.push(makeError(index, before === 7 ? 'parallelFifths' : 'parallelOctaves',
+            [VOICE_ORDER[lower], VOICE_ORDER[upper]], 'between ' + VOICE_ORDER[lower] + ' and ' + VOICE_ORDER[upper]));
+        }
+      }
+    }
+    for (let voice = 1; voice < 4; voice++) {
+      if (to[voice - 1] > from[voice] || to[voice] < from[voice - 1]) {
+        errors.push(makeError(index, 'overlap', [VOICE_ORDER[voice - 1], VOICE_ORDER[voice]],
+          'between ' + VOICE_ORDER[voice - 1] + ' and ' + VOICE_ORDER[voice]));
+      }
+    }
+
+    if (fromInfo.root === toInfo.root) return errors;
+    const leadingTone = getLeadingTone(fromInfo, toInfo);
+    from.forEach((pitch, voice) => {
+      const step = to[voice] - pitch;
+      if (leadingTone && pitchClassOf(pitch) === leadingTone.pitchClass && !(leadingTone.freeBass && voice === 0)) {
+        const isInner = voice === 1 || voice === 2;
+        const resolves = step === 1 || (isInner && pitchClassOf(to[voice]) === (toInfo.root + 7) % 12 && step >= -4);
+        if (!resolves) errors.push(makeError(index - 1, 'leadingTone', [VOICE_ORDER[voice]], 'in the ' + VOICE_ORDER[voice]));
+      }
+      if (fromInfo.seventh !== null && pitchClassOf(pitch) === fromInfo.seventh && !(step === -1 || step === -2)) {
+        errors.push(makeError(index - 1, 'seventh', [VOICE_ORDER[voice]], 'in the ' + VOICE_ORDER[voice]));
+      }
+    });
+    return errors;
+  }
+
+  // The tone of `fromInfo` that leads a semitone up into `toInfo`, if the chords resolve that way:
+  // the third of a dominant whose root falls a fifth (V–I, including applied dominants), the
+  // root of a diminished chord a semitone below the next root (vii°–I), and the key's leading
+  // tone when V moves to the submediant (a deceptive cadence, where the bass is free to follow
+  // the root).
+  function getLeadingTone(fromInfo, toInfo) {
+    const hasMajorThird = fromInfo.third === (fromInfo.root + 4) % 12;
+    if (fromInfo.isDominant && hasMajorThird && toInfo.root === (fromInfo.root + 5) % 12) {
+      return { pitchClass: fromInfo.third, freeBass: false };
+    }
+    if (fromInfo.isDiminished && toInfo.root === (fromInfo.root + 1) % 12) {
+      return { pitchClass: fromInfo.root, freeBass: false };
+    }
+    const isSubmediant = toInfo.root === (fromInfo.tonic + 8) % 12 || toInfo.root === (fromInfo.tonic + 9) % 12;
+    if (hasMajorThird && fromInfo.isDominant && fromInfo.root === (fromInfo.tonic + 7) % 12 && isSubmediant) {
+      return { pitchClass: fromInfo.leadingTone, freeBass: true };
+    }
+    return null;
+  }
+
+  // Checks a four-part setting of an analyzeChords result. `parts` has one { soprano, alto,
+  // tenor, bass } object of MIDI pitches per analysis row (null to skip a row). Returns the
+  // errors as { index, type, voices, message }, where `index` is the row the error belongs to.
+  function checkPartWriting(result, parts) {
+    const rows = result.analysis.map((item) => describeRow(item, result.regions[item.region]));
+    const toPitches = (part) => VOICE_ORDER.map((voice) => part[voice]);
+    const errors = [];
+    parts.forEach((part, index) => {
+      if (!part) return;
+      errors.push(...findChordErrors(toPitches(part), rows[index], index));
+      const previous = parts[index - 1];
+      if (index > 0 && previous) {
+        errors.push(...findMotionErrors(toPitches(previous), toPitches(part), rows[index - 1], rows[index], index));
+      }
+    });
+    return errors;
+  }
+
+  /* Realization */
+
+  // Every voicing of a chord that keeps the voices in range, in order and within an octave of
+  // each other, contains all its required tones and doubles neither the leading tone nor the
+  // seventh. Each comes with a cost for its doubling and its distance from the ranges' centers.
+  function getVoicingCandidates(info) {
+    const inRange = (voice, pitchClasses) => {
+      const pitches = [];
+      const range = SATB_RANGES[voice];
+      for (let pitch = range.low; pitch <= range.high; pitch++) {
+        if (pitchClasses.includes(pitch % 12)) pitches.push(pitch);
+      }
+      return pitches;
+    };
+
+    const candidates = [];
+    inRange('bass', [info.bass]).forEach((bass) => {
+      inRange('tenor', info.allowed).filter((tenor) => tenor > bass).forEach((tenor) => {
+        inRange('alto', info.allowed).filter((alto) => alto > tenor && alto - tenor <= 12).forEach((alto) => {
+          inRange('soprano', info.allowed).filter((soprano) => soprano > alto && soprano - alto <= 12).forEach((soprano) => {
+            const pitches = [bass, tenor, alto, soprano];
+            const pitchClasses = pitches.map(pitchClassOf);
+            if (!info.required.every((pitchClass) => pitchClasses.includes(pitchClass))) return;
+            if (findChordErrors(pitches, info, 0).length > 0) return;
+            candidates.push({ pitches, cost: getDoublingCost(pitchClasses, info) + getCenterCost(pitches) });
+          });
+        });
+      });
+    });
+    return candidates;
+  }
+
+  // Prefers doubling the root, then the fifth, then the third (the third first in diminished
+  // triads), and keeping the fifth.
+  function getDoublingCost(pitchClasses, info) {
+    const count = (pitchClass) => pitchClasses.filter((item) => item === pitchClass).length;
+    let cost = 0;
+    if (info.fifth !== null && count(info.fifth) === 0) cost += info.seventh === null ? 3 : 1;
+    [info.root, info.third, info.fifth].forEach((pitchClass, role) => {
+      if (pitchClass === null || count(pitchClass) < 2) return;
+      const costs = info.isDiminished ? [2, 0, 2] : [0, 2, 1];
+      cost += costs[role] + (count(pitchClass) - 2) * 2;
+    });
+    return cost;
+  }
+
+  const getCenterCost = (pitches) => pitches.reduce((sum, pitch, voice) => sum + Math.abs(pitch - VOICE_CENTERS[voice]), 0) * 0.05;
+
+  // Cost of moving between two voicings: part-writing errors weigh far more than anything else,
+  // then the distance the upper voices travel, soprano leaps beyond a third and the bass's motion.
+  function getMotionCost(from, to, fromInfo, toInfo) {
+    const errors = findMotionErrors(from, to, fromInfo, toInfo, 1).length;
+    const upperMotion = [1, 2, 3].reduce((sum, voice) => sum + Math.abs(to[voice] - from[voice]), 0);
+    const sopranoLeap = Math.max(0, Math.abs(to[3] - from[3]) - 4);
+    return errors * 100 + upperMotion + sopranoLeap * 2 + Math.abs(to[0] - from[0]) * 0.2;
+  }
+
+  // Realizes an analyzeChords result in four parts, choosing for the whole progression the
+  // sequence of voicings with the lowest total cost (so a chord may be voiced with the next
+  // one's resolution in mind). Returns { key, chords, errors, timeline, meter, meters }: each
+  // chord has the row's `chord` and `numeral`, `pitches` ({ soprano, alto, tenor, bass } MIDI
+  // pitches, or null if the chord can't be set) and `notes` (the same pitches spelled, e.g.
+  // "F#4"); `errors` are the part-writing errors checkPartWriting finds in the result.
+  function realizeSATB(result) {
+    const rows = result.analysis.map((item) => describeRow(item, result.regions[item.region]));
+    const candidateLists = rows.map(getVoicingCandidates);
+
+    // Best total cost ending in each candidate, with a link back to the previous choice.
+    const paths = [];
+    candidateLists.forEach((candidates, index) => {
+      const previous = index > 0 ? paths[index - 1] : [];
+      paths.push(candidates.map((candidate) => {
+        let best = { total: candidate.cost, back: -1 };
+        previous.forEach((path, back) => {
+          const total = path.total + candidate.cost +
+            getMotionCost(candidateLists[index - 1][back].pitches, candidate.pitches, rows[index - 1], rows[index]);
+          if (best.back === -1 || total < best.total) best = { total, back };
+        });
+        return best;
+      }));
+    });
+
+    const chosen = new Array(rows.length).fill(null);
+    for (let index = rows.length - 1; index >= 0; index--) {
+      const path = paths[index];
+      if (path.length === 0) continue;
+      const next = chosen[index + 1];
+      const pick = next !== null && next !== undefined && paths[index + 1][next].back !== -1
+        ? paths[index + 1][next].back
+        : path.reduce((best, item, candidate) => (item.total < path[best].total ? candidate : best), 0);
+      chosen[index] = pick;
+    }
+
+    const parts = chosen.map((pick, index) => {
+      if (pick === null) return null;
+      const pitches = candidateLists[index][pick].pitches;
+      return VOICE_ORDER.reduce((part, voice, voiceIndex) => Object.assign(part, { [voice]: pitches[voiceIndex] }), {});
+    });
+    const chords = result.analysis.map((item, index) => ({
+      chord: item.chord,
+      numeral: item.pivot ? item.pivot.toNumeral : item.numeral,
+      pitches: parts[index],
+      notes: parts[index] ? spellPart(parts[index], item) : null
+    }));
+    return {
+      key: result.key,
+      chords,
+      errors: checkPartWriting(result, parts),
+      timeline: result.timeline,
+      meter: result.meter,
+      meters: result.meters
+    };
+  }
+
+  /* Spelling */
+
+  const LETTER_INDEXES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+  // Spells a MIDI pitch with the chord's own note name for its pitch class, and the octave of
+  // that letter (so B#3 and Cb4 come out right).
+  function spellPitch(pitch, names) {
+    const name = names.find((candidate) => ChordAnalyzer.getNoteIndex(candidate) === pitchClassOf(pitch));
+    if (!name) return String(pitch);
+    const letter = LETTER_INDEXES[name[0].toUpperCase()];
+    let alteration = pitchClassOf(pitch) - letter;
+    if (alteration > 6) alteration -= 12;
+    if (alteration < -6) alteration += 12;
+    return name + (Math.round((pitch - alteration - letter) / 12) - 1);
+  }
+
+  function spellPart(part, item) {
+    const names = item.tones.concat(item.bass ? [item.bass] : []);
+    return SATB_VOICES.reduce((notes, voice) => Object.assign(notes, { [voice]: spellPitch(part[voice], names) }), {});
+  }
+
+  const exported = { realizeSATB, checkPartWriting, SATB_VOICES, SATB_RANGES };
+  if (isModule) {
+    module.exports = exported;
+  } else {
+    window.ChordSATB = exported;
+  }
+})(typeof module !== 'undefined' && !!module.exports);
@@ -5,178 +5,890 @@
 
 document.addEventListener('DOMContentLoaded', function () {
   const form = document.getElementById('chord-form');
+  const chordInputField = document.getElementById('chord-input');
+  const analyzeBtn = document.getElementById('analyze-btn');
+  const inputModeSelect = document.getElementById('input-mode');
+  const chordNamesDiv = document.getElementById('chord-names');
+  const chordNamesTitle = document.getElementById('chord-names-title');
+  const chordNameList = document.getElementById('chord-name-list');
+  const nextChordsDiv = document.getElementById('next-chords');
+  const nextStyleSelect = document.getElementById('next-style');
+  const nextChordList = document.getElementById('next-chord-list');
+  const harmonizationsDiv = document.getElementById('harmonizations');
+  const harmonyRhythmSelect = document.getElementById('harmony-rhythm');
+  const harmonyStyleSelect = document.getElementById('harmony-style');
+  const harmonizationTitle = document.getElementById('harmonization-title');
+  const harmonizationList = document.getElementById('harmonization-list');
   const resultsDiv = document.getElementById('results');
   const detectedKeySpan = document.getElementById('detected-key');
+  const rejectedChordsP = document.getElementById('rejected-chords');
+  const keyPatternsP = document.getElementById('key-patterns');
+  const patternFileInput = document.getElementById('pattern-file');
+  const patternStatus = document.getElementById('pattern-status');
+  const inputCard = form.closest('.card');
+  const midiImportInput = document.getElementById('midi-import-file');
+  const midiImportSegmentSelect = document.getElementById('midi-import-segment');
+  const midiImportStatus = document.getElementById('midi-import-status');
+  const keyCandidatesDiv = document.getElementById('key-candidates');
+  const transposeSelect = document.getElementById('transpose-key');
+  const transposeStatus = document.getElementById('transpose-status');
   const analysisBody = document.getElementById('analysis-body');
+  const playBtn = document.getElementById('play-btn');
+  const stopBtn = document.getElementById('stop-btn');
+  const loopToggle = document.getElementById('loop-toggle');
+  const playTempoInput = document.getElementById('play-tempo');
+  const transportStatus = document.getElementById('transport-status');
   const exampleButtonsContainer = document.getElementById('example-buttons');
   const downloadMidiBtn = document.getElementById('download-midi');
+  const midiDialog = document.getElementById('midi-dialog');
+  const midiOptionsForm = document.getElementById('midi-options');
+  const midiCancelBtn = document.getElementById('midi-cancel');
+  const midiError = document.getElementById('midi-error');
+  const voicingSelect = document.getElementById('voicing-style');
+  const midiTempoInput = document.getElementById('midi-tempo');
+  const midiTimeSignatureSelect = document.getElementById('midi-time-signature');
+  const midiChordLengthInput = document.getElementById('midi-chord-length');
+  const midiChordUnitSelect = document.getElementById('midi-chord-unit');
+  const midiLoopInput = document.getElementById('midi-loop');
+  const midiProgramSelect = document.getElementById('midi-program');
+  const midiVelocityInput = document.getElementById('midi-velocity');
+  const midiSeparateBassCheckbox = document.getElementById('midi-separate-bass');
+  const satbSection = document.getElementById('satb-section');
+  const satbBody = document.getElementById('satb-body');
+  const satbErrorsList = document.getElementById('satb-errors');
+  const downloadSatbMidiBtn = document.getElementById('download-satb-midi');
+  const diagramSection = document.getElementById('diagram-section');
+  const guitarTuningSelect = document.getElementById('guitar-tuning');
+  const guitarCapoInput = document.getElementById('guitar-capo');
+  const diagramStatus = document.getElementById('diagram-status');
+  const chordDiagramsDiv = document.getElementById('chord-diagrams');
   let currentAnalysis = null;
+  let currentInput = '';
+  let currentRealization = null;
+  let currentHarmonization = null;
+  let userPatterns = [];
+  let importedMidiFile = null;
+  let audioContext = null;
+  let player = null;
+
+  // Number of alternative keys offered under the detected key.
+  const KEY_ALTERNATIVES_SHOWN = 4;
+
+  // Placeholder and button text for each input mode.
+  const INPUT_MODES = {
+    chords: {
+      placeholder: chordInputField.placeholder,
+      button: analyzeBtn.textContent
+    },
+    notes: {
+      placeholder: 'Enter notes from the bass up (e.g., E G C or Bb D F Ab)',
+      button: 'Name Chord'
+    },
+    melody: {
+      placeholder: 'Enter a melody as notes with beats (e.g., E4:1 D4:1 C4:1 D4:1 | E4:1 E4:1 E4:2)',
+      button: 'Harmonize'
+    }
+  };
 
   form.addEventListener('submit', function (e) {
     e.preventDefault();
-    const chordInput = document.getElementById('chord-input').value.trim();
+    const chordInput = chordInputField.value.trim();
     if (!chordInput) return;
-    const result = window.ChordAnalyzer.analyzeChords(chordInput);
+    if (inputModeSelect.value === 'notes') {
+      displayChordNames(chordInput);
+      return;
+    }
+    if (inputModeSelect.value === 'melody') {
+      harmonize(chordInput);
+      return;
+    }
+    currentInput = chordInput;
+    const result = analyze(chordInput);
     currentAnalysis = result;
+    transposeStatus.textContent = '';
     displayResults(result);
   });
 
+  // Rewrites the input in the chosen key and re-analyzes it, keeping any key the user picked
+  // from the candidates, then reports whether the Roman numerals came out the same.
+  transposeSelect.addEventListener('change', function () {
+    const semitones = parseInt(transposeSelect.value, 10);
+    if (!currentAnalysis || !currentAnalysis.key || semitones === 0) return;
+
+    const previous = currentAnalysis;
+    const transposed = window.ChordAnalyzer.transpose(currentInput, semitones);
+    const options = previous.key === previous.detectedKey
+      ? {}
+      : { key: window.ChordAnalyzer.transposeKey(previous.key, semitones) };
+    currentInput = transposed;
+    document.getElementById('chord-input').value = transposed;
+    currentAnalysis = analyze(transposed, options);
+
+    const numerals = (analysis) => analysis.analysis.map((item) => item.numeral).join(' ');
+    transposeStatus.textContent = 'Moved from ' + formatKeyName(previous.key, previous.mode) +
+      ' to ' + formatKeyName(currentAnalysis.key, currentAnalysis.mode) + ' — Roman numerals ' +
+      (numerals(previous) === numerals(currentAnalysis) ? 'unchanged' : 'changed') + '.';
+    displayResults(currentAnalysis);
+  });
+
+  // A new harmonic rhythm or style harmonizes the melody again.
+  [harmonyRhythmSelect, harmonyStyleSelect].forEach((select) => {
+    select.addEventListener('change', function () {
+      if (currentHarmonization) harmonize(currentHarmonization.melody);
+    });
+  });
+
+  nextStyleSelect.addEventListener('change', function () {
+    if (currentAnalysis) displayNextChords(currentAnalysis);
+  });
+
+  inputModeSelect.addEventListener('change', function () {
+    setInputMode(inputModeSelect.value);
+  });
+
+  // Loads extra key patterns from a JSON file and re-analyzes the current input with them.
+  patternFileInput.addEventListener('change', function () {
+    const file = patternFileInput.files[0];
+    if (!file) return;
+    file.text().then(function (text) {
+      try {
+        userPatterns = window.ChordAnalyzer.loadKeyPatterns(text);
+        patternStatus.textContent = 'Loaded ' + userPatterns.length + ' pattern' +
+          (userPatterns.length === 1 ? '' : 's') + ' from ' + file.name + '.';
+      } catch (error) {
+        userPatterns = [];
+        patternStatus.textContent = 'Could not load ' + file.name + ': ' + error.message;
+      }
+      if (currentInput) {
+        currentAnalysis = analyze(currentInput);
+        displayResults(currentAnalysis);
+      }
+    });
+  });
+
+  midiImportInput.addEventListener('change', function () {
+    if (midiImportInput.files[0]) importMidiFile(midiImportInput.files[0]);
+  });
+
+  // Changing the segment length re-reads the last imported file.
+  midiImportSegmentSelect.addEventListener('change', function () {
+    if (importedMidiFile) importMidiFile(importedMidiFile);
+  });
+
+  // A MIDI file dropped anywhere on the input card is imported like a chosen one.
+  inputCard.addEventListener('dragover', function (e) {
+    e.preventDefault();
+    inputCard.classList.add('drop-target');
+  });
+
+  inputCard.addEventListener('dragleave', function (e) {
+    if (!inputCard.contains(e.relatedTarget)) inputCard.classList.remove('drop-target');
+  });
+
+  inputCard.addEventListener('drop', function (e) {
+    e.preventDefault();
+    inputCard.classList.remove('drop-target');
+    const file = e.dataTransfer && e.dataTransfer.files[0];
+    if (file) importMidiFile(file);
+  });
+
+  // Opens the export dialog; the file is written when the dialog is confirmed.
   downloadMidiBtn.addEventListener('click', function () {
-    if (currentAnalysis) {
-      createMidiFromAnalysis(currentAnalysis);
-    } else {
+    if (!currentAnalysis) {
       alert("Please analyze chords first before downloading MIDI");
+      return;
+    }
+    midiError.classList.add('hidden');
+    if (typeof midiDialog.showModal === 'function') {
+      midiDialog.showModal();
+    } else {
+      midiDialog.setAttribute('open', '');
+    }
+  });
+
+  midiChordUnitSelect.addEventListener('change', function () {
+    midiChordLengthInput.disabled = !midiChordUnitSelect.value;
+  });
+
+  midiCancelBtn.addEventListener('click', closeMidiDialog);
+
+  // Invalid settings are reported in the dialog, which stays open to correct them.
+  midiOptionsForm.addEventListener('submit', function (e) {
+    e.preventDefault();
+    try {
+      const options = readMidiOptions();
+      if (currentHarmonization && currentHarmonization.progression === currentInput) {
+        options.melody = currentHarmonization.melody.notes;
+      }
+      createMidiFromAnalysis(currentAnalysis, options);
+      closeMidiDialog();
+    } catch (error) {
+      console.error("Error creating MIDI file:", error);
+      midiError.textContent = error.message;
+      midiError.classList.remove('hidden');
+    }
+  });
+
+  playBtn.addEventListener('click', function () {
+    if (!currentAnalysis) return;
+    const audioPlayer = getPlayer();
+    if (!audioPlayer) return;
+    try {
+      audioPlayer.play(currentAnalysis, readPlaybackOptions());
+      stopBtn.disabled = false;
+      transportStatus.textContent = '';
+    } catch (error) {
+      transportStatus.textContent = error.message;
+    }
+  });
+
+  stopBtn.addEventListener('click', function () {
+    if (player) player.stop();
+  });
+
+  // Loop and tempo changes apply from the next time through while playing.
+  [loopToggle, playTempoInput].forEach((control) => {
+    control.addEventListener('change', function () {
+      if (!player || !player.playing) return;
+      try {
+        player.update(readPlaybackOptions());
+        transportStatus.textContent = '';
+      } catch (error) {
+        transportStatus.textContent = error.message;
+      }
+    });
+  });
+
+  // Clicking a chord row plays that chord alone.
+  analysisBody.addEventListener('click', function (e) {
+    const row = e.target.closest('tr[data-row]');
+    if (!row || !currentAnalysis) return;
+    const audioPlayer = getPlayer();
+    if (!audioPlayer) return;
+    try {
+      audioPlayer.audition(currentAnalysis, Number(row.dataset.row), readPlaybackOptions());
+    } catch (error) {
+      transportStatus.textContent = error.message;
     }
   });
 
+  // The four-part realization is only worked out while its section is open.
+  satbSection.addEventListener('toggle', function () {
+    if (satbSection.open && currentAnalysis) displayRealization(currentAnalysis);
+  });
+
+  // Diagrams are drawn only while their section is open, and again for a new tuning or capo.
+  diagramSection.addEventListener('toggle', function () {
+    if (diagramSection.open && currentAnalysis) displayDiagrams(currentAnalysis);
+  });
+
+  [guitarTuningSelect, guitarCapoInput].forEach((control) => {
+    control.addEventListener('change', function () {
+      if (diagramSection.open && currentAnalysis) displayDiagrams(currentAnalysis);
+    });
+  });
+
+  downloadSatbMidiBtn.addEventListener('click', function () {
+    if (!currentRealization) return;
+    try {
+      if (!window.Midi || !window.ChordMidi) {
+        alert("jsmidgen library not found.");
+        return;
+      }
+      downloadMidiFile(window.ChordMidi.createSATBMidiFile(currentRealization),
+        window.ChordMidi.getMidiFileName(currentAnalysis).replace(/\.mid$/, '-satb.mid'));
+    } catch (error) {
+      console.error("Error creating MIDI file:", error);
+      alert("MIDI export failed. Check console.");
+    }
+  });
+
+  // Recognizes the chords in a MIDI file, writes them into the input as a chart and analyzes
+  // them like typed chords. In melody mode the file's melody is read instead, written into the
+  // input as notes and harmonized.
+  function importMidiFile(file) {
+    importedMidiFile = file;
+    file.arrayBuffer().then(function (buffer) {
+      if (inputModeSelect.value === 'melody') {
+        importMidiMelody(buffer, file.name);
+        return;
+      }
+      let imported;
+      try {
+        imported = window.ChordMidiImport.importMidi(buffer, {
+          segment: midiImportSegmentSelect.value,
+          patterns: userPatterns
+        });
+      } catch (error) {
+        midiImportStatus.textContent = 'Could not import ' + file.name + ': ' + error.message;
+        return;
+      }
+      if (!imported.progression) {
+        midiImportStatus.textContent = 'No chords found in ' + file.name + '.';
+        return;
+      }
+      midiImportStatus.textContent = 'Imported ' + imported.chords.length + ' chord' +
+        (imported.chords.length === 1 ? '' : 's') + ' from ' + file.name +
+        (imported.tempo ? ' (' + Math.round(imported.tempo) + ' BPM)' : '') + '.';
+      document.getElementById('chord-input').value = imported.progression;
+      currentInput = imported.progression;
+      currentAnalysis = imported.analysis;
+      transposeStatus.textContent = '';
+      displayResults(currentAnalysis);
+    });
+  }
+
+  function importMidiMelody(buffer, name) {
+    let melody;
+    try {
+      melody = window.ChordHarmonize.readMidiMelody(buffer);
+    } catch (error) {
+      midiImportStatus.textContent = 'Could not import ' + name + ': ' + error.message;
+      return;
+    }
+    if (melody.notes.length === 0) {
+      midiImportStatus.textContent = 'No notes found in ' + name + '.';
+      return;
+    }
+    midiImportStatus.textContent = 'Imported a melody of ' + melody.notes.length + ' note' +
+      (melody.notes.length === 1 ? '' : 's') + ' from ' + name +
+      (melody.tempo ? ' (' + Math.round(melody.tempo) + ' BPM)' : '') + '.';
+    chordInputField.value = window.ChordHarmonize.formatMelody(melody);
+    harmonize(melody);
+  }
+
+  function setInputMode(mode) {
+    inputModeSelect.value = mode;
+    chordInputField.placeholder = INPUT_MODES[mode].placeholder;
+    analyzeBtn.textContent = INPUT_MODES[mode].button;
+    if (mode !== 'notes') chordNamesDiv.classList.add('hidden');
+    harmonizationsDiv.classList.toggle('hidden', mode !== 'melody');
+  }
+
+  // Harmonic rhythm from its select: "bars:1" is a chord per bar, "beats:2" one every 2 beats.
+  function readHarmonicRhythm() {
+    const [unit, count] = harmonyRhythmSelect.value.split(':');
+    return unit === 'bars' ? { barsPerChord: Number(count) } : { beatsPerChord: Number(count) };
+  }
+
+  // Proposes chords for a melody (typed notes, or one read from a MIDI file) at the chosen
+  // harmonic rhythm and style, lists the proposals and shows the best one in the table.
+  function harmonize(melody) {
+    harmonizationList.innerHTML = '';
+    harmonizationsDiv.classList.remove('hidden');
+    let result;
+    try {
+      result = window.ChordHarmonize.harmonizeMelody(melody, Object.assign(readHarmonicRhythm(), {
+        style: harmonyStyleSelect.value,
+        patterns: userPatterns
+      }));
+    } catch (error) {
+      currentHarmonization = null;
+      harmonizationTitle.textContent = error.message + '. Write notes such as E4:1 or F#:0.5, and r:1 for a rest.';
+      return;
+    }
+    currentHarmonization = { melody: result.melody, proposals: result.proposals, progression: null };
+    harmonizationTitle.textContent = 'Harmonizations of the melody in ' +
+      formatKeyName(result.key, result.proposals[0].analysis.mode) +
+      ' (choose one to analyze it; MIDI export adds the melody on its own track):';
+    result.proposals.forEach((proposal, index) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'example-btn';
+      button.textContent = proposal.chords.map((chord) => chord.symbol).join(' – ');
+      button.addEventListener('click', function () {
+        showHarmonization(index);
+      });
+      item.appendChild(button);
+      item.appendChild(document.createTextNode(proposal.chords.map((chord) =>
+        chord.numeral + (chord.borrowed ? ' (borrowed)' : '')).join(' – ')));
+      harmonizationList.appendChild(item);
+    });
+    showHarmonization(0);
+  }
+
+  // Analyzes one proposal like typed chords, remembering it so MIDI export can add the melody
+  // while the progression is unchanged.
+  function showHarmonization(index) {
+    const proposal = currentHarmonization.proposals[index];
+    Array.from(harmonizationList.querySelectorAll('.example-btn')).forEach((button, position) => {
+      button.classList.toggle('active', position === index);
+    });
+    currentHarmonization.progression = proposal.progression;
+    currentInput = proposal.progression;
+    currentAnalysis = proposal.analysis;
+    transposeStatus.textContent = '';
+    displayResults(currentAnalysis);
+  }
+
+  // Lists the chord names for the entered notes, best first. Choosing one adds it to the end
+  // of the current progression and analyzes that.
+  function displayChordNames(notes) {
+    chordNameList.innerHTML = '';
+    chordNamesDiv.classList.remove('hidden');
+    let readings;
+    try {
+      readings = window.ChordAnalyzer.identifyChord(notes);
+    } catch (error) {
+      chordNamesTitle.textContent = error.message + '. Use note names such as C, F# or Bb.';
+      return;
+    }
+    if (readings.length === 0) {
+      chordNamesTitle.textContent = 'Enter at least two different notes to name a chord.';
+      return;
+    }
+    chordNamesTitle.textContent = 'Chords with the notes ' + notes + ' (choose one to add it to the progression):';
+    readings.forEach((reading) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'example-btn';
+      button.textContent = reading.chord;
+      button.addEventListener('click', function () {
+        setInputMode('chords');
+        chordInputField.value = appendChord(currentInput, reading.chord);
+        analyzeBtn.click();
+      });
+      item.appendChild(button);
+      item.appendChild(document.createTextNode(window.ChordAnalyzer.describeReading(reading)));
+      chordNameList.appendChild(item);
+    });
+  }
+
+  // Adds a chord to a comma list, or as a new bar of a chart.
+  function appendChord(progression, chord) {
+    if (!progression) return chord;
+    return progression.includes('|')
+      ? progression.replace(/\s*\|\s*$/, '') + ' | ' + chord + ' |'
+      : progression + ', ' + chord;
+  }
+
+  // Analyzes with any key patterns the user loaded.
+  function analyze(input, options) {
+    return window.ChordAnalyzer.analyzeChords(input, Object.assign({ patterns: userPatterns }, options));
+  }
+
+  function formatBeats(beats) {
+    const rounded = Math.round(beats * 100) / 100;
+    return rounded + (rounded === 1 ? ' beat' : ' beats');
+  }
+
+  function formatKeyName(key, mode) {
+    return mode === 'major' ? key + ' major' : key;
+  }
+
   function displayResults(result) {
-    detectedKeySpan.textContent = result.key || 'Unknown';
+    if (!result.key) {
+      detectedKeySpan.textContent = 'Unknown';
+    } else if (result.key !== result.detectedKey) {
+      const detected = result.candidates.find((c) => c.key === result.detectedKey);
+      detectedKeySpan.textContent = formatKeyName(result.key, result.mode) +
+        ' (detected: ' + (detected ? formatKeyName(detected.key, detected.mode) : result.detectedKey) + ')';
+    } else if (result.regions.length > 1) {
+      detectedKeySpan.textContent = result.regions
+        .map((region) => formatKeyName(region.key, region.mode))
+        .join(' → ');
+    } else {
+      detectedKeySpan.textContent = formatKeyName(result.key, result.mode);
+    }
+    displayKeyCandidates(result);
+    displayTransposeOptions(result);
+    displayNextChords(result);
+    if (result.patterns && result.patterns.length > 0) {
+      keyPatternsP.textContent = 'Pattern: ' + result.patterns.map((pattern) => pattern.name +
+        (result.regions.length > 1 ? ' in ' + formatKeyName(pattern.key, result.regions[pattern.region].mode) : '')).join(', ');
+      keyPatternsP.classList.remove('hidden');
+    } else {
+      keyPatternsP.classList.add('hidden');
+    }
+    if (result.rejected && result.rejected.length > 0) {
+      rejectedChordsP.textContent = 'Unrecognized chord symbols or bars (skipped): ' + result.rejected.join(', ');
+      rejectedChordsP.classList.remove('hidden');
+    } else {
+      rejectedChordsP.classList.add('hidden');
+    }
+    if (player) player.stop();
     analysisBody.innerHTML = '';
-    result.analysis.forEach((item) => {
+    const substitutions = window.ChordAnalyzer.suggestSubstitutions(result);
+    result.analysis.forEach((item, index) => {
+      const region = result.regions[item.region];
+      if (index > 0 && region && region.start === index) {
+        analysisBody.appendChild(createRegionRow(region));
+      }
+
       const row = document.createElement('tr');
+      row.dataset.row = index;
+      row.title = 'Click to hear this chord';
       if (!item.diatonic) row.classList.add('non-diatonic');
+      if (item.pivot) row.classList.add('pivot-chord');
 
       const chordCell = document.createElement('td');
       chordCell.textContent = item.chord;
+      if (currentInput.includes('|')) {
+        const beatsLabel = document.createElement('span');
+        beatsLabel.className = 'chord-beats';
+        beatsLabel.textContent = formatBeats(item.beats);
+        chordCell.appendChild(beatsLabel);
+      }
+
+      const tonesCell = document.createElement('td');
+      tonesCell.textContent = item.tones.join(' ');
 
       const numeralCell = document.createElement('td');
-      numeralCell.textContent = item.numeral;
+      numeralCell.textContent = item.pivot
+        ? item.pivot.fromNumeral + ' = ' + item.pivot.toNumeral
+        : item.numeral;
 
       const functionCell = document.createElement('td');
       functionCell.textContent = item.function;
+      if (item.cadence) {
+        const cadenceLabel = document.createElement('span');
+        cadenceLabel.className = 'cadence-label';
+        cadenceLabel.textContent = item.cadence.label;
+        functionCell.appendChild(cadenceLabel);
+      }
 
       row.appendChild(chordCell);
+      row.appendChild(tonesCell);
       row.appendChild(numeralCell);
       row.appendChild(functionCell);
+      row.appendChild(createSubstitutionCell(substitutions[index] || [], index));
 
       analysisBody.appendChild(row);
     });
+    currentRealization = null;
+    if (satbSection.open) displayRealization(result);
+    if (diagramSection.open) displayDiagrams(result);
     resultsDiv.classList.remove('hidden');
   }
 
-  function getNoteName(root, offset) {
-    const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const flatToSharp = { Db: 'C#', Eb: 'D#', Gb: 'F#', Ab: 'G#', Bb: 'A#' };
-    if (root.length > 1 && root[1] === 'b') {
-      root = flatToSharp[root] || root;
-    }
-    let rootIndex = notes.indexOf(root);
-    if (rootIndex === -1) return root;
-    let newIndex = rootIndex + offset;
-    let octave = 4;
-    while (newIndex >= 12) {
-      newIndex -= 12;
-      octave++;
-    }
-    while (newIndex < 0) {
-      newIndex += 12;
-      octave--;
-    }
-    return notes[newIndex] + octave;
-  }
-
-    function getChordNotes(chord) {
-      const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-      const flatToSharp = { Db: 'C#', Eb: 'D#', Gb: 'F#', Ab: 'G#', Bb: 'A#' };
+  // Fills the SATB table: each row's numeral and the four voices, with the part-writing errors
+  // listed below and their rows marked.
+  function displayRealization(result) {
+    satbBody.innerHTML = '';
+    satbErrorsList.innerHTML = '';
+    if (!result.key || !window.ChordSATB) return;
+    currentRealization = window.ChordSATB.realizeSATB(result);
 
-      let root = chord.root;
-      if (root.length > 1 && root[1] === 'b') {
-        root = flatToSharp[root] || root;
+    currentRealization.chords.forEach((chord, index) => {
+      const row = document.createElement('tr');
+      const errors = currentRealization.errors.filter((error) => error.index === index);
+      if (errors.length > 0) {
+        row.classList.add('satb-error');
+        row.title = errors.map((error) => error.message).join('\n');
       }
+      const numeralCell = document.createElement('td');
+      numeralCell.textContent = chord.numeral;
+      row.appendChild(numeralCell);
+      window.ChordSATB.SATB_VOICES.forEach((voice) => {
+        const cell = document.createElement('td');
+        cell.textContent = chord.notes ? chord.notes[voice] : '—';
+        row.appendChild(cell);
+      });
+      satbBody.appendChild(row);
+    });
 
-      const rootIndex = notes.indexOf(root);
-      if (rootIndex === -1) return [];
-
-      // Root at octave 2
-      const rootNote = notes[rootIndex] + '2';
-
-      // Fifth — +7 semitones, normally stays in octave 2 unless it overlaps root
-      let fifthIndex = (rootIndex + 7) % 12;
-      let fifthOctave = 2;
-      if (fifthIndex <= rootIndex) fifthOctave++; // push it up if it's below or same as root
-      const fifthNote = notes[fifthIndex] + fifthOctave;
+    currentRealization.errors.forEach((error) => {
+      const item = document.createElement('li');
+      item.textContent = currentRealization.chords[error.index].numeral + ': ' + error.message;
+      satbErrorsList.appendChild(item);
+    });
+  }
 
-      // Tenth (major/minor 10th is root + 16 or 15 semitones)
-      let tenthIndex = (rootIndex + (chord.quality === 'minor' ? 3 : 4)) % 12;
-      let tenthOctave = 3;
-      if (tenthIndex <= rootIndex) tenthOctave++; // same logic: keep above root
-      const tenthNote = notes[tenthIndex] + tenthOctave;
+  // A card per analyzed chord: a keyboard with its tones and guitar shapes in the chosen
+  // tuning and capo position.
+  function displayDiagrams(result) {
+    chordDiagramsDiv.innerHTML = '';
+    diagramStatus.textContent = '';
+    if (!window.ChordDiagrams) return;
+    const options = { tuning: guitarTuningSelect.value, capo: Number(guitarCapoInput.value) };
+    const Diagrams = window.ChordDiagrams;
 
-      return [rootNote, fifthNote, tenthNote];
-    }
+    result.analysis.forEach((item) => {
+      const chord = window.ChordAnalyzer.parseChord(item.chord);
+      let shapes;
+      try {
+        shapes = Diagrams.findGuitarVoicings(chord, options);
+      } catch (error) {
+        diagramStatus.textContent = error.message;
+        shapes = [];
+      }
+      const card = document.createElement('div');
+      card.className = 'diagram-card';
+
+      const title = document.createElement('h4');
+      title.textContent = item.chord;
+      const numeral = document.createElement('span');
+      numeral.textContent = item.numeral;
+      title.appendChild(numeral);
+      card.appendChild(title);
+
+      const keyboard = document.createElement('div');
+      keyboard.innerHTML = Diagrams.renderKeyboard(Diagrams.getKeyboardPitches(chord),
+        item.chord + ' on piano: ' + item.tones.join(' '));
+      card.appendChild(keyboard);
+
+      const guitar = document.createElement('div');
+      guitar.className = 'guitar-shapes';
+      guitar.innerHTML = shapes.length > 0
+        ? shapes.map((shape) => Diagrams.renderGuitarDiagram(shape, options.capo)).join('')
+        : '<span class="diagram-status">No playable shape in this tuning</span>';
+      card.appendChild(guitar);
+
+      chordDiagramsDiv.appendChild(card);
+    });
+  }
 
-  function createMidiFromAnalysis(analysis) {
-    try {
-      if (!window.Midi) {
-        alert("jsmidgen library not found.");
-        return;
+  // Button that opens a row of substitutions under the chord's row.
+  function createSubstitutionCell(suggestions, index) {
+    const cell = document.createElement('td');
+    if (suggestions.length === 0) return cell;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'substitution-toggle';
+    button.textContent = suggestions.length + (suggestions.length === 1 ? ' idea' : ' ideas');
+    button.setAttribute('aria-expanded', 'false');
+    button.addEventListener('click', function (e) {
+      e.stopPropagation(); // the row itself plays its chord
+      const row = button.closest('tr');
+      const open = row.nextElementSibling && row.nextElementSibling.classList.contains('substitution-row');
+      if (open) {
+        row.nextElementSibling.remove();
+      } else {
+        row.after(createSubstitutionRow(suggestions, index));
       }
+      button.setAttribute('aria-expanded', String(!open));
+    });
+    cell.appendChild(button);
+    return cell;
+  }
 
-      const chordObjects = analysis.analysis.map((item) =>
-        parseChordForMidi(item.chord)
-      );
-      const key = analysis.key || 'C';
+  // Lists a row's substitutions with their numerals and functions in the key. Choosing one
+  // swaps it into the input (or adds a passing chord after the row's chord) and re-analyzes.
+  function createSubstitutionRow(suggestions, index) {
+    const row = document.createElement('tr');
+    row.className = 'substitution-row';
+    const cell = document.createElement('td');
+    cell.colSpan = 5;
+    const list = document.createElement('ul');
+    list.className = 'substitution-list';
+    suggestions.forEach((suggestion) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'example-btn';
+      button.textContent = suggestion.chord;
+      button.title = suggestion.passing ? 'Add after this chord' : 'Use instead of this chord';
+      button.addEventListener('click', function () {
+        setInputMode('chords');
+        chordInputField.value = window.ChordAnalyzer.substituteChord(currentInput, index, suggestion);
+        analyzeBtn.click();
+      });
+      const numeral = document.createElement('span');
+      numeral.className = 'substitution-numeral';
+      numeral.textContent = suggestion.numeral;
+      item.appendChild(button);
+      item.appendChild(numeral);
+      item.appendChild(document.createTextNode(suggestion.function + ' — ' + suggestion.description));
+      list.appendChild(item);
+    });
+    cell.appendChild(list);
+    row.appendChild(cell);
+    return row;
+  }
 
-      var file = new Midi.File();
-      var track = new Midi.Track();
-      file.addTrack(track);
-      track.setTempo(120);
+  // Separator row announcing a key change, naming the pivot chord when there is one.
+  function createRegionRow(region) {
+    const row = document.createElement('tr');
+    row.className = 'region-row';
+    const cell = document.createElement('td');
+    cell.colSpan = 5;
+    const pivot = region.pivot;
+    cell.textContent = 'Modulation to ' + formatKeyName(region.key, region.mode) + ' — ' + (pivot
+      ? 'pivot ' + pivot.chord + ': ' + pivot.fromNumeral + ' in ' + pivot.fromKey +
+        ' = ' + pivot.toNumeral + ' in ' + pivot.toKey
+      : 'direct modulation');
+    row.appendChild(cell);
+    return row;
+  }
 
-      chordObjects.forEach((chord) => {
-        if (!chord) return;
-        var chordNotes = getChordNotes(chord);
-        track.addChord(0, chordNotes, 512); // or 64, 256 etc. for different durations
+  // Shows the top-ranked keys with their confidence; hovering lists the scoring rules and
+  // clicking re-runs the Roman numeral analysis in that key.
+  function displayKeyCandidates(result) {
+    keyCandidatesDiv.innerHTML = '';
+    const shown = result.candidates.slice(0, KEY_ALTERNATIVES_SHOWN + 1);
+    if (shown.length < 2) return;
+
+    const label = document.createElement('span');
+    label.className = 'key-candidates-label';
+    label.textContent = 'Possible keys:';
+    keyCandidatesDiv.appendChild(label);
+
+    shown.forEach((candidate) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'key-candidate-btn';
+      if (candidate.key === result.key) button.classList.add('active');
+      button.textContent = formatKeyName(candidate.key, candidate.mode) + ' · ' +
+        Math.round(candidate.confidence * 100) + '%';
+      button.title = candidate.rules
+        .map((entry) => (entry.points > 0 ? '+' : '') + entry.points + '  ' + entry.rule)
+        .join('\n');
+
+      button.addEventListener('click', function () {
+        const options = candidate.key === result.detectedKey ? {} : { key: candidate.key };
+        currentAnalysis = analyze(currentInput, options);
+        displayResults(currentAnalysis);
       });
 
-      var midiBytes = file.toBytes();
-      var dataUri = "data:audio/midi;base64," + btoa(midiBytes);
-      var a = document.createElement('a');
-      a.href = dataUri;
-      a.download = "progression-in-" + key.replace('#', 'sharp').replace('b', 'flat') + ".mid";
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
+      keyCandidatesDiv.appendChild(button);
+    });
+  }
 
-    } catch (error) {
-      console.error("Error creating MIDI file:", error);
-      alert("MIDI export failed. Check console.");
-    }
+  // Chips for the chords that could follow the progression in the key it ends in, for the
+  // chosen style. Choosing one adds it to the input and analyzes the longer progression.
+  function displayNextChords(result) {
+    nextChordList.innerHTML = '';
+    const lastRegion = result.regions[result.regions.length - 1];
+    const suggestions = lastRegion
+      ? window.ChordAnalyzer.suggestNext(currentInput, lastRegion.key, { style: nextStyleSelect.value })
+      : [];
+    nextChordsDiv.classList.toggle('hidden', suggestions.length === 0);
+
+    suggestions.forEach((suggestion) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'key-candidate-btn';
+      button.textContent = suggestion.chord + ' · ' + suggestion.numeral;
+      button.title = suggestion.function + '\n' + suggestion.reason;
+      button.addEventListener('click', function () {
+        setInputMode('chords');
+        chordInputField.value = appendChord(currentInput, suggestion.chord);
+        analyzeBtn.click();
+      });
+      nextChordList.appendChild(button);
+    });
   }
 
-  function parseChordForMidi(chordStr) {
-    if (!chordStr || typeof chordStr !== "string") return null;
-    const chord = chordStr.trim();
-    const match = chord.match(/^([A-G][b#]?)([^\/]*)(?:\/([A-G][b#]?))?$/);
-    if (!match) return null;
-    const [_, root, quality, bassNote] = match;
+  // Lists the 12 keys in the analysis mode, valued by their distance in semitones.
+  function displayTransposeOptions(result) {
+    transposeSelect.innerHTML = '';
+    if (!result.key) return;
+    for (let semitones = 0; semitones < 12; semitones++) {
+      const option = document.createElement('option');
+      option.value = semitones;
+      const key = semitones === 0 ? result.key : window.ChordAnalyzer.transposeKey(result.key, semitones);
+      option.textContent = formatKeyName(key, result.mode) + (semitones === 0 ? ' (current)' : '');
+      transposeSelect.appendChild(option);
+    }
+  }
 
-    let chordQuality = "major";
-    if (quality.includes("m") && !quality.includes("maj")) {
-      chordQuality = "minor";
-    } else if (quality.includes("dim") || quality.includes("°")) {
-      chordQuality = "diminished";
-    } else if (quality.includes("aug") || quality.includes("+")) {
-      chordQuality = "augmented";
+  function createMidiFromAnalysis(analysis, options) {
+    if (!window.Midi || !window.ChordMidi) {
+      alert("jsmidgen library not found.");
+      return;
     }
 
-    let hasSeventh = false;
-    let isMajorSeventh = false;
-    if (quality.includes("maj7") || quality.includes("M7")) {
-      hasSeventh = true;
-      isMajorSeventh = true;
-    } else if (quality.includes("7")) {
-      hasSeventh = true;
+    var file = window.ChordMidi.createMidiFile(analysis, options);
+    downloadMidiFile(file, window.ChordMidi.getMidiFileName(analysis));
+  }
+
+  // The audio context is created on first use, from a click, as browsers require, and resumed
+  // on later clicks in case the browser suspended it.
+  function getPlayer() {
+    if (!audioContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass || !window.ChordPlayback) {
+        transportStatus.textContent = 'Audio playback is not supported in this browser.';
+        return null;
+      }
+      audioContext = new AudioContextClass();
+      player = window.ChordPlayback.createPlayer({
+        context: audioContext,
+        onRow: highlightPlayingRow,
+        onStop: function () {
+          stopBtn.disabled = true;
+        }
+      });
     }
+    if (audioContext.state === 'suspended') audioContext.resume();
+    return player;
+  }
+
+  function highlightPlayingRow(row) {
+    analysisBody.querySelectorAll('tr.playing').forEach((tr) => tr.classList.remove('playing'));
+    if (row === null) return;
+    const tr = analysisBody.querySelector('tr[data-row="' + row + '"]');
+    if (tr) tr.classList.add('playing');
+  }
+
+  // Playback uses the export dialog's voicing and chord lengths, so it sounds like the
+  // downloaded file, with the transport's own tempo and loop.
+  function readPlaybackOptions() {
+    return Object.assign(readMidiOptions(), {
+      tempo: Number(playTempoInput.value),
+      loop: loopToggle.checked
+    });
+  }
 
+  // Export options from the MIDI dialog, in createMidiFile's terms.
+  function readMidiOptions() {
+    const length = Number(midiChordLengthInput.value);
     return {
-      root,
-      quality: chordQuality,
-      isSeventh: hasSeventh,
-      isMajorSeventh,
-      bassNote: bassNote || root,
+      style: voicingSelect.value,
+      tempo: Number(midiTempoInput.value),
+      timeSignature: midiTimeSignatureSelect.value || null,
+      barsPerChord: midiChordUnitSelect.value === 'bars' ? length : null,
+      beatsPerChord: midiChordUnitSelect.value === 'beats' ? length : null,
+      loop: Number(midiLoopInput.value),
+      program: Number(midiProgramSelect.value),
+      velocity: Number(midiVelocityInput.value),
+      separateBass: midiSeparateBassCheckbox.checked
     };
   }
 
+  function closeMidiDialog() {
+    if (typeof midiDialog.close === 'function') {
+      midiDialog.close();
+    } else {
+      midiDialog.removeAttribute('open');
+    }
+  }
+
+  function setupMidiPrograms() {
+    if (!window.ChordMidi) return;
+
+    window.ChordMidi.MIDI_PROGRAMS.forEach((entry) => {
+      const option = document.createElement('option');
+      option.value = entry.program;
+      option.textContent = (entry.program + 1) + ' – ' + entry.name;
+      midiProgramSelect.appendChild(option);
+    });
+  }
+
+  function setupGuitarTunings() {
+    if (!window.ChordDiagrams) return;
+
+    Object.keys(window.ChordDiagrams.GUITAR_TUNINGS).forEach((id) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = window.ChordDiagrams.GUITAR_TUNINGS[id].name;
+      guitarTuningSelect.appendChild(option);
+    });
+  }
+
+  function downloadMidiFile(file, fileName) {
+    var midiBytes = file.toBytes();
+    var dataUri = "data:audio/midi;base64," + btoa(midiBytes);
+    var a = document.createElement('a');
+    a.href = dataUri;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  }
+
   function setupExampleButtons() {
     if (!window.ChordExamples) return;
 
@@ -188,6 +900,7 @@ document.addEventListener('DOMContentLoaded', function () {
       button.dataset.chords = example.chords;
 
       button.addEventListener("click", function () {
+        setInputMode('chords');
         document.getElementById("chord-input").value = this.dataset.chords;
         document.getElementById("analyze-btn").click();
       });
@@ -197,4 +910,6 @@ document.addEventListener('DOMContentLoaded', function () {
   }
 
   setupExampleButtons();
+  setupMidiPrograms();
+  setupGuitarTunings();
 });
@@ -0,0 +1,182 @@
+/**
+ * Chord Voicing for the Chord Analyzer
+ * Turns parsed chords into MIDI pitches in a chosen voicing style and range, leading each
+ * chord's voices smoothly into the next. Runs as a browser script (window.ChordVoicing) or as
+ * a CommonJS module under Node.
+ */
+
+(function (isModule) {
+  const ChordAnalyzer = isModule ? require('./chord-analyzer.js') : window.ChordAnalyzer;
+
+  // Shapes for the voices above the bass, each applied to a close-position stack:
+  //   close   every tone within an octave
+  //   open    the second voice from the bottom raised an octave
+  //   drop2   the second voice from the top dropped an octave
+  //   shell   only the third (or suspension) and seventh (or sixth, else fifth), plus the
+  //           root when a slash bass takes its place
+  //   spread  every other voice raised an octave, over two octaves or more
+  const VOICING_STYLES = ['close', 'open', 'drop2', 'shell', 'spread'];
+
+  // Lowest and highest MIDI pitch (C2 to C6). The bass sits in the bottom octave and a half.
+  const DEFAULT_RANGE = { low: 36, high: 84 };
+
+  // Without a previous chord to lead from, the upper voices are centered on E4.
+  const UPPER_CENTER = 64;
+
+  const raiseVoices = (pitches, indexes) => pitches.map((pitch, index) => (indexes.includes(index) ? pitch + 12 : pitch));
+
+  const STYLE_SHAPES = {
+    close: (pitches) => pitches,
+    open: (pitches) => (pitches.length < 3 ? pitches : raiseVoices(pitches, [1])),
+    drop2: (pitches) => (pitches.length < 3 ? pitches : pitches.map((pitch, index) => (index === pitches.length - 2 ? pitch - 12 : pitch))),
+    shell: (pitches) => pitches,
+    spread: (pitches) => raiseVoices(pitches, pitches.map((pitch, index) => index).filter((index) => index % 2 === 1))
+  };
+
+  // Pitch classes of the bass and of the tones voiced above it, in chord order (root, third,
+  // fifth, seventh, extensions). Chords of four or more tones leave the bass tone out of the
+  // upper voices; triads double it. Returns null when the root is not a note.
+  function getChordTones(chord, style) {
+    const root = ChordAnalyzer.getNoteIndex(chord.root);
+    if (root === -1) return null;
+    const bassIndex = chord.bass ? ChordAnalyzer.getNoteIndex(chord.bass) : -1;
+    const bass = bassIndex === -1 ? root : bassIndex;
+
+    if (style === 'shell') {
+      const find = (candidates) => chord.intervals.find((interval) => candidates.includes(interval));
+      const third = find([3, 4]) !== undefined ? find([3, 4]) : find([5, 2]);
+      const seventh = find([10, 11, 9]) !== undefined ? find([10, 11, 9]) : find([7, 6, 8]);
+      const shell = [third, seventh].filter((interval) => interval !== undefined).map((interval) => (root + interval) % 12);
+      if (bass !== root) return { bass, upper: [root].concat(shell.filter((pitchClass) => pitchClass !== bass)) };
+      return { bass, upper: shell.length > 0 ? shell : [root] };
+    }
+
+    const tones = [];
+    chord.intervals.forEach((interval) => {
+      const pitchClass = (root + interval) % 12;
+      if (!tones.includes(pitchClass)) tones.push(pitchClass);
+    });
+    const upper = tones.length >= 4 ? tones.filter((pitchClass) => pitchClass !== bass) : tones;
+    return { bass, upper };
+  }
+
+  // Stacks pitch classes upward from `start`, each voice the nearest pitch above the last.
+  function stackUp(pitchClasses, start) {
+    const pitches = [];
+    pitchClasses.forEach((pitchClass) => {
+      const floor = pitches.length > 0 ? pitches[pitches.length - 1] + 1 : start;
+      pitches.push(floor + (((pitchClass - floor) % 12) + 12) % 12);
+    });
+    return pitches;
+  }
+
+  // Every placement of the upper voices that fits the range above the bass: each rotation of
+  // the tones (each inversion of the stack) in the style's shape, at every octave that fits.
+  // `rotations` limits the inversions tried (the first chord keeps chord order).
+  function getUpperCandidates(upper, style, bassPitch, range, rotations) {
+    const candidates = [];
+    for (let rotation = 0; rotation < rotations; rotation++) {
+      const rotated = upper.slice(rotation).concat(upper.slice(0, rotation));
+      const shape = STYLE_SHAPES[style](stackUp(rotated, 0)).sort((a, b) => a - b);
+      for (let octave = -1; octave <= 10; octave++) {
+        const pitches = shape.map((pitch) => pitch + octave * 12);
+        if (pitches[0] > bassPitch && pitches[0] >= range.low && pitches[pitches.length - 1] <= range.high) {
+          candidates.push(pitches);
+        }
+      }
+    }
+    return candidates;
+  }
+
+  // Squeezes a voicing that is too wide for the range: voices above the top fold down by
+  // octaves, staying above the bass.
+  function foldIntoRange(upper, style, bassPitch, range) {
+    const shape = STYLE_SHAPES[style](stackUp(upper, bassPitch + 1));
+    const folded = shape.map((pitch) => {
+      let placed = pitch;
+      while (placed > range.high && placed - 12 > bassPitch) placed -= 12;
+      return placed;
+    });
+    return folded.filter((pitch, index) => folded.indexOf(pitch) === index).sort((a, b) => a - b);
+  }
+
+  // How far the voices travel between two voicings: each voice's distance to the nearest voice
+  // of the other chord, both ways, so common tones cost nothing.
+  function getMovement(from, to) {
+    const nearest = (pitch, others) => Math.min(...others.map((other) => Math.abs(other - pitch)));
+    return to.reduce((sum, pitch) => sum + nearest(pitch, from), 0) +
+      from.reduce((sum, pitch) => sum + nearest(pitch, to), 0);
+  }
+
+  const getCenter = (pitches) => pitches.reduce((sum, pitch) => sum + pitch, 0) / pitches.length;
+
+  // Checks voicing options and fills in the defaults.
+  function resolveOptions(options = {}) {
+    const style = options.style || 'close';
+    if (!VOICING_STYLES.includes(style)) throw new Error('Unknown voicing style: ' + style);
+    const range = Object.assign({}, DEFAULT_RANGE, options.range);
+    if (!(range.high - range.low >= 24)) throw new Error('Voicing range must span at least two octaves');
+    return { style, range, voiceLeading: options.voiceLeading !== false };
+  }
+
+  // Voices one chord: the bass in the bottom octave of the range, then every chord tone above
+  // it in the chosen style. With `previous` (the last chord's pitches) the bass and upper voices
+  // take the placement that moves least from it; otherwise the upper voices sit in chord order
+  // around E4. Returns ascending MIDI pitches, or an empty array for an unreadable chord.
+  function voiceChordFrom(chord, previous, settings) {
+    const tones = getChordTones(chord, settings.style);
+    if (!tones) return [];
+    const { range, style } = settings;
+
+    const lowestBass = range.low + (((tones.bass - range.low) % 12) + 12) % 12;
+    const bassOptions = [lowestBass, lowestBass + 12].filter((pitch) => pitch <= range.low + 18);
+    const bassPitch = previous
+      ? bassOptions.reduce((best, pitch) => (Math.abs(pitch - previous[0]) < Math.abs(best - previous[0]) ? pitch : best))
+      : lowestBass;
+
+    const rotations = previous ? tones.upper.length : 1;
+    const candidates = getUpperCandidates(tones.upper, style, bassPitch, range, rotations);
+    let upper;
+    if (candidates.length === 0) {
+      upper = foldIntoRange(tones.upper, style, bassPitch, range);
+    } else if (previous && previous.length > 1) {
+      const previousUpper = previous.slice(1);
+      const target = getCenter(previousUpper);
+      upper = candidates.reduce((best, candidate) => {
+        const cost = getMovement(previousUpper, candidate) - getMovement(previousUpper, best);
+        if (cost !== 0) return cost < 0 ? candidate : best;
+        return Math.abs(getCenter(candidate) - target) < Math.abs(getCenter(best) - target) ? candidate : best;
+      });
+    } else {
+      upper = candidates.reduce((best, candidate) =>
+        (Math.abs(getCenter(candidate) - UPPER_CENTER) < Math.abs(getCenter(best) - UPPER_CENTER) ? candidate : best));
+    }
+    return [bassPitch].concat(upper);
+  }
+
+  // Voices a single parsed chord. Options: `style` (one of VOICING_STYLES, default "close") and
+  // `range` ({ low, high } MIDI pitches, default C2 to C6).
+  function voiceChord(chord, options) {
+    return voiceChordFrom(chord, null, resolveOptions(options));
+  }
+
+  // Voices a sequence of parsed chords, leading each into the next so common tones hold and the
+  // other voices move by the smallest steps. Takes the voiceChord options plus `voiceLeading`
+  // (default true); without it every chord is voiced on its own.
+  function voiceProgression(chords, options) {
+    const settings = resolveOptions(options);
+    let previous = null;
+    return chords.map((chord) => {
+      const pitches = voiceChordFrom(chord, settings.voiceLeading ? previous : null, settings);
+      if (pitches.length > 0) previous = pitches;
+      return pitches;
+    });
+  }
+
+  const exported = { voiceChord, voiceProgression, VOICING_STYLES, DEFAULT_RANGE };
+  if (isModule) {
+    module.exports = exported;
+  } else {
+    window.ChordVoicing = exported;
+  }
+})(typeof module !== 'undefined' && !!module.exports);
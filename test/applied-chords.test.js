@@ -0,0 +1,45 @@
+/**
+ * Tests for secondary dominants and secondary leading-tone chords
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+
+const roman = (symbol, key, next = null) => ChordAnalyzer.getRomanNumeral(
+  ChordAnalyzer.parseChord(symbol), key, next && ChordAnalyzer.parseChord(next));
+
+test('a triad and a seventh a fifth above their targets', () => {
+  assert.equal(roman('D', 'C', 'G').numeral, 'V/V');
+  assert.equal(roman('D7', 'C', 'G').numeral, 'V7/V');
+  assert.equal(roman('C7', 'C', 'F').numeral, 'V7/IV');
+  assert.equal(roman('A7', 'C', 'Dm').numeral, 'V7/ii');
+  assert.equal(roman('E7', 'C', 'Am').numeral, 'V7/vi');
+  assert.equal(roman('B7', 'A minor', 'Em').numeral, 'V7/V');
+});
+
+test('leading-tone chords a semitone below their targets', () => {
+  assert.equal(roman('F#dim', 'C', 'G').numeral, 'vii°/V');
+  assert.equal(roman('F#dim7', 'C', 'G').numeral, 'vii°7/V');
+  assert.equal(roman('F#m7b5', 'C', 'G').numeral, 'viiø7/V');
+  assert.equal(roman('G#dim', 'C', 'Am').numeral, 'vii°/vi');
+});
+
+test('the function says whether the applied chord resolves', () => {
+  assert.equal(roman('C7', 'C', 'F').function, 'Applied Dominant (resolved)');
+  assert.equal(roman('C7', 'C', 'Am').function, 'Applied Dominant (unresolved)');
+  assert.equal(roman('F#dim', 'C').function, 'Applied Leading-Tone (unresolved)');
+});
+
+test('diatonic chords and non-dominant qualities are not applied chords', () => {
+  assert.equal(roman('E7', 'A minor', 'Am').numeral, 'V7');
+  assert.equal(roman('G#dim7', 'A minor', 'Am').numeral, 'vii°7');
+  assert.equal(roman('Cmaj7', 'C', 'F').numeral, 'Imaj7');
+  assert.equal(roman('Csus4', 'C', 'F').numeral, 'Isus4');
+});
+
+test('analysis reads the next chord for resolution', () => {
+  const { analysis } = ChordAnalyzer.analyzeChords('C, A7, Dm, G7, C');
+  assert.deepEqual(analysis.map((item) => item.numeral), ['I', 'V7/ii', 'ii', 'V7', 'I']);
+  assert.equal(analysis[1].function, 'Applied Dominant (resolved)');
+});
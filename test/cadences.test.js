@@ -0,0 +1,64 @@
+/**
+ * Tests for cadence recognition: row labels and order-aware key scoring
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+
+const cadences = (input, options) => ChordAnalyzer.analyzeChords(input, options).analysis
+  .map((item) => (item.cadence ? item.cadence.type : null));
+
+test('labels each cadence on the chord it arrives on', () => {
+  assert.deepEqual(cadences('Dm, G7, C'), [null, null, 'perfectAuthentic']);
+  assert.deepEqual(cadences('Dm, G7/B, C'), [null, null, 'imperfectAuthentic']);
+  assert.deepEqual(cadences('C, Bdim, C'), [null, null, 'imperfectAuthentic']);
+  assert.deepEqual(cadences('C, G, F, C'), [null, null, null, 'plagal']);
+  assert.deepEqual(cadences('C, F, G, Am'), [null, null, null, 'deceptive']);
+  assert.deepEqual(cadences('C, Am, Dm, G'), [null, null, null, 'half']);
+  assert.deepEqual(cadences('Cm, Fm/Ab, G'), [null, null, 'phrygianHalf']);
+  assert.deepEqual(cadences('C, Bb7, C', { key: 'C' }), [null, null, 'backdoor']);
+  assert.deepEqual(cadences('C, Fm, Bb, C', { key: 'C' }), [null, null, null, 'backdoor']);
+});
+
+test('rows carry a readable cadence label', () => {
+  const [, , last] = ChordAnalyzer.analyzeChords('Dm, G7, C').analysis;
+  assert.deepEqual(last.cadence, { type: 'perfectAuthentic', label: 'Perfect authentic cadence' });
+});
+
+test('a half cadence is only recognized at the end of the progression', () => {
+  assert.deepEqual(cadences('C, G, Am, F'), [null, null, 'deceptive', null]);
+});
+
+test('a major seventh chord on V is not a dominant', () => {
+  assert.equal(ChordAnalyzer.analyzeChords('Cmaj7, Fmaj7').key, 'C');
+});
+
+test('chord order changes the key score', () => {
+  const scoreOfC = (input) => ChordAnalyzer.rankKeys(input.split(', ').map(ChordAnalyzer.parseChord))
+    .find((candidate) => candidate.key === 'C').score;
+  assert.ok(scoreOfC('G7, C') > scoreOfC('C, G7'));
+});
+
+test('cadences and tonic endpoints settle progressions the unordered rules missed', () => {
+  assert.equal(ChordAnalyzer.analyzeChords('C, A7, Dm, G7, C').key, 'C');
+  assert.equal(ChordAnalyzer.analyzeChords('Cm7b5, F7, Bbmaj7').key, 'Bb');
+  assert.equal(ChordAnalyzer.analyzeChords('C, F#dim, G, C').key, 'C');
+});
+
+test('a cadence across a modulation is judged in the outgoing key', () => {
+  const types = cadences('C, Am, F, G, C, Am, F, G, D, Bm, G, A, D, Bm, G, A');
+  assert.equal(types[8], null);
+  assert.equal(types[12], 'perfectAuthentic');
+});
+
+test('a final chord that repeats the opening chord is not a half cadence', () => {
+  assert.deepEqual(cadences('G, Em, Am, G', { key: 'C' }), [null, null, null, null]);
+  assert.deepEqual(cadences('C, Am, G', { key: 'C' }), [null, null, 'half']);
+});
+
+test('opening and closing on the tonic earns the framing bonus', () => {
+  const framed = ChordAnalyzer.analyzeChords('C, F, Fm, C').candidates.find((candidate) => candidate.key === 'C');
+  const entry = framed.rules.find((item) => item.id === 'framedByTonic');
+  assert.equal(entry.points, ChordAnalyzer.WEIGHTS.framedByTonic);
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for the command-line interface: table and JSON output, MIDI files and exit codes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'chord-analyzer.js');
+
+// Runs the CLI with an empty standard input, so it never waits for progressions there.
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', input: '' });
+
+test('prints the key and a numeral table', () => {
+  const { status, stdout } = run('C, G, Am, F');
+  assert.equal(status, 0);
+  assert.match(stdout, /^Key: C major/);
+  assert.match(stdout, /^G +G B D +V +Dominant/m);
+  assert.match(stdout, /^F +F A C +IV +Subdominant/m);
+});
+
+test('--json prints the analyzeChords result', () => {
+  const { status, stdout } = run('--json', 'Am, Dm, E7, Am');
+  assert.equal(status, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(result.key, 'A minor');
+  assert.deepEqual(result.analysis.map((item) => item.numeral), ['i', 'iv', 'V7', 'i']);
+});
+
+test('--midi writes a standard MIDI file', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chord-analyzer-'));
+  const file = path.join(directory, 'progression.mid');
+  try {
+    const { status, stdout } = run('--midi', file, 'C, F, G, C');
+    assert.equal(status, 0);
+    assert.match(stdout, /^Wrote .*progression\.mid \(C major\)/);
+    assert.equal(fs.readFileSync(file).subarray(0, 4).toString('latin1'), 'MThd');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('exits 1 when a progression has no readable chords', () => {
+  const { status, stderr } = run('Xyz');
+  assert.equal(status, 1);
+  assert.match(stderr, /No recognizable chords in: Xyz/);
+});
+
+test('exits 2 on bad options', () => {
+  const unknown = run('--bogus', 'C');
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /Unknown option: --bogus/);
+  assert.equal(run('--midi', path.join(os.tmpdir(), 'unused.mid'), 'C', 'G').status, 2);
+  assert.equal(run('--voicing', 'wide', 'C').status, 2);
+});
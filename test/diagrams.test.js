@@ -0,0 +1,68 @@
+/**
+ * Tests for the piano and guitar chord diagrams: keyboard tones, guitar shapes, tunings and capo
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+const shapesFor = (symbol, options) => ChordAnalyzer.findGuitarVoicings(ChordAnalyzer.parseChord(symbol), options);
+const fingering = (shape) => shape.frets.map((fret) => (fret === null ? 'x' : fret)).join('');
+
+test('the keyboard marks the chord tones and the slash bass', () => {
+  const pitches = ChordAnalyzer.getKeyboardPitches(ChordAnalyzer.parseChord('Cm7b5'));
+  assert.deepEqual(pitches, [48, 60, 63, 66, 70]);
+  assert.deepEqual(ChordAnalyzer.getKeyboardPitches(ChordAnalyzer.parseChord('C/E')), [52, 60, 64, 67]);
+
+  const svg = ChordAnalyzer.renderKeyboard(ChordAnalyzer.getKeyboardPitches(ChordAnalyzer.parseChord('C/E')), 'C/E');
+  assert.equal((svg.match(/chord-bass/g) || []).length, 1);
+  assert.equal((svg.match(/chord-tone/g) || []).length, 3);
+});
+
+test('common chords get their familiar open shapes first', () => {
+  assert.equal(fingering(shapesFor('C')[0]), 'x32010');
+  assert.equal(fingering(shapesFor('G')[0]), '320003');
+  assert.equal(fingering(shapesFor('D')[0]), 'xx0232');
+  assert.equal(fingering(shapesFor('Am')[0]), 'x02210');
+});
+
+test('every shape plays the bass lowest and the chord tones it needs', () => {
+  ['Cm7b5', 'G7/B', 'F#m', 'Bbmaj7', 'E7#9', 'Dsus4', 'C9'].forEach((symbol) => {
+    const chord = ChordAnalyzer.parseChord(symbol);
+    const shapes = shapesFor(symbol);
+    assert.ok(shapes.length > 0, symbol);
+    const bass = ChordAnalyzer.getNoteIndex(chord.bass || chord.root);
+    const root = ChordAnalyzer.getNoteIndex(chord.root);
+    const thirdAndSeventh = chord.intervals.filter((interval) => interval !== 7).map((interval) => (root + interval) % 12);
+    shapes.forEach((shape) => {
+      const sounding = shape.pitches.filter((pitch) => pitch !== null);
+      assert.equal(Math.min(...sounding) % 12, bass, symbol + ' ' + fingering(shape));
+      thirdAndSeventh.forEach((pitchClass) => {
+        assert.ok(sounding.some((pitch) => pitch % 12 === pitchClass), symbol + ' ' + fingering(shape));
+      });
+      assert.ok(shape.notes.filter(Boolean).every((note) => chord.tones.includes(note) || note === chord.bass), symbol);
+    });
+  });
+});
+
+test('shapes follow the tuning', () => {
+  assert.deepEqual(ChordAnalyzer.parseTuning('D A D G A D'), ChordAnalyzer.GUITAR_TUNINGS.dadgad.strings);
+  assert.deepEqual(ChordAnalyzer.parseTuning([38, 45, 50, 55, 59, 64]), ChordAnalyzer.GUITAR_TUNINGS.dropD.strings);
+  assert.equal(fingering(shapesFor('D', { tuning: 'dropD' })[0]).slice(0, 1), '0');
+  const [openG] = shapesFor('G', { tuning: 'openG' });
+  assert.equal(fingering(openG), 'x00000');
+});
+
+test('a capo moves the shapes and the sounding pitches', () => {
+  const [shape] = shapesFor('C', { capo: 3 });
+  assert.equal(fingering(shape), 'x02220');
+  assert.deepEqual(shape.pitches.filter((pitch) => pitch !== null), [48, 55, 60, 64, 67]);
+  assert.match(ChordAnalyzer.renderGuitarDiagram(shape, 3), /Capo 3/);
+});
+
+test('invalid tunings and capo positions are rejected', () => {
+  assert.throws(() => shapesFor('C', { capo: 13 }), /Capo/);
+  assert.throws(() => shapesFor('C', { capo: 1.5 }), /Capo/);
+  assert.throws(() => shapesFor('C', { tuning: 'banjo' }), /Unknown tuning/);
+  assert.throws(() => ChordAnalyzer.parseTuning('E A H'), /Unknown tuning/);
+});
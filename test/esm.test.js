@@ -0,0 +1,15 @@
+/**
+ * Tests for the ES module entry point: it names every export of the CommonJS entry point
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+test('index.mjs has the same named exports as index.js', async () => {
+  const esm = await import('../index.mjs');
+  const named = Object.keys(esm).filter((name) => name !== 'default');
+  assert.deepEqual(named.sort(), Object.keys(ChordAnalyzer).sort());
+  named.forEach((name) => assert.equal(esm[name], ChordAnalyzer[name], name));
+  assert.equal(esm.default, ChordAnalyzer);
+});
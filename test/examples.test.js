@@ -0,0 +1,80 @@
+/**
+ * Regression suite for the Chord Analyzer
+ * Runs every ChordExamples entry through analyzeChords, checks its expected key and numerals,
+ * and checks that each example analyzes the same way when transposed into all 12 keys.
+ * Key mismatches are reported with the detectKey rules that scored the two keys differently.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+const ChordExamples = require('../js/chord-examples.js');
+
+// Pitch class and mode of a key name, so enharmonic spellings compare equal.
+function describeKey(key) {
+  const [tonic, mode = 'major'] = key.split(/\s+/);
+  return { pitchClass: ChordAnalyzer.getNoteIndex(tonic), mode: mode.toLowerCase() };
+}
+
+function findCandidate(candidates, key) {
+  const { pitchClass, mode } = describeKey(key);
+  return candidates.find((candidate) =>
+    ChordAnalyzer.getNoteIndex(candidate.tonic) === pitchClass && candidate.mode === mode);
+}
+
+// Lists the key-detection rules (by id) that gave the detected and expected keys different points.
+function explainKeyMismatch(progression, detectedKey, expectedKey) {
+  const { candidates } = ChordAnalyzer.analyzeChords(progression);
+  const detected = findCandidate(candidates, detectedKey);
+  const expected = findCandidate(candidates, expectedKey);
+  if (!detected || !expected) return `no score for ${expectedKey}`;
+
+  const entryFor = (candidate, id) => candidate.rules.find((item) => item.id === id);
+  const points = (candidate, id) => (entryFor(candidate, id) ? entryFor(candidate, id).points : 0);
+  const ids = [...new Set(detected.rules.concat(expected.rules).map((entry) => entry.id))];
+  const lines = ids
+    .filter((id) => points(detected, id) !== points(expected, id))
+    .map((id) => {
+      const label = (entryFor(detected, id) || entryFor(expected, id)).rule;
+      return `  ${id} (${label}): ${points(detected, id)} for ${detected.key}, ${points(expected, id)} for ${expected.key}`;
+    });
+  return `${detected.key} scored ${detected.score}, ${expected.key} scored ${expected.score}\n` + lines.join('\n');
+}
+
+function assertKey(progression, actualKey, expectedKey) {
+  const actual = describeKey(actualKey);
+  const expected = describeKey(expectedKey);
+  assert.ok(
+    actual.pitchClass === expected.pitchClass && actual.mode === expected.mode,
+    `"${progression}" detected ${actualKey}, expected ${expectedKey}\n` +
+      explainKeyMismatch(progression, actualKey, expectedKey)
+  );
+}
+
+const numerals = (result) => result.analysis.map((item) => item.numeral);
+
+ChordExamples.forEach((example) => {
+  test(`${example.name}: detects ${example.expectedKey}`, () => {
+    const result = ChordAnalyzer.analyzeChords(example.chords);
+    assertKey(example.chords, result.key, example.expectedKey);
+  });
+
+  test(`${example.name}: numerals`, () => {
+    const result = ChordAnalyzer.analyzeChords(example.chords);
+    assert.deepEqual(numerals(result), example.expectedNumerals);
+  });
+
+  test(`${example.name}: same analysis in all 12 keys`, () => {
+    const original = ChordAnalyzer.analyzeChords(example.chords);
+    const originalKey = describeKey(original.key);
+    for (let semitones = 1; semitones < 12; semitones++) {
+      const progression = ChordAnalyzer.transpose(example.chords, semitones);
+      const result = ChordAnalyzer.analyzeChords(progression);
+      const tonic = (originalKey.pitchClass + semitones) % 12;
+      const expectedKey = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'][tonic] +
+        (originalKey.mode === 'major' ? '' : ' ' + originalKey.mode);
+      assertKey(progression, result.key, expectedKey);
+      assert.deepEqual(numerals(result), numerals(original), `numerals of "${progression}" in ${result.key}`);
+    }
+  });
+});
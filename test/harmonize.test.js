@@ -0,0 +1,126 @@
+/**
+ * Tests for melody harmonization: reading melodies, detecting their key, proposing chords at a
+ * harmonic rhythm and exporting a proposal with its melody
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+const Midi = require('../js/jsmidgen.js');
+
+const MARY = 'E4:1 D4:1 C4:1 D4:1 | E4:1 E4:1 E4:2 | D4:1 D4:1 D4:2 | E4:1 G4:1 G4:2 | C4:4';
+
+const notesOn = (track) => track.events.filter((event) => event.type === 0x90);
+const symbols = (proposal) => proposal.chords.map((chord) => chord.symbol);
+
+test('melodies are read as note names with lengths in beats', () => {
+  const melody = ChordAnalyzer.parseMelody('3/4 A4:2 C5:1 | B:1.5 g# r:0.5 | Cb:3');
+  assert.deepEqual(melody.meter, { beats: 3, unit: 4 });
+  assert.deepEqual(melody.notes.map((note) => [note.name, note.pitch, note.start, note.length]), [
+    ['A4', 69, 0, 2], ['C5', 72, 2, 1], ['B4', 71, 3, 1.5], ['G#4', 68, 4.5, 1.5], ['Cb5', 71, 6.5, 3]
+  ]);
+  assert.equal(melody.length, 9.5);
+  assert.equal(ChordAnalyzer.parseMelody('C D:0.5').notes[0].pitch, 60);
+  assert.throws(() => ChordAnalyzer.parseMelody('C4 Q'), /Not a note: Q/);
+  assert.equal(ChordAnalyzer.formatMelody(ChordAnalyzer.parseMelody('3/4 A4:2 C5:1 | B4:3')), '3/4 A4:2 C5:1 | B4:3');
+});
+
+test('the key is detected from the melody', () => {
+  assert.equal(ChordAnalyzer.detectMelodyKey(MARY)[0].key, 'C');
+  assert.equal(ChordAnalyzer.detectMelodyKey('A4:2 C5 | B4 G#4 | A4:4')[0].key, 'A minor');
+  assert.equal(ChordAnalyzer.detectMelodyKey('Bb4 C5 D5 Eb5 | F5 D5 Bb4:2')[0].key, 'Bb');
+  assert.deepEqual(ChordAnalyzer.detectMelodyKey(''), []);
+  // Without D# or B, leaning on E doesn't make E minor; nor does a natural minor melody lose its key.
+  assert.equal(ChordAnalyzer.detectMelodyKey('E4 D4 C4 D4 | E4 E4 E4')[0].key, 'C');
+  assert.equal(ChordAnalyzer.detectMelodyKey('A4 B4 C5 D5 | E5:2 E5:2 | A4:4')[0].key, 'A minor');
+  // Ending long on G doesn't make G major of a melody with F natural in it.
+  assert.equal(ChordAnalyzer.detectMelodyKey('C D E F G:4')[0].key, 'C');
+  assert.equal(ChordAnalyzer.harmonizeMelody('C D E F G:4').key, 'C');
+});
+
+test('proposals harmonize the melody with chord tones, one chord per bar by default', () => {
+  const result = ChordAnalyzer.harmonizeMelody(MARY);
+  assert.equal(result.key, 'C');
+  assert.equal(result.proposals.length, 3);
+  const [best] = result.proposals;
+  assert.equal(best.chords.length, best.analysis.analysis.length);
+  assert.equal(symbols(best)[0], 'C');
+  assert.equal(symbols(best)[symbols(best).length - 1], 'C');
+  assert.equal(best.analysis.key, 'C');
+  assert.ok(best.analysis.analysis.every((item) => item.numeral));
+  assert.equal(new Set(result.proposals.map((proposal) => proposal.progression)).size, 3);
+  assert.ok(result.proposals.every((proposal, index) => index === 0 || proposal.score <= result.proposals[index - 1].score));
+  // The whole-note C of the last bar is a chord tone of the last chord in every proposal.
+  result.proposals.forEach((proposal) => {
+    assert.ok(ChordAnalyzer.parseChord(symbols(proposal)[symbols(proposal).length - 1]).tones.includes('C'));
+  });
+});
+
+test('the harmonic rhythm, style and key can be chosen', () => {
+  const everyTwoBeats = ChordAnalyzer.harmonizeMelody(MARY, { beatsPerChord: 2 }).proposals[0];
+  assert.ok(everyTwoBeats.chords.every((chord) => chord.beats % 2 === 0 && chord.start % 2 === 0));
+  assert.ok(everyTwoBeats.chords.length > 5);
+  const twoBars = ChordAnalyzer.harmonizeMelody(MARY, { barsPerChord: 2 }).proposals[0];
+  assert.ok(twoBars.chords.every((chord) => chord.start % 8 === 0));
+
+  const jazz = ChordAnalyzer.harmonizeMelody(MARY, { style: 'jazz', count: 1 });
+  assert.equal(jazz.proposals.length, 1);
+  assert.ok(jazz.proposals[0].chords.every((chord) => /7/.test(chord.symbol)));
+
+  const waltz = ChordAnalyzer.harmonizeMelody('3/4 A4:2 C5:1 | B4:2 G#4:1 | A4:3', { style: 'classical' });
+  assert.equal(waltz.key, 'A minor');
+  assert.match(waltz.proposals[0].progression, /^\| 3\/4 Am \| E7 \| Am \|$/);
+  assert.equal(ChordAnalyzer.harmonizeMelody('C5:2 Bb4:2 | Ab4:2 G4:2 | C5:4', { key: 'C' }).key, 'C');
+
+  assert.throws(() => ChordAnalyzer.harmonizeMelody(''), /no notes/);
+  assert.throws(() => ChordAnalyzer.harmonizeMelody(MARY, { beatsPerChord: 1.5 }), /whole number of beats/);
+  assert.throws(() => ChordAnalyzer.harmonizeMelody(MARY, { style: 'metal' }), /Unknown style/);
+  assert.throws(() => ChordAnalyzer.harmonizeMelody(MARY, { key: 'H' }), /Unknown key/);
+});
+
+test('borrowed chords are offered where the melody leaves the key', () => {
+  const result = ChordAnalyzer.harmonizeMelody('C5:2 Bb4:2 | Ab4:2 G4:2 | C5:4', { key: 'C', beatsPerChord: 2 });
+  const chords = result.proposals.flatMap((proposal) => proposal.chords);
+  assert.ok(chords.some((chord) => chord.borrowed && ['Fm', 'Ab', 'Bb'].includes(chord.symbol)));
+  const minor = ChordAnalyzer.HARMONIZATION_CHORDS.minor.filter((chord) => chord.borrowed).map((chord) => chord.numeral);
+  assert.deepEqual(minor, ['IV', 'v']);
+});
+
+test('a melody is read from the top line of a MIDI file', () => {
+  // Tempo 100 BPM, then E4 over a C3 bass for a beat, D4 for a beat and a half, a rest, C4
+  // (jsmidgen writes 128 ticks per quarter).
+  const file = new Midi.File();
+  file.addTrack().setTempo(100)
+    .noteOn(0, 48).noteOn(0, 64).noteOff(0, 64, 128).noteOn(0, 62)
+    .noteOff(0, 62, 192).noteOff(0, 48).noteOn(0, 60, 64).noteOff(0, 60, 128);
+  const melody = ChordAnalyzer.readMidiMelody(file.toBytes());
+  assert.equal(melody.tempo, 100);
+  assert.deepEqual(melody.notes.map((note) => [note.name, note.start, note.length]),
+    [['E4', 0, 1], ['D4', 1, 1.5], ['C4', 3, 1]]);
+  assert.equal(ChordAnalyzer.formatMelody(melody), 'E4:1 D4:1.5 r:0.5 C4:1');
+});
+
+test('a proposal exports to MIDI with the melody on its own track', () => {
+  const result = ChordAnalyzer.harmonizeMelody(MARY);
+  const options = { melody: result.melody.notes, loop: 2, melodyProgram: 73 };
+  const file = ChordAnalyzer.createMidiFile(result.proposals[0].analysis, options);
+  const [chords, melody] = file.tracks;
+  assert.equal(file.tracks.length, 2);
+  assert.equal(file.toBytes().slice(8, 10), '\x00\x01');
+  assert.deepEqual(notesOn(melody).map((event) => event.param1),
+    result.melody.notes.concat(result.melody.notes).map((note) => note.pitch));
+  assert.ok(notesOn(melody).every((event) => event.channel === 2));
+  assert.equal(melody.events.find((event) => event.type === 0xc0).param1, 73);
+  assert.ok(notesOn(chords).every((event) => event.channel === 0));
+
+  const readBack = ChordAnalyzer.readMidiMelody(ChordAnalyzer.createMidiFile(
+    ChordAnalyzer.analyzeChords('| C |'), { melody: [{ pitch: 84, start: 1, length: 2 }] }).toBytes());
+  const top = readBack.notes[readBack.notes.length - 1];
+  assert.deepEqual([top.pitch, top.start, top.length], [84, 1, 2]);
+  assert.throws(() => ChordAnalyzer.createMidiFile(result.proposals[0].analysis, { melody: [{ pitch: 128, start: 0, length: 1 }] }), /Melody/);
+  // Stretching the chords would leave the melody behind them.
+  assert.throws(() => ChordAnalyzer.createMidiFile(result.proposals[0].analysis, { melody: result.melody.notes, barsPerChord: 2 }),
+    /Chord lengths stay as written/);
+  assert.throws(() => ChordAnalyzer.createMidiFile(result.proposals[0].analysis, { melody: result.melody.notes, beatsPerChord: 1 }),
+    /Chord lengths stay as written/);
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for naming chords from notes: ranking, inversions, rootless and ambiguous readings
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+const names = (notes) => ChordAnalyzer.identifyChord(notes).map((reading) => reading.chord);
+const pitchClasses = (symbol) => {
+  const chord = ChordAnalyzer.parseChord(symbol);
+  return new Set(chord.intervals.map((interval) => (ChordAnalyzer.getNoteIndex(chord.root) + interval) % 12));
+};
+
+test('triads and sevenths are named from their notes', () => {
+  assert.equal(names('C E G')[0], 'C');
+  assert.equal(names('Bb D F Ab')[0], 'Bb7');
+  assert.equal(names('F# A C#')[0], 'F#m');
+  assert.equal(names('D F Ab C')[0], 'Dm7b5');
+  assert.equal(names('G B D F A')[0], 'G9');
+  assert.equal(names('C G')[0], 'C5');
+});
+
+test('the bass picks the inversion', () => {
+  const [reading] = ChordAnalyzer.identifyChord('E G C');
+  assert.equal(reading.chord, 'C/E');
+  assert.equal(reading.inversion, 1);
+  assert.equal(names('G C E')[0], 'C/G');
+  assert.equal(names('F G B D')[0], 'G7/F');
+  assert.equal(names(['E3', 'C4', 'G4'])[0], 'C/E');
+  assert.equal(names([52, 48, 55])[0], 'C', 'MIDI numbers: the lowest note is the bass');
+});
+
+test('ambiguous notes list every reading, the bass root first', () => {
+  assert.deepEqual(names('C E G A').slice(0, 2), ['C6', 'Am7/C']);
+  assert.deepEqual(names('A C E G').slice(0, 2), ['Am7', 'C6/A']);
+  assert.deepEqual(names('C Eb G A').slice(0, 2), ['Cm6', 'Am7b5/C']);
+  assert.deepEqual(names('C Eb Gb A').slice(0, 4), ['Cdim7', 'Ebdim7/C', 'Gbdim7/C', 'Adim7/C']);
+});
+
+test('omitted fifths and rootless voicings are recognized', () => {
+  const [seventh] = ChordAnalyzer.identifyChord('C E Bb');
+  assert.equal(seventh.chord, 'C7');
+  assert.deepEqual(seventh.omitted, ['G']);
+  const rootless = ChordAnalyzer.identifyChord('E Bb D').find((reading) => reading.rootless);
+  assert.equal(rootless.chord, 'C9/E');
+  assert.deepEqual(rootless.omitted, ['C', 'G']);
+  assert.ok(ChordAnalyzer.identifyChord('B D F').some((reading) => reading.rootless && reading.chord === 'G7/B'));
+  assert.ok(!ChordAnalyzer.identifyChord('C E G').some((reading) => reading.rootless));
+});
+
+test('readings are described by inversion and the tones they leave out', () => {
+  assert.equal(ChordAnalyzer.describeReading(ChordAnalyzer.identifyChord('E G C')[0]), 'first inversion');
+  assert.equal(ChordAnalyzer.describeReading(ChordAnalyzer.identifyChord('C E Bb')[0]), 'root position, without G');
+  const rootless = ChordAnalyzer.identifyChord('E Bb D').find((reading) => reading.rootless);
+  assert.equal(ChordAnalyzer.describeReading(rootless), 'first inversion, rootless, without G');
+});
+
+test('every name reads back as the notes it was given', () => {
+  ['E G C', 'Bb D F Ab', 'C E G A', 'B D F', 'E Bb D', 'Db F Ab C Eb', 'G# B D F', 'F A C E G B'].forEach((notes) => {
+    const given = new Set(notes.split(' ').map(ChordAnalyzer.getNoteIndex));
+    ChordAnalyzer.identifyChord(notes).forEach((reading) => {
+      const result = ChordAnalyzer.analyzeChords(reading.chord);
+      assert.deepEqual(result.rejected, [], reading.chord);
+      given.forEach((pitchClass) => assert.ok(pitchClasses(reading.chord).has(pitchClass), `${notes}: ${reading.chord}`));
+    });
+  });
+});
+
+test('notes keep their spelling and bad input is rejected', () => {
+  assert.equal(names('Gb Bb Db')[0], 'Gb');
+  assert.equal(names('F# A# C#')[0], 'F#');
+  assert.equal(names('e g# b')[0], 'E');
+  assert.deepEqual(names('C'), []);
+  assert.deepEqual(names('C C4'), []);
+  assert.throws(() => ChordAnalyzer.identifyChord('C H'), /Not a note: H/);
+});
@@ -0,0 +1,39 @@
+/**
+ * Tests for slash chords: figured-bass inversion numerals and basses outside the chord
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+
+const numeral = (symbol, key) => ChordAnalyzer.getRomanNumeral(ChordAnalyzer.parseChord(symbol), key).numeral;
+
+test('triad inversions take 6 and 64', () => {
+  assert.equal(numeral('C/E', 'C'), 'I6');
+  assert.equal(numeral('C/G', 'C'), 'I64');
+  assert.equal(numeral('F/A', 'C'), 'IV6');
+});
+
+test('seventh-chord inversions take 65, 43 and 42', () => {
+  assert.equal(numeral('G7', 'C'), 'V7');
+  assert.equal(numeral('G7/B', 'C'), 'V65');
+  assert.equal(numeral('G7/D', 'C'), 'V43');
+  assert.equal(numeral('G7/F', 'C'), 'V42');
+  assert.equal(numeral('Dm7/C', 'C'), 'ii42');
+});
+
+test('a bass outside the chord is shown as a scale degree and flagged', () => {
+  const chord = ChordAnalyzer.parseChord('F/G');
+  assert.equal(chord.inversion, null);
+  assert.equal(chord.bassIsChordTone, false);
+  const roman = ChordAnalyzer.getRomanNumeral(chord, 'C');
+  assert.equal(roman.numeral, 'IV/5');
+  assert.equal(roman.function, 'Subdominant (non-chord-tone bass)');
+  assert.equal(numeral('F/Bb', 'C'), 'IV/b7');
+});
+
+test('analysis rows carry the inversion numerals', () => {
+  const { analysis } = ChordAnalyzer.analyzeChords('C, G/B, Am, C/G, F/A, G7/F, C/E');
+  assert.deepEqual(analysis.map((item) => item.numeral), ['I', 'V6', 'vi', 'I64', 'IV6', 'V42', 'I6']);
+  assert.deepEqual(analysis.map((item) => item.inversion), [0, 1, 0, 2, 1, 3, 1]);
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the key pattern library: transposition-invariant matching and JSON user patterns
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+
+const patternIds = (result) => result.patterns.map((pattern) => pattern.id);
+
+const ANDALUSIAN_JSON = JSON.stringify([
+  { id: 'andalusian', name: 'Andalusian cadence', numerals: 'i, VII, VI, V', mode: 'minor' }
+]);
+
+test('A, C, F is read as V/ii I IV in C, in all 12 keys', () => {
+  assert.deepEqual(ChordAnalyzer.analyzeChords('A, C, F').analysis.map((item) => item.numeral), ['V/ii', 'I', 'IV']);
+  for (let semitones = 0; semitones < 12; semitones++) {
+    const progression = ChordAnalyzer.transpose('A, C, F', semitones);
+    const result = ChordAnalyzer.analyzeChords(progression);
+    assert.equal(ChordAnalyzer.getNoteIndex(result.tonic), semitones, `key of "${progression}"`);
+    assert.deepEqual(patternIds(result), ['submediantTonicSubdominant'], progression);
+  }
+});
+
+test('patterns match enharmonic spellings of the same roots', () => {
+  const flats = ChordAnalyzer.analyzeChords('Bb, Db, Gb');
+  const sharps = ChordAnalyzer.analyzeChords('A#, C#, F#');
+  assert.equal(flats.key, 'Db');
+  assert.equal(sharps.key, 'C#');
+  assert.deepEqual(patternIds(flats), patternIds(sharps));
+});
+
+test('candidates name the patterns that scored them', () => {
+  const [best] = ChordAnalyzer.analyzeChords('E, G, C, D').candidates;
+  const entry = best.rules.find((item) => item.id === 'keyPattern');
+  assert.equal(best.key, 'G');
+  assert.equal(entry.rule, 'Key pattern (VI*-I-IV, VI*-I-V, VI*-IV-V)');
+  assert.equal(entry.points, 3 * ChordAnalyzer.WEIGHTS.keyPattern);
+});
+
+test('user patterns load from JSON and are reported when they match', () => {
+  const patterns = ChordAnalyzer.loadKeyPatterns(ANDALUSIAN_JSON);
+  const result = ChordAnalyzer.analyzeChords('Dm, C, Bb, A', { patterns });
+  assert.equal(result.key, 'D minor');
+  assert.deepEqual(result.patterns, [
+    { id: 'andalusian', name: 'Andalusian cadence', numerals: ['i', 'VII', 'VI', 'V'], key: 'D minor', region: 0 }
+  ]);
+  assert.deepEqual(ChordAnalyzer.analyzeChords('Dm, C, Bb, A').patterns, []);
+});
+
+test('patterns are matched within each key region, in its own key', () => {
+  const result = ChordAnalyzer.analyzeChords('C, Am, F, G, C, Am, F, G, D, B, G, A, D, B, G, A, D');
+  assert.deepEqual(result.regions.map((region) => region.key), ['C', 'D']);
+  assert.ok(result.patterns.length > 0);
+  assert.ok(result.patterns.every((pattern) => pattern.key === 'D' && pattern.region === 1));
+  assert.deepEqual(ChordAnalyzer.analyzeChords('C, Am, F, G, C, Am, F, G, D, Bm, G, A, D, Bm, G, A, D').patterns, []);
+});
+
+test('loadKeyPatterns rejects malformed patterns', () => {
+  assert.throws(() => ChordAnalyzer.loadKeyPatterns('{"id": "x"}'), /JSON array/);
+  assert.throws(() => ChordAnalyzer.loadKeyPatterns([{ id: 'x', numerals: ['I', 'Q'] }]), /unknown numeral: Q/);
+  assert.throws(() => ChordAnalyzer.loadKeyPatterns([{ id: 'x', numerals: 'I, V', mode: 'locrian' }]), /unknown mode/);
+  assert.throws(() => ChordAnalyzer.loadKeyPatterns([{ id: 'x' }]), /needs a list of numerals/);
+});
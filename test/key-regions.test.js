@@ -0,0 +1,32 @@
+/**
+ * Tests for modulation detection: key-region boundaries, region keys and pivot chords
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+
+const regions = (input) => ChordAnalyzer.analyzeChords(input).regions
+  .map(({ key, start, end }) => ({ key, start, end }));
+
+test('a modulation through a shared chord reports it as the pivot', () => {
+  const input = 'C, Am, F, G, C, Am, F, G, D, Bm, G, A, D, Bm, G, A';
+  assert.deepEqual(regions(input), [{ key: 'C', start: 0, end: 8 }, { key: 'D', start: 8, end: 16 }]);
+  const { pivot } = ChordAnalyzer.analyzeChords(input).analysis[7];
+  assert.deepEqual(pivot, {
+    index: 7, chord: 'G', fromKey: 'C', fromNumeral: 'V', toKey: 'D', toNumeral: 'IV'
+  });
+});
+
+test('a region is bounded by the key it is named with, not the scale that fits it best', () => {
+  const input = 'C, F, G, C, Am, D, G, C, D, G, A7, D, Bm, E7, A, D, A7, D';
+  assert.deepEqual(regions(input), [{ key: 'C', start: 0, end: 8 }, { key: 'D', start: 8, end: 18 }]);
+  const result = ChordAnalyzer.analyzeChords(input);
+  assert.deepEqual(result.analysis.slice(8, 12).map((item) => item.numeral), ['I', 'IV', 'V7', 'I']);
+  assert.equal(result.regions[1].pivot.chord, 'G');
+});
+
+test('a progression in one key stays one region without a pivot', () => {
+  assert.deepEqual(regions('C, Am, F, G, C, F, G, C'), [{ key: 'C', start: 0, end: 8 }]);
+  assert.equal(ChordAnalyzer.analyzeChords('C, Am, F, G, C, F, G, C').regions[0].pivot, null);
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for the key-detection rule engine: default weights, overrides and custom rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+
+const ruleIds = (candidate) => candidate.rules.map((entry) => entry.id);
+
+test('every built-in rule has a default weight', () => {
+  ChordAnalyzer.KEY_RULES.forEach((rule) => {
+    assert.equal(typeof ChordAnalyzer.WEIGHTS[rule.id], 'number', rule.id);
+  });
+});
+
+test('candidates list the rules that scored them, with their weights', () => {
+  const [best] = ChordAnalyzer.analyzeChords('A, F, D').candidates;
+  assert.equal(best.key, 'C');
+  assert.ok(ruleIds(best).includes('majorSubmediantWithoutTonic'));
+  const entry = best.rules.find((item) => item.id === 'majorSubmediantWithoutTonic');
+  assert.equal(entry.points, ChordAnalyzer.WEIGHTS.majorSubmediantWithoutTonic);
+});
+
+test('a weight of 0 disables a rule', () => {
+  const result = ChordAnalyzer.analyzeChords('A, F, D', { weights: { majorSubmediantWithoutTonic: 0 } });
+  assert.notEqual(result.key, 'C');
+  assert.ok(!result.candidates.some((candidate) => ruleIds(candidate).includes('majorSubmediantWithoutTonic')));
+});
+
+test('weights re-scale a rule', () => {
+  const score = (options) => ChordAnalyzer.analyzeChords('Am, Dm, E7, Am', options).candidates
+    .find((candidate) => candidate.key === 'A minor').score;
+  const doubled = { weights: { harmonicMinorDominant: ChordAnalyzer.WEIGHTS.harmonicMinorDominant * 2 } };
+  assert.equal(score(doubled) - score({}), ChordAnalyzer.WEIGHTS.harmonicMinorDominant);
+});
+
+test('custom rules score the modes they list', () => {
+  const opensOnTonic = {
+    id: 'opensOnTonic',
+    label: 'Opens on the tonic',
+    weight: 40,
+    modes: ['minor'],
+    score: (candidate) => candidate.offsetOf(candidate.chords[0]) === 0
+  };
+  const result = ChordAnalyzer.analyzeChords('C, G, Am, F', { rules: [opensOnTonic] });
+  assert.equal(result.key, 'C minor');
+  assert.ok(ruleIds(result.candidates[0]).includes('opensOnTonic'));
+  assert.equal(ChordAnalyzer.analyzeChords('C, G, Am, F', { rules: [opensOnTonic], weights: { opensOnTonic: 0 } }).key, 'C');
+});
+
+test('a minor key needs dominant or leading-tone evidence to beat its relative or parallel major', () => {
+  assert.equal(ChordAnalyzer.analyzeChords('Dm7, G7').key, 'C');
+  assert.equal(ChordAnalyzer.analyzeChords('Em7, A7').key, 'D');
+  const held = ChordAnalyzer.rankKeys(['Dm7', 'G7'].map(ChordAnalyzer.parseChord)).find((candidate) => candidate.key === 'D minor');
+  assert.ok(ruleIds(held).includes('minorWithoutDominant'));
+  assert.equal(ChordAnalyzer.analyzeChords('Am, Dm, E7, Am').key, 'A minor');
+  assert.equal(ChordAnalyzer.analyzeChords('Am, Dm, Em, Am').key, 'A minor');
+});
+
+test('a minor v is not dominant evidence for the key a fifth below', () => {
+  const numerals = (progression) => ChordAnalyzer.analyzeChords(progression).analysis.map((item) => item.numeral);
+  assert.equal(ChordAnalyzer.analyzeChords('Am, Dm, Am').key, 'A minor');
+  assert.deepEqual(numerals('Am, Dm, Am'), ['i', 'iv', 'i']);
+  assert.equal(ChordAnalyzer.analyzeChords('Em, Am, Em').key, 'E minor');
+  assert.deepEqual(numerals('Em, Am, Em'), ['i', 'iv', 'i']);
+});
+
+test('a borrowed iv does not move a framed major tonic to the minor key a fifth below', () => {
+  assert.equal(ChordAnalyzer.analyzeChords('C, Fm, C').key, 'C');
+  assert.equal(ChordAnalyzer.analyzeChords('C, F, Fm, C').key, 'C');
+  assert.equal(ChordAnalyzer.analyzeChords('C, C7, F, Fm, C').key, 'C');
+  assert.equal(ChordAnalyzer.analyzeChords('G, C, Cm, G').key, 'G');
+  assert.equal(ChordAnalyzer.analyzeChords('D, G, Gm, D').key, 'D');
+  const fMinor = ChordAnalyzer.analyzeChords('C, Fm, C').candidates.find((candidate) => candidate.key === 'F minor');
+  assert.ok(!ruleIds(fMinor).includes('harmonicMinorDominant'));
+});
+
+test('the harmonic-minor dominant counts when it resolves to i or i frames the progression', () => {
+  assert.equal(ChordAnalyzer.analyzeChords('E7, Am').key, 'A minor');
+  assert.equal(ChordAnalyzer.analyzeChords('Am, E, Am').key, 'A minor');
+  assert.equal(ChordAnalyzer.analyzeChords('Dm, A7, Dm').key, 'D minor');
+});
+
+test('candidates rank best first with confidences that sum to 1 and do not saturate', () => {
+  const ranked = ChordAnalyzer.rankKeys(['C', 'G', 'Am', 'F'].map(ChordAnalyzer.parseChord));
+  assert.equal(ranked[0].key, 'C');
+  ranked.slice(1).forEach((candidate, index) => {
+    assert.ok(candidate.score <= ranked[index].score, candidate.key);
+    assert.ok(candidate.confidence <= ranked[index].confidence, candidate.key);
+  });
+  const total = ranked.reduce((sum, candidate) => sum + candidate.confidence, 0);
+  assert.ok(Math.abs(total - 1) < 1e-9);
+  assert.ok(ranked[0].confidence > 0.5 && ranked[0].confidence < 0.99);
+  const [lydian, runnerUp] = ChordAnalyzer.analyzeChords('C, D, C, D').candidates;
+  assert.ok(lydian.confidence < 0.6);
+  assert.ok(runnerUp.confidence > 0.05);
+});
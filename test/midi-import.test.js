@@ -0,0 +1,93 @@
+/**
+ * Tests for MIDI import: reading Standard MIDI Files, segmenting notes and naming chords
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+const exportBytes = (input, options) =>
+  ChordAnalyzer.createMidiFile(ChordAnalyzer.analyzeChords(input), options).toBytes();
+const roundTrip = (input, options, importOptions) => ChordAnalyzer.importMidi(exportBytes(input, options), importOptions);
+const symbols = (imported) => imported.chords.map((chord) => chord.symbol);
+
+// A one-track file at 96 ticks per quarter from raw track bytes.
+const midiFile = (track) => Uint8Array.from([
+  0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+  0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, track.length, ...track
+]);
+
+test('exported progressions are recognized chord for chord', () => {
+  const input = 'C, G/B, Am7, F, Dm7, G7, Cmaj7, Bdim, E7, Am';
+  const imported = roundTrip(input);
+  assert.deepEqual(symbols(imported), input.split(', '));
+  assert.equal(imported.analysis.key, 'C');
+  assert.deepEqual(imported.analysis.analysis.map((item) => item.numeral),
+    ChordAnalyzer.analyzeChords(input).analysis.map((item) => item.numeral));
+});
+
+test('extended and altered chords keep their names', () => {
+  const input = 'Cm7b5, F7b9, Bbmaj7, Eb6, Am7, D7sus4, Gsus2, Caug';
+  ['close', 'spread'].forEach((style) => assert.deepEqual(symbols(roundTrip(input, { style })), input.split(', '), style));
+});
+
+test('beat segments follow chord changes within a bar', () => {
+  const imported = roundTrip('| C . G . | Am . . F |', {}, { segment: 'beat' });
+  assert.equal(imported.progression, '| C . G . | Am . . F |');
+  assert.deepEqual(imported.chords.map((chord) => [chord.symbol, chord.start, chord.beats]),
+    [['C', 0, 2], ['G', 2, 2], ['Am', 4, 3], ['F', 7, 1]]);
+});
+
+test('beat charts fill their last bar and start at the first chord', () => {
+  const imported = roundTrip('C, G, Am', { beatsPerChord: 2 }, { segment: 'beat' });
+  assert.equal(imported.progression, '| C . G . | Am . . . |');
+  assert.deepEqual(imported.analysis.rejected, []);
+  assert.deepEqual(imported.analysis.analysis.map((item) => item.chord), ['C', 'G', 'Am']);
+
+  // A beat's rest, then C E G for two beats.
+  const pickup = ChordAnalyzer.importMidi(midiFile([
+    0x60, 0x90, 60, 80, 0, 64, 80, 0, 67, 80,
+    0x81, 0x40, 0x80, 60, 0, 0, 64, 0, 0, 67, 0
+  ]), { segment: 'beat' });
+  assert.equal(pickup.progression, '| C . . . |');
+  assert.deepEqual(pickup.analysis.rejected, []);
+  assert.deepEqual(pickup.chords.map((chord) => [chord.symbol, chord.start]), [['C', 1]]);
+});
+
+test('the tempo, meter and key signature carry over', () => {
+  const imported = roundTrip('| 3/4 C . G7 | Am . F |', { tempo: 90 }, { segment: 'beat' });
+  assert.equal(imported.progression, '| 3/4 C . G7 | Am . F |');
+  assert.equal(imported.tempo, 90);
+  assert.deepEqual(imported.meter, { beats: 3, unit: 4 });
+  assert.deepEqual(symbols(roundTrip('F#m, Bm, C#7, F#m')), ['F#m', 'Bm', 'C#7', 'F#m']);
+  assert.deepEqual(symbols(roundTrip('Bb, Eb, F7, Bb')), ['Bb', 'Eb', 'F7', 'Bb']);
+});
+
+test('running status, zero-velocity note-offs and drums are read', () => {
+  const parsed = ChordAnalyzer.parseMidiFile(midiFile([
+    0, 0x90, 60, 80, 0, 64, 80, 0, 67, 80, // C E G with running status
+    0, 0x99, 36, 100, // a kick drum on channel 10
+    0x83, 0x00, 60, 0, 0, 64, 0, 0, 67, 0, // note-ons at velocity 0 end them a bar later
+    0, 0x89, 36, 0,
+    0, 0xff, 0x2f, 0
+  ]));
+  assert.deepEqual(parsed.notes.map((note) => [note.pitch, note.start, note.end]), [[60, 0, 384], [64, 0, 384], [67, 0, 384]]);
+  assert.equal(parsed.ticksPerQuarter, 96);
+  assert.equal(ChordAnalyzer.importMidi(midiFile([
+    0, 0x90, 57, 80, 0, 60, 80, 0, 64, 80, 0x83, 0x00, 0x80, 57, 0, 0, 60, 0, 0, 64, 0 // running note-offs
+  ])).progression, '| Am |');
+});
+
+test('short passing notes do not change the chord', () => {
+  const imported = ChordAnalyzer.importMidi(midiFile([
+    0, 0x90, 48, 80, 0, 64, 80, 0, 67, 80, // C E G for a bar
+    0x40, 0x90, 62, 60, 0x20, 0x80, 62, 0, // with a passing D an eighth long
+    0x82, 0x20, 0x80, 48, 0, 0, 64, 0, 0, 67, 0
+  ]));
+  assert.deepEqual(symbols(imported), ['C']);
+});
+
+test('data that is not a MIDI file is rejected', () => {
+  assert.throws(() => ChordAnalyzer.importMidi('C, G, Am, F'), /Not a MIDI file/);
+  assert.throws(() => ChordAnalyzer.parseMidiFile(new Uint8Array(4)), /Not a MIDI file/);
+});
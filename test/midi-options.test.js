@@ -0,0 +1,93 @@
+/**
+ * Tests for the MIDI export options: tempo, meter, key signature, chord lengths, loops,
+ * instrument, velocity and the separate bass track
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+const META_TEMPO = 0x51;
+const META_TIME_SIG = 0x58;
+const META_KEY_SIG = 0x59;
+
+const exportFile = (input, options) => ChordAnalyzer.createMidiFile(ChordAnalyzer.analyzeChords(input), options);
+const metaData = (track, type) => track.events.find((event) => event.type === type).data;
+const notesOn = (track) => track.events.filter((event) => event.type === 0x90);
+const noteLengths = (track) => track.events
+  .filter((event) => event.type === 0x80 && event.time.some((byte) => byte !== 0))
+  .map((event) => event.time.reduce((ticks, byte) => (ticks << 7) | (byte & 0x7f), 0));
+
+test('the tempo and time signature are written as meta events', () => {
+  const [track] = exportFile('C, G', { tempo: 90, timeSignature: '6/8' }).tracks;
+  const microseconds = metaData(track, META_TEMPO).reduce((value, byte) => value * 256 + byte, 0);
+  assert.equal(microseconds, Math.floor(60000000 / 90));
+  assert.deepEqual(metaData(track, META_TIME_SIG).slice(0, 2), [6, 3]);
+});
+
+test('the time signature defaults to the chart meter', () => {
+  const [track] = exportFile('| 3/4 C . . | G . . |').tracks;
+  assert.deepEqual(metaData(track, META_TIME_SIG).slice(0, 2), [3, 2]);
+  assert.deepEqual(metaData(exportFile('C, G').tracks[0], META_TIME_SIG).slice(0, 2), [4, 2]);
+});
+
+test('the key signature matches the analyzed key', () => {
+  assert.deepEqual(metaData(exportFile('F#m, Bm, C#7, F#m').tracks[0], META_KEY_SIG), [3, 1]);
+  assert.deepEqual(metaData(exportFile('Bb, Eb, F7, Bb').tracks[0], META_KEY_SIG), [254, 0]);
+  assert.deepEqual(ChordAnalyzer.getKeySignature('D Mixolydian'), { accidentals: 1, minor: false });
+  assert.deepEqual(ChordAnalyzer.getKeySignature('Gb'), { accidentals: -6, minor: false });
+});
+
+test('bars or beats per chord replace the written lengths', () => {
+  assert.deepEqual(noteLengths(exportFile('C, G', { barsPerChord: 2 }).tracks[0]), [1024, 1024]);
+  assert.deepEqual(noteLengths(exportFile('C, G', { beatsPerChord: 3, timeSignature: '6/8' }).tracks[0]), [192, 192]);
+  assert.deepEqual(noteLengths(exportFile('| C . G . |', { barsPerChord: 1, timeSignature: '3/4' }).tracks[0]), [384, 384]);
+});
+
+test('loops repeat the progression', () => {
+  const once = notesOn(exportFile('C, G, Am').tracks[0]).length;
+  assert.equal(notesOn(exportFile('C, G, Am', { loop: 3 }).tracks[0]).length, once * 3);
+});
+
+test('program and velocity apply to every note', () => {
+  const [track] = exportFile('C, G', { program: 48, velocity: 70 }).tracks;
+  assert.equal(track.events.find((event) => event.type === 0xc0).param1, 48);
+  assert.ok(notesOn(track).every((event) => event.param2 === 70));
+});
+
+test('the bass can go on its own track in a Type 1 file', () => {
+  const file = exportFile('C, G/B, Am', { separateBass: true, style: 'close' });
+  const [chords, bass] = file.tracks;
+  assert.equal(file.tracks.length, 2);
+  assert.equal(file.toBytes().slice(8, 10), '\x00\x01');
+  assert.deepEqual(notesOn(bass).map((event) => event.param1 % 12), [0, 11, 9]);
+  assert.ok(notesOn(bass).every((event) => event.channel === 1));
+  assert.equal(bass.events.find((event) => event.type === 0xc0).param1, 32);
+  assert.equal(notesOn(chords).length + notesOn(bass).length,
+    notesOn(exportFile('C, G/B, Am', { style: 'close' }).tracks[0]).length);
+});
+
+test('invalid options are rejected', () => {
+  assert.throws(() => exportFile('C', { tempo: 0 }), /Tempo/);
+  assert.throws(() => exportFile('C', { timeSignature: '4/3' }), /Time signature/);
+  assert.throws(() => exportFile('C', { velocity: 128 }), /Velocity/);
+  assert.throws(() => exportFile('C', { program: -1 }), /program/);
+  assert.throws(() => exportFile('C', { loop: 1.5 }), /Loop/);
+  assert.throws(() => exportFile('C', { barsPerChord: 1, beatsPerChord: 2 }), /not both/);
+});
+
+test('meter changes in the chart are written where they fall', () => {
+  const timeSignatures = (file) => {
+    let ticks = 0;
+    return file.tracks[0].events.reduce((found, event) => {
+      ticks += event.time.reduce((value, byte) => (value << 7) | (byte & 0x7f), 0);
+      return event.type === META_TIME_SIG ? found.concat([[ticks, ...event.data.slice(0, 2)]]) : found;
+    }, []);
+  };
+  assert.deepEqual(timeSignatures(exportFile('| 3/4 C . . | 4/4 G . . . |')), [[0, 3, 2], [384, 4, 2]]);
+  assert.deepEqual(timeSignatures(exportFile('| 3/4 C . . | 4/4 G . . . |', { loop: 2 })),
+    [[0, 3, 2], [384, 4, 2], [896, 3, 2], [1280, 4, 2]]);
+  assert.deepEqual(timeSignatures(exportFile('| 3/4 C . . | 4/4 G . . . |', { timeSignature: '4/4' })), [[0, 4, 2]]);
+  const satb = ChordAnalyzer.createSATBMidiFile(ChordAnalyzer.realizeSATB(ChordAnalyzer.analyzeChords('| 3/4 C . . | 4/4 G . . . |')));
+  assert.deepEqual(timeSignatures(satb), [[0, 3, 2], [384, 4, 2]]);
+});
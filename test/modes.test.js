@@ -0,0 +1,42 @@
+/**
+ * Tests for modal key detection: each mode's characteristic chord and modal numerals
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+
+const read = (input) => {
+  const result = ChordAnalyzer.analyzeChords(input);
+  return { key: result.key, mode: result.mode, numerals: result.analysis.map((item) => item.numeral) };
+};
+
+test('Mixolydian is recognized by its bVII', () => {
+  assert.deepEqual(read('G, F, C, G'), { key: 'G Mixolydian', mode: 'mixolydian', numerals: ['I', 'bVII', 'IV', 'I'] });
+});
+
+test('Dorian is recognized by its major IV', () => {
+  assert.deepEqual(read('Dm, G, Dm, G'), { key: 'D Dorian', mode: 'dorian', numerals: ['i', 'IV', 'i', 'IV'] });
+});
+
+test('Lydian is recognized by its major II', () => {
+  assert.deepEqual(read('C, D, C, D'), { key: 'C Lydian', mode: 'lydian', numerals: ['I', 'II', 'I', 'II'] });
+});
+
+test('Phrygian is recognized by its bII', () => {
+  assert.deepEqual(read('Em, F, Em, F'), { key: 'E Phrygian', mode: 'phrygian', numerals: ['i', 'bII', 'i', 'bII'] });
+});
+
+test('Aeolian is recognized by bVI and bVII around a minor tonic', () => {
+  assert.deepEqual(read('Am, F, G, Am'), { key: 'A Aeolian', mode: 'aeolian', numerals: ['i', 'bVI', 'bVII', 'i'] });
+});
+
+test('a functional progression still reads as major rather than a mode', () => {
+  assert.equal(read('F, G, F, G, C').key, 'C');
+});
+
+test('modal tonics take the accidentals of their parent major', () => {
+  assert.equal(read('F#m, B, F#m, B').key, 'F# Dorian');
+  assert.equal(read('Bb, Ab, Eb, Bb').key, 'Bb Mixolydian');
+  assert.equal(read('Ebm, Fb, Ebm, Fb').key, 'Eb Phrygian');
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the chord-symbol grammar: intervals and quality for each suffix family
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+
+const shape = (symbol) => {
+  const chord = ChordAnalyzer.parseChord(symbol);
+  return { intervals: chord.intervals, quality: chord.quality };
+};
+
+test('triads, sevenths and power chords', () => {
+  assert.deepEqual(shape('C'), { intervals: [0, 4, 7], quality: 'major' });
+  assert.deepEqual(shape('Cmaj'), { intervals: [0, 4, 7], quality: 'major' });
+  assert.deepEqual(shape('Caug'), { intervals: [0, 4, 8], quality: 'augmented' });
+  assert.deepEqual(shape('C+'), { intervals: [0, 4, 8], quality: 'augmented' });
+  assert.deepEqual(shape('Cdim7'), { intervals: [0, 3, 6, 9], quality: 'diminished' });
+  assert.deepEqual(shape('C5'), { intervals: [0, 7], quality: 'power' });
+  assert.ok(ChordAnalyzer.parseChord('C5').isPowerChord);
+});
+
+test('suspended chords', () => {
+  assert.deepEqual(shape('Csus4'), { intervals: [0, 5, 7], quality: 'suspended' });
+  assert.deepEqual(shape('Csus2'), { intervals: [0, 2, 7], quality: 'suspended' });
+  assert.deepEqual(shape('Csus'), { intervals: [0, 5, 7], quality: 'suspended' });
+  assert.deepEqual(shape('C7sus4'), { intervals: [0, 5, 7, 10], quality: 'suspended' });
+  assert.deepEqual(shape('C9sus'), { intervals: [0, 5, 7, 10, 14], quality: 'suspended' });
+  assert.ok(ChordAnalyzer.parseChord('C7sus4').isSeventh);
+});
+
+test('sixth chords', () => {
+  assert.deepEqual(shape('C6'), { intervals: [0, 4, 7, 9], quality: 'major' });
+  assert.deepEqual(shape('Cm6'), { intervals: [0, 3, 7, 9], quality: 'minor' });
+  assert.deepEqual(shape('C6/9'), { intervals: [0, 4, 7, 9, 14], quality: 'major' });
+  assert.deepEqual(shape('C69'), { intervals: [0, 4, 7, 9, 14], quality: 'major' });
+  assert.ok(ChordAnalyzer.parseChord('C6').isSixth);
+});
+
+test('extended chords stack the sevenths below them', () => {
+  assert.deepEqual(shape('C9'), { intervals: [0, 4, 7, 10, 14], quality: 'major' });
+  assert.deepEqual(shape('Cmaj9'), { intervals: [0, 4, 7, 11, 14], quality: 'major' });
+  assert.deepEqual(shape('Cm11'), { intervals: [0, 3, 7, 10, 14, 17], quality: 'minor' });
+  assert.deepEqual(shape('C13'), { intervals: [0, 4, 7, 10, 14, 21], quality: 'major' });
+});
+
+test('added tones leave out the seventh', () => {
+  assert.deepEqual(shape('Cadd9'), { intervals: [0, 4, 7, 14], quality: 'major' });
+  assert.deepEqual(shape('Cadd11'), { intervals: [0, 4, 7, 17], quality: 'major' });
+  assert.equal(ChordAnalyzer.parseChord('Cadd9').isSeventh, false);
+});
+
+test('altered tones and alt chords', () => {
+  assert.deepEqual(shape('C7b9'), { intervals: [0, 4, 7, 10, 13], quality: 'major' });
+  assert.deepEqual(shape('C7#9'), { intervals: [0, 4, 7, 10, 15], quality: 'major' });
+  assert.deepEqual(shape('C7#11'), { intervals: [0, 4, 7, 10, 18], quality: 'major' });
+  assert.deepEqual(shape('C7b13'), { intervals: [0, 4, 7, 10, 20], quality: 'major' });
+  assert.deepEqual(shape('Cmaj7#11'), { intervals: [0, 4, 7, 11, 18], quality: 'major' });
+  assert.deepEqual(shape('C7alt'), { intervals: [0, 4, 10, 13, 15, 18, 20], quality: 'major' });
+  assert.deepEqual(ChordAnalyzer.parseChord('C7alt').extensions, [13, 15, 18, 20]);
+});
+
+test('half-diminished spellings agree', () => {
+  ['Cø', 'Cø7', 'Cm7b5'].forEach((symbol) => {
+    assert.deepEqual(shape(symbol), { intervals: [0, 3, 6, 10], quality: 'half-diminished' }, symbol);
+    assert.ok(ChordAnalyzer.parseChord(symbol).isHalfDiminished, symbol);
+  });
+});
+
+test('malformed symbols return null', () => {
+  ['', 'H', 'Cxyz', 'C7#', 'C7b', 'Cadd', 'Cadd8', 'Csus3', 'C/', 'C5/9', 'Cmm7', 'Cmaj7maj7'].forEach((symbol) => {
+    assert.equal(ChordAnalyzer.parseChord(symbol), null, symbol);
+  });
+});
+
+test('a second sus and repeated added or altered tones return null', () => {
+  ['Csus4sus2', 'Csussus', 'Cadd9add9', 'C7b9b9', 'Cm7b5b5', 'C7altalt', 'Cno3no3'].forEach((symbol) => {
+    assert.equal(ChordAnalyzer.parseChord(symbol), null, symbol);
+  });
+  ['C7b9#9', 'C7(b9)(#11)', 'Cadd9add11'].forEach((symbol) => {
+    assert.notEqual(ChordAnalyzer.parseChord(symbol), null, symbol);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for in-browser playback: scheduling against a stand-in audio context and timer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+// Records the oscillators and gains a player creates; `currentTime` is set by the test.
+function createFakeContext() {
+  const param = () => ({ value: 0, setValueAtTime() {}, linearRampToValueAtTime() {} });
+  const node = () => ({ connect() {}, disconnect() { this.disconnected = true; } });
+  const context = {
+    currentTime: 0,
+    destination: node(),
+    oscillators: [],
+    createGain: () => Object.assign(node(), { gain: param() }),
+    createOscillator: () => {
+      const oscillator = Object.assign(node(), {
+        frequency: param(),
+        start(time) { this.startTime = time; },
+        stop(time) { this.stopTime = time; }
+      });
+      context.oscillators.push(oscillator);
+      return oscillator;
+    }
+  };
+  return context;
+}
+
+// A timer that runs callbacks when the test moves the clock (in seconds) past their time.
+function createFakeTimer(context) {
+  let pending = [];
+  let nextId = 1;
+  return {
+    setTimeout(callback, delay) {
+      pending.push({ id: nextId, time: context.currentTime + delay / 1000, callback });
+      return nextId++;
+    },
+    clearTimeout(id) {
+      pending = pending.filter((entry) => entry.id !== id);
+    },
+    advance(to) {
+      for (;;) {
+        const due = pending.filter((entry) => entry.time <= to).sort((a, b) => a.time - b.time)[0];
+        if (!due) break;
+        pending = pending.filter((entry) => entry !== due);
+        context.currentTime = due.time;
+        due.callback();
+      }
+      context.currentTime = to;
+    }
+  };
+}
+
+function setup() {
+  const context = createFakeContext();
+  const timer = createFakeTimer(context);
+  const rows = [];
+  let stopped = 0;
+  const player = ChordAnalyzer.createPlayer({
+    context,
+    timer,
+    onRow: (row) => rows.push(row),
+    onStop: () => stopped++
+  });
+  return { context, timer, rows, player, stopped: () => stopped };
+}
+
+const frequencyToPitch = (frequency) => Math.round(69 + 12 * Math.log2(frequency / 440));
+
+test('playback schedules the voicings and lengths MIDI export writes', () => {
+  const result = ChordAnalyzer.analyzeChords('| C . G . | Am . . F |');
+  const options = { style: 'drop2', tempo: 120 };
+  const { events, length } = ChordAnalyzer.schedulePlayback(result, options);
+  const exported = ChordAnalyzer.getChordEvents(result, options).events;
+  assert.deepEqual(events.map((event) => event.pitches), exported.map((event) => event.pitches));
+  assert.deepEqual(events.map((event) => [event.row, event.time, event.duration]),
+    [[0, 0, 1], [1, 1, 1], [2, 2, 1.5], [3, 3.5, 0.5]]);
+  assert.equal(length, 4);
+  const notesOn = ChordAnalyzer.createMidiFile(result, options).tracks[0].events
+    .filter((event) => event.type === 0x90).map((event) => event.param1);
+  assert.deepEqual(events.flatMap((event) => event.pitches), notesOn);
+});
+
+test('the player starts each note on time and reports the playing row', () => {
+  const { context, timer, rows, player, stopped } = setup();
+  player.play(ChordAnalyzer.analyzeChords('C, G'), { tempo: 120 });
+  assert.ok(player.playing);
+  const starts = [...new Set(context.oscillators.map((oscillator) => oscillator.startTime))];
+  assert.deepEqual(starts, [0.05, 2.05]);
+  assert.deepEqual(context.oscillators.filter((oscillator) => oscillator.startTime === 0.05)
+    .map((oscillator) => frequencyToPitch(oscillator.frequency.value)), ChordAnalyzer.voiceChord(ChordAnalyzer.parseChord('C')));
+  timer.advance(1);
+  assert.deepEqual(rows, [0]);
+  timer.advance(3);
+  assert.deepEqual(rows, [0, 1]);
+  timer.advance(5);
+  assert.deepEqual(rows, [0, 1, null]);
+  assert.equal(stopped(), 1);
+  assert.ok(!player.playing);
+});
+
+test('looping schedules the next pass as the last one ends, at the new tempo', () => {
+  const { context, timer, rows, player } = setup();
+  const result = ChordAnalyzer.analyzeChords('C, G');
+  player.play(result, { tempo: 120, loop: true });
+  timer.advance(3.5);
+  player.update({ tempo: 60, loop: true });
+  timer.advance(4.1);
+  assert.deepEqual(rows, [0, 1, 0]);
+  const starts = [...new Set(context.oscillators.map((oscillator) => oscillator.startTime))];
+  assert.deepEqual(starts, [0.05, 2.05, 4.05, 8.05]);
+  timer.advance(20);
+  assert.ok(player.playing);
+  player.stop();
+  assert.equal(rows[rows.length - 1], null);
+  assert.ok(!player.playing);
+});
+
+test('invalid updates throw at once and leave the loop playing', () => {
+  const { context, timer, player, stopped } = setup();
+  player.play(ChordAnalyzer.analyzeChords('C, G'), { tempo: 120, loop: true });
+  timer.advance(1);
+  assert.throws(() => player.update({ tempo: 0, loop: true }), /Tempo/);
+  timer.advance(4.1);
+  assert.ok(player.playing);
+  assert.deepEqual([...new Set(context.oscillators.map((oscillator) => oscillator.startTime))], [0.05, 2.05, 4.05, 6.05]);
+  player.stop();
+  assert.equal(stopped(), 1);
+});
+
+test('a loop pass that cannot be scheduled stops playback', () => {
+  const { timer, player, stopped } = setup();
+  const result = ChordAnalyzer.analyzeChords('C, G');
+  player.play(result, { tempo: 120, loop: true });
+  // The progression changes under the player into one that can't be voiced.
+  result.analysis.length = 0;
+  result.timeline = [{ row: 5, start: 0, length: 4 }];
+  assert.doesNotThrow(() => timer.advance(4.1));
+  assert.ok(!player.playing);
+  assert.equal(stopped(), 1);
+});
+
+test('stop silences every scheduled note at once', () => {
+  const { context, timer, rows, player, stopped } = setup();
+  player.play(ChordAnalyzer.analyzeChords('C, G, Am, F'));
+  timer.advance(1);
+  player.stop();
+  assert.ok(context.oscillators.every((oscillator) => oscillator.stopTime === 1));
+  timer.advance(10);
+  assert.deepEqual(rows, [0, null]);
+  assert.equal(stopped(), 1);
+});
+
+test('auditioning a row plays its chord as voiced in the progression', () => {
+  const { context, player } = setup();
+  const result = ChordAnalyzer.analyzeChords('Dm7, G7, Cmaj7');
+  player.audition(result, 1, { style: 'close' });
+  const pitches = context.oscillators.map((oscillator) => frequencyToPitch(oscillator.frequency.value));
+  assert.deepEqual(pitches, ChordAnalyzer.schedulePlayback(result, { style: 'close' }).events[1].pitches);
+  assert.ok(!player.playing);
+});
+
+test('invalid options are rejected before anything sounds', () => {
+  const { context, player } = setup();
+  assert.throws(() => player.play(ChordAnalyzer.analyzeChords('C, G'), { tempo: 5 }), /Tempo/);
+  assert.equal(context.oscillators.length, 0);
+  assert.ok(!player.playing);
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for the bar notation: beats, time signatures, repeats, duration weighting and MIDI lengths
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+const beats = (input) => ChordAnalyzer.parseProgression(input).rows.map((row) => [row.symbol, row.beats]);
+const played = (input) => {
+  const { rows, timeline } = ChordAnalyzer.parseProgression(input);
+  return timeline.map((event) => rows[event.row].symbol + ':' + event.length).join(' ');
+};
+
+// Note lengths in ticks, read from the note-off of each chord's first note.
+function chordLengths(file) {
+  return file.tracks[0].events
+    .filter((event) => event.type === 0x80 && event.time.some((byte) => byte !== 0))
+    .map((event) => event.time.reduce((ticks, byte) => (ticks << 7) | (byte & 0x7f), 0));
+}
+
+test('dots hold the previous chord for a beat', () => {
+  assert.deepEqual(beats('| C . G . | Am . . F |'), [['C', 2], ['G', 2], ['Am', 3], ['F', 1]]);
+  assert.deepEqual(beats('| C . . . | . . G . |'), [['C', 6], ['G', 2]]);
+});
+
+test('chords without dots or counts share the bar evenly', () => {
+  assert.deepEqual(beats('| C G | Am |'), [['C', 2], ['G', 2], ['Am', 4]]);
+});
+
+test('beat counts set a chord length explicitly', () => {
+  assert.deepEqual(beats('| C:3 G | F:2 G:2 |'), [['C', 3], ['G', 1], ['F', 2], ['G', 2]]);
+});
+
+test('time signatures change the bar length and beat unit', () => {
+  const progression = ChordAnalyzer.parseProgression('| 3/4 C . . | G . . | 6/8 Am . . F . . |');
+  assert.deepEqual(progression.meter, { beats: 3, unit: 4 });
+  assert.deepEqual(progression.rows.map((row) => row.beats), [3, 3, 3, 3]);
+  assert.equal(played('| 3/4 C . . | G . . | 6/8 Am . . F . . |'), 'C:3 G:3 Am:1.5 F:1.5');
+});
+
+test('repeats expand in the timeline but not in the rows', () => {
+  assert.equal(played('| C | G | x3'), 'C:4 G:4 C:4 G:4 C:4 G:4');
+  assert.equal(played('| F |: C | G :| Am |'), 'F:4 C:4 G:4 C:4 G:4 Am:4');
+  assert.equal(played('|: C | G :| x3 | F |'), 'C:4 G:4 C:4 G:4 C:4 G:4 F:4');
+  assert.equal(played('| C | % | G |'), 'C:4 C:4 G:4');
+  assert.equal(ChordAnalyzer.analyzeChords('| C | G | x3').analysis.length, 2);
+});
+
+test('unreadable symbols in a bar are rejected and the previous chord holds', () => {
+  const result = ChordAnalyzer.analyzeChords('| C Xz | G |');
+  assert.deepEqual(result.rejected, ['Xz']);
+  assert.deepEqual(result.analysis.map((item) => item.beats), [4, 4]);
+});
+
+test('zero and negative beat or repeat counts are rejected', () => {
+  const progression = ChordAnalyzer.parseProgression('| C:0 G | F:-1 C | x0');
+  assert.deepEqual(progression.rows.map((row) => [row.symbol, row.beats]), [['G', 4], ['C', 4]]);
+  assert.deepEqual(progression.rejected, ['C:0', 'F:-1', 'x0']);
+  assert.equal(played('| C:0 G | F:-1 C | x0'), 'G:4 C:4');
+});
+
+test('a hold with no chord before it is rejected', () => {
+  const progression = ChordAnalyzer.parseProgression('| . C . . | G |');
+  assert.deepEqual(progression.rejected, ['.']);
+  assert.deepEqual(beats('| . C . . | G |'), [['C', 3], ['G', 4]]);
+  assert.deepEqual(ChordAnalyzer.parseProgression('| . C | G |').rejected, ['| . C |']);
+});
+
+test('bars whose beats do not add up to the time signature are rejected whole', () => {
+  const result = ChordAnalyzer.analyzeChords('| C . . . . | G:2 | F . G . | 3/4 Am . . . | Dm:3 |');
+  assert.deepEqual(result.rejected, ['| C . . . . |', '| G:2 |', '| 3/4 Am . . . |']);
+  assert.deepEqual(result.analysis.map((item) => [item.chord, item.bar, item.beats]), [['F', 1, 2], ['G', 1, 2], ['Dm', 2, 3]]);
+  assert.deepEqual(ChordAnalyzer.parseProgression('| C Xz . . . |').rejected, ['| C Xz . . . |']);
+  // A lone dot still holds through its whole bar, like a lone chord fills it.
+  assert.deepEqual(beats('| C | . | G |'), [['C', 8], ['G', 4]]);
+});
+
+test('a comma list is one 4/4 bar per chord', () => {
+  const result = ChordAnalyzer.analyzeChords('C, G, Am');
+  assert.deepEqual(result.meter, { beats: 4, unit: 4 });
+  assert.deepEqual(result.analysis.map((item) => [item.bar, item.beats]), [[1, 4], [2, 4], [3, 4]]);
+});
+
+test('a held chord counts for more in key detection', () => {
+  const scoreOf = (input, key) => ChordAnalyzer.analyzeChords(input).candidates
+    .find((candidate) => candidate.key === key).score;
+  assert.equal(ChordAnalyzer.analyzeChords('Dm, G, Bb').key, 'Bb');
+  assert.equal(ChordAnalyzer.analyzeChords('| G | % | % | % | Dm Bb |').key, 'G');
+  assert.ok(scoreOf('| C | % | % | % | F G |', 'C') > scoreOf('| C F G |', 'C'));
+  assert.equal(scoreOf('| C G | Am F | x4', 'C'), scoreOf('C, G, Am, F', 'C'));
+});
+
+test('transpose keeps the bar notation', () => {
+  assert.equal(ChordAnalyzer.transpose('|: C . G7:2 | 3/4 Am . . :| x3', 2), '|: D . A7:2 | 3/4 Bm . . :| x3');
+});
+
+test('MIDI export follows the timeline lengths', () => {
+  const result = ChordAnalyzer.analyzeChords('| C . G . | Am . . F | x2');
+  assert.deepEqual(chordLengths(ChordAnalyzer.createMidiFile(result)), [256, 256, 384, 128, 256, 256, 384, 128]);
+  assert.deepEqual(chordLengths(ChordAnalyzer.createMidiFile(ChordAnalyzer.analyzeChords('C, G'))), [512, 512]);
+});
+
+test('repeat marks read the same without spaces', () => {
+  assert.equal(played('|:C|G:|'), played('|: C | G :|'));
+  assert.deepEqual(ChordAnalyzer.parseProgression('|:C|G:|').rejected, []);
+  assert.equal(ChordAnalyzer.transpose('|:C|G:|', 2), '|:D|A:|');
+});
+
+test('an empty bar holds the previous chord, and is rejected with nothing to hold', () => {
+  assert.equal(played('| C | | G |'), 'C:8 G:4');
+  assert.equal(played('| C || G |'), 'C:4 G:4');
+  assert.deepEqual(ChordAnalyzer.parseProgression('| | C |').rejected, ['| |']);
+});
+
+test('beats before the first readable chord stay silent instead of being dropped', () => {
+  const { rows, timeline, rejected } = ChordAnalyzer.parseProgression('| Xyz . . . | G |');
+  assert.deepEqual(rejected, ['Xyz', '.', '.', '.']);
+  assert.deepEqual(timeline, [{ row: 0, start: 4, length: 4 }]);
+  assert.equal(rows[0].bar, 2);
+});
+
+test('MIDI export and playback keep the silent opening beats', () => {
+  const result = ChordAnalyzer.analyzeChords('| Xyz . . . | G |');
+  assert.deepEqual(ChordAnalyzer.getChordEvents(result).events.map((event) => event.start), [4]);
+  const [firstNote] = ChordAnalyzer.createMidiFile(result).tracks[0].events.filter((event) => event.type === 0x90);
+  assert.equal(firstNote.time.reduce((ticks, byte) => (ticks << 7) | (byte & 0x7f), 0), 512);
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for the four-part (SATB) realization, the part-writing checks and SATB MIDI export
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+const realize = (input) => ChordAnalyzer.realizeSATB(ChordAnalyzer.analyzeChords(input));
+const part = (soprano, alto, tenor, bass) => ({ soprano, alto, tenor, bass });
+const errorTypes = (input, parts) => ChordAnalyzer.checkPartWriting(ChordAnalyzer.analyzeChords(input), parts)
+  .map((error) => error.index + ':' + error.type);
+
+test('textbook progressions are realized without part-writing errors', () => {
+  ['C, F, G, C', 'Dm7, G7, C', 'Am, Dm, E7, Am', 'C, G/B, Am, F, C/G, G7, C', 'C, F, G, Am', 'C, A7, Dm, G7, C']
+    .forEach((input) => assert.deepEqual(realize(input).errors, [], input));
+});
+
+test('voices stay in range, in order and within an octave of each other', () => {
+  realize('C, Am, F, G7, Em, A7, Dm, G, C, E7, Am, D7, G, C').chords.forEach(({ pitches }) => {
+    ChordAnalyzer.SATB_VOICES.forEach((voice) => {
+      const range = ChordAnalyzer.SATB_RANGES[voice];
+      assert.ok(pitches[voice] >= range.low && pitches[voice] <= range.high, voice);
+    });
+    assert.ok(pitches.bass < pitches.tenor && pitches.tenor < pitches.alto && pitches.alto < pitches.soprano);
+    assert.ok(pitches.soprano - pitches.alto <= 12 && pitches.alto - pitches.tenor <= 12);
+  });
+});
+
+test('the leading tone rises to the tonic and the seventh falls by step', () => {
+  const [, g7, c] = realize('Dm7, G7, C').chords.map((chord) => chord.pitches);
+  ChordAnalyzer.SATB_VOICES.forEach((voice) => {
+    if (g7[voice] % 12 === 11) assert.equal(c[voice] - g7[voice], 1, voice);
+    if (g7[voice] % 12 === 5) assert.ok([-1, -2].includes(c[voice] - g7[voice]), voice);
+  });
+});
+
+test('doubling favors the root and never doubles the leading tone', () => {
+  realize('C, G, C, G/B, C').chords.forEach(({ chord, pitches }) => {
+    const pitchClasses = Object.values(pitches).map((pitch) => pitch % 12);
+    assert.ok(pitchClasses.filter((pitchClass) => pitchClass === 11).length <= 1, chord);
+  });
+  const [tonic] = realize('C, F, G, C').chords;
+  assert.equal(Object.values(tonic.pitches).filter((pitch) => pitch % 12 === 0).length, 2);
+});
+
+test('rows carry their numeral and spelled notes', () => {
+  const [, dominant] = realize('F#, C#7, F#').chords;
+  assert.equal(dominant.numeral, 'V7');
+  assert.ok(Object.values(dominant.notes).includes('E#4') || Object.values(dominant.notes).includes('E#3'));
+});
+
+test('checkPartWriting flags parallels, crossing, overlap, spacing and unresolved tones', () => {
+  assert.deepEqual(errorTypes('C, D', [part(72, 67, 64, 48), part(74, 69, 66, 50)]),
+    ['1:parallelFifths', '1:parallelOctaves']);
+  assert.deepEqual(errorTypes('C, Am', [part(67, 64, 60, 48), part(64, 69, 60, 57)]), ['1:crossing', '1:overlap']);
+  assert.deepEqual(errorTypes('C', [part(79, 64, 60, 48)]), ['0:spacing']);
+  assert.deepEqual(errorTypes('G7, C', [part(71, 65, 62, 55), part(67, 64, 60, 48)]), ['0:leadingTone']);
+  assert.deepEqual(errorTypes('G7, C', [part(71, 65, 62, 55), part(72, 67, 64, 48)]), ['0:seventh']);
+  assert.deepEqual(errorTypes('G, C', [part(71, 67, 59, 55), part(72, 67, 64, 48)]), ['0:doubling', '0:leadingTone']);
+});
+
+test('the realization exports as a four-track MIDI file', () => {
+  const realization = realize('| C . G . | C |');
+  const file = ChordAnalyzer.createSATBMidiFile(realization);
+  assert.equal(file.tracks.length, 4);
+  assert.equal(file.toBytes().slice(8, 10), '\x00\x01');
+  const notesOn = (track) => track.events.filter((event) => event.type === 0x90).map((event) => event.param1);
+  ChordAnalyzer.SATB_VOICES.forEach((voice, index) => {
+    assert.deepEqual(notesOn(file.tracks[index]), realization.chords.map((chord) => chord.pitches[voice]));
+  });
+});
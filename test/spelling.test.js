@@ -0,0 +1,50 @@
+/**
+ * Tests for enharmonic spelling: key names, chord tones and chromatic numerals
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+
+const keyOf = (input) => ChordAnalyzer.analyzeChords(input).key;
+const tones = (symbol) => ChordAnalyzer.analyzeChords(symbol, { key: 'C' }).analysis[0].tones;
+const numeral = (symbol, key) => ChordAnalyzer.getRomanNumeral(ChordAnalyzer.parseChord(symbol), key).numeral;
+
+test('keys are spelled the way the chords are written', () => {
+  assert.equal(keyOf('Gb, Cb, Db7, Gb'), 'Gb');
+  assert.equal(keyOf('F#, B, C#7, F#'), 'F#');
+  assert.equal(keyOf('Db, Gb, Ab7, Db'), 'Db');
+  assert.equal(keyOf('C#, F#, G#7, C#'), 'C#');
+  assert.equal(keyOf('Ebm, Abm, Bb7, Ebm'), 'Eb minor');
+  assert.equal(keyOf('D#m, G#m, A#7, D#m'), 'D# minor');
+});
+
+test('a Cb or Fb tonic is only used when the chords are written with it', () => {
+  const result = ChordAnalyzer.analyzeChords('Ab, E, Db');
+  assert.equal(result.key, 'B');
+  assert.ok(result.candidates.every((candidate) => !/^(Cb|Fb)\b/.test(candidate.key)));
+  assert.equal(keyOf('Cb, Fb, Gb7, Cb'), 'Cb');
+});
+
+test('chord tones are spelled by letter from the written root', () => {
+  assert.deepEqual(tones('E'), ['E', 'G#', 'B']);
+  assert.deepEqual(tones('Ebm'), ['Eb', 'Gb', 'Bb']);
+  assert.deepEqual(tones('F#7'), ['F#', 'A#', 'C#', 'E']);
+  assert.deepEqual(tones('Bbm7b5'), ['Bb', 'Db', 'Fb', 'Ab']);
+});
+
+test('double flats and sharps are kept where the chord degree needs them', () => {
+  assert.deepEqual(tones('Cdim7'), ['C', 'Eb', 'Gb', 'Bbb']);
+  assert.deepEqual(tones('Abdim7'), ['Ab', 'Cb', 'Ebb', 'Gbb']);
+  assert.deepEqual(tones('C#7#9'), ['C#', 'E#', 'G#', 'B', 'D##']);
+});
+
+test('chromatic numerals take their accidental from the root spelling', () => {
+  assert.equal(numeral('Gb', 'C'), 'bV*');
+  assert.equal(numeral('Db', 'C'), 'bII*');
+  assert.equal(numeral('Fb', 'Db'), 'bIII*');
+  assert.equal(numeral('Ebb', 'Db'), 'bII*');
+  assert.equal(numeral('Abb', 'Db'), 'bV*');
+  assert.equal(numeral('Cbmaj7', 'Eb'), 'bVImaj7*');
+  assert.equal(numeral('E#dim', 'F#'), 'vii°');
+});
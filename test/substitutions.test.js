@@ -0,0 +1,71 @@
+/**
+ * Tests for chord substitution suggestions and swapping them into a progression
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+const suggestionsFor = (input, index, options) =>
+  ChordAnalyzer.suggestSubstitutions(ChordAnalyzer.analyzeChords(input, options))[index];
+const chordsOfType = (suggestions, type) =>
+  suggestions.filter((suggestion) => suggestion.type === type).map((suggestion) => suggestion.chord);
+
+test('diatonic substitutes share two tones and keep the chord size', () => {
+  assert.deepEqual(chordsOfType(suggestionsFor('C, F, G, C', 0), 'diatonic'), ['Em', 'Am']);
+  assert.deepEqual(chordsOfType(suggestionsFor('Dm7, G7, Cmaj7', 0), 'diatonic'), ['Fmaj7', 'Bm7b5']);
+  assert.deepEqual(chordsOfType(suggestionsFor('Am, Dm, E7, Am', 2), 'diatonic'), ['G7', 'Cmaj7', 'G#dim7']);
+});
+
+test('dominants get a tritone substitute', () => {
+  const [tritone] = suggestionsFor('Dm7, G7, Cmaj7', 1).filter((suggestion) => suggestion.type === 'tritone');
+  assert.equal(tritone.chord, 'Db7');
+  assert.equal(tritone.numeral, 'bII7*');
+  assert.match(tritone.description, /B–F/);
+  assert.deepEqual(chordsOfType(suggestionsFor('C, A7, Dm, G', 1), 'tritone'), ['Eb7']);
+  assert.deepEqual(chordsOfType(suggestionsFor('C, F, G, C', 1), 'tritone'), []);
+});
+
+test('modal interchange borrows iv, bVI and bVII from the parallel minor', () => {
+  assert.deepEqual(chordsOfType(suggestionsFor('C, F, G, C', 1), 'modal'), ['Fm', 'Bb']);
+  assert.deepEqual(chordsOfType(suggestionsFor('C, Am, F, G', 1), 'modal'), ['Ab']);
+  const [iv] = suggestionsFor('C, F, G, C', 1).filter((suggestion) => suggestion.type === 'modal');
+  assert.equal(iv.numeral, 'iv*');
+  assert.equal(iv.function, 'Minor Four');
+  assert.deepEqual(chordsOfType(suggestionsFor('Am, Dm, E7, Am', 1), 'modal'), ['D']);
+});
+
+test('secondary dominants and passing diminished chords lead into the next chord', () => {
+  const suggestions = suggestionsFor('C, Dm, G7, C', 0);
+  const secondary = suggestions.find((suggestion) => suggestion.type === 'secondary');
+  assert.equal(secondary.chord, 'A7');
+  assert.equal(secondary.numeral, 'V7/ii');
+  const passing = suggestions.find((suggestion) => suggestion.type === 'passing');
+  assert.equal(passing.chord, 'C#dim7');
+  assert.equal(passing.numeral, 'vii°7/ii');
+  assert.equal(passing.passing, true);
+  assert.deepEqual(chordsOfType(suggestionsFor('C, Dm, G7, C', 3), 'secondary'), []);
+});
+
+test('suggestions never repeat the chord and are analyzed in the row key', () => {
+  const result = ChordAnalyzer.analyzeChords('C, F, G7, C');
+  ChordAnalyzer.suggestSubstitutions(result).forEach((suggestions, index) => {
+    assert.ok(suggestions.every((suggestion) => suggestion.chord !== result.analysis[index].chord));
+    assert.ok(suggestions.every((suggestion) => ChordAnalyzer.parseChord(suggestion.chord)));
+  });
+  assert.deepEqual(ChordAnalyzer.suggestSubstitutions(ChordAnalyzer.analyzeChords('')), []);
+  const inA = suggestionsFor('C, F, G, C', 1, { key: 'A minor' });
+  assert.equal(inA.find((suggestion) => suggestion.chord === 'Dm').numeral, 'iv');
+});
+
+test('substitutions are swapped into comma lists and charts', () => {
+  assert.equal(ChordAnalyzer.substituteChord('C, Dm, G7, C', 2, 'Db7'), 'C, Dm, Db7, C');
+  assert.equal(ChordAnalyzer.substituteChord('C, H7, Dm', 1, 'Bb'), 'C, H7, Bb');
+  const passing = { chord: 'C#dim7', passing: true };
+  assert.equal(ChordAnalyzer.substituteChord('C, Dm, G7', 0, passing), 'C, C#dim7, Dm, G7');
+  assert.equal(ChordAnalyzer.substituteChord('| C . . . | Dm:3 G7:1 | x2', 2, 'Db7'), '| C . . . | Dm:3 Db7:1 | x2');
+  assert.equal(ChordAnalyzer.substituteChord('| C . . . | Dm |', 0, passing), '| C . . C#dim7 | Dm |');
+  assert.equal(ChordAnalyzer.substituteChord('| C:3 Dm:1 |', 0, passing), '| C:2 C#dim7:1 Dm:1 |');
+  assert.equal(ChordAnalyzer.substituteChord('| C | Dm |', 0, passing), '| C C#dim7 | Dm |');
+  assert.equal(ChordAnalyzer.substituteChord('C, Dm', 5, 'G'), 'C, Dm');
+});
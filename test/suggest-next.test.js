@@ -0,0 +1,59 @@
+/**
+ * Tests for next-chord suggestions: transitions, multi-chord cadences, style presets and starts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+const chordsAfter = (progression, key, options) =>
+  ChordAnalyzer.suggestNext(progression, key, options).map((suggestion) => suggestion.chord);
+
+test('the dominant resolves to the tonic first', () => {
+  const [first] = ChordAnalyzer.suggestNext('C, F, G7', 'C');
+  assert.equal(first.chord, 'C');
+  assert.equal(first.numeral, 'I');
+  assert.equal(first.function, 'Tonic');
+  assert.equal(first.reason, 'V → I authentic resolution');
+  assert.ok(chordsAfter('C, F, G7', 'C').includes('Am'));
+});
+
+test('multi-chord cadences name the whole path', () => {
+  const [first] = ChordAnalyzer.suggestNext('C, Ab, Bb', 'C');
+  assert.equal(first.chord, 'C');
+  assert.equal(first.reason, 'bVI → bVII → I Aeolian cadence');
+  assert.equal(ChordAnalyzer.suggestNext('Am, F, G', 'A minor')[0].reason, 'VI → VII → i Aeolian cadence');
+});
+
+test('suggestions are ranked and never repeat the last chord', () => {
+  const suggestions = ChordAnalyzer.suggestNext('C, Am', 'C');
+  assert.ok(suggestions.every((suggestion, index) => index === 0 || suggestion.score <= suggestions[index - 1].score));
+  assert.ok(!chordsAfter('C, Am', 'C').includes('Am'));
+  assert.equal(ChordAnalyzer.suggestNext('C, Am, F, G, C, Am', 'C', { limit: 2 }).length, 2);
+});
+
+test('styles weight the transitions and voice the chords differently', () => {
+  assert.deepEqual(chordsAfter('Dm7, G7', 'C', { style: 'jazz' }).slice(0, 1), ['Cmaj7']);
+  assert.equal(ChordAnalyzer.suggestNext('Dm7, G7', 'C', { style: 'jazz' })[0].reason, 'ii → V → I jazz cadence');
+  assert.ok(chordsAfter('Dm7', 'C', { style: 'jazz' }).includes('Db7'));
+  assert.ok(!chordsAfter('Dm7', 'C').includes('Db'));
+  assert.equal(chordsAfter('C, F', 'C', { style: 'classical' })[0], 'G7');
+  assert.equal(chordsAfter('C, F', 'C')[0], 'G');
+  assert.throws(() => ChordAnalyzer.suggestNext('C', 'C', { style: 'rock' }), /Unknown style/);
+});
+
+test('an empty progression suggests how to start', () => {
+  assert.deepEqual(chordsAfter('', 'C').slice(0, 2), ['C', 'Am']);
+  assert.equal(chordsAfter('', 'F# minor')[0], 'F#m');
+  assert.deepEqual(ChordAnalyzer.suggestNext(''), []);
+});
+
+test('the key defaults to the one the progression ends in', () => {
+  assert.equal(ChordAnalyzer.suggestNext('C, F, G7')[0].chord, 'C');
+  assert.equal(ChordAnalyzer.suggestNext(['Am', 'Dm', 'E7'])[0].chord, 'Am');
+  assert.equal(ChordAnalyzer.suggestNext('| Eb . Ab . | Bb7 . . . |')[0].chord, 'Eb');
+  // A ii–V with no key is read in the major key it leads to, not as a minor vamp on ii.
+  const [first] = ChordAnalyzer.suggestNext('Dm7, G7', null, { style: 'jazz' });
+  assert.equal(first.chord, 'Cmaj7');
+  assert.equal(first.reason, 'ii → V → I jazz cadence');
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for ChordAnalyzer.transpose and transposeKey
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../js/chord-analyzer.js');
+
+test('keeps suffixes and slash basses', () => {
+  assert.equal(ChordAnalyzer.transpose('Cmaj7, G7/B, Am9, Fadd9/G', 2), 'Dmaj7, A7/C#, Bm9, Gadd9/A');
+});
+
+test('spells the result in the target key', () => {
+  assert.equal(ChordAnalyzer.transpose('C, G7/B, Am, F', 'F#'), 'F#, C#7/E#, D#m, B');
+  assert.equal(ChordAnalyzer.transpose('C, G7/B, Am, F', 6), 'Gb, Db7/F, Ebm, Cb');
+  assert.equal(ChordAnalyzer.transpose('Am, Dm, E7, Am', 1), 'Bbm, Ebm, F7, Bbm');
+});
+
+test('falls back to the target key\'s spelling instead of double accidentals', () => {
+  assert.equal(ChordAnalyzer.transpose('Abm, F#m, G#7', 9), 'Fm, Ebm, F7');
+  assert.equal(ChordAnalyzer.transpose('Dm, B, Gm, Ebm, G, Bm', 1), 'Ebm, C, Abm, Em, Ab, Cm');
+});
+
+test('numerals do not change', () => {
+  const original = ChordAnalyzer.analyzeChords('C, E7/G#, Am, F, Fm, C');
+  const moved = ChordAnalyzer.analyzeChords(ChordAnalyzer.transpose('C, E7/G#, Am, F, Fm, C', 'A'));
+  assert.equal(moved.key, 'A');
+  assert.deepEqual(moved.analysis.map((item) => item.numeral), original.analysis.map((item) => item.numeral));
+});
+
+test('accepts arrays and leaves unparseable symbols alone', () => {
+  assert.deepEqual(ChordAnalyzer.transpose(['C', 'Xz', 'G'], -1), ['B', 'Xz', 'F#']);
+});
+
+test('returns null for an unknown target key', () => {
+  assert.equal(ChordAnalyzer.transpose('C, G', 'H'), null);
+});
+
+test('transposeKey keeps the mode and uses conventional spelling', () => {
+  assert.equal(ChordAnalyzer.transposeKey('A minor', 1), 'Bb minor');
+  assert.equal(ChordAnalyzer.transposeKey('C', 6), 'Gb');
+  assert.equal(ChordAnalyzer.transposeKey('D Dorian', -1), 'C# Dorian');
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the voicing engine: chord tones, styles, range and voice leading
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChordAnalyzer = require('../index.js');
+
+const chord = (symbol) => ChordAnalyzer.parseChord(symbol);
+const pitchClasses = (pitches) => [...new Set(pitches.map((pitch) => pitch % 12))].sort((a, b) => a - b);
+
+test('every chord tone is voiced, bass first', () => {
+  assert.deepEqual(pitchClasses(ChordAnalyzer.voiceChord(chord('Bdim'))), [2, 5, 11]);
+  assert.deepEqual(pitchClasses(ChordAnalyzer.voiceChord(chord('G7'))), [2, 5, 7, 11]);
+  assert.deepEqual(pitchClasses(ChordAnalyzer.voiceChord(chord('Caug'))), [0, 4, 8]);
+  assert.deepEqual(pitchClasses(ChordAnalyzer.voiceChord(chord('C13'))), [0, 2, 4, 7, 9, 10]);
+  const slash = ChordAnalyzer.voiceChord(chord('C/E'));
+  assert.equal(slash[0] % 12, 4);
+  assert.ok(slash.slice(1).every((pitch) => pitch > slash[0]));
+});
+
+test('styles shape the voices above the bass', () => {
+  const voice = (style) => ChordAnalyzer.voiceChord(chord('Cmaj7'), { style });
+  const span = (pitches) => pitches[pitches.length - 1] - pitches[1];
+  assert.ok(span(voice('close')) < 12);
+  assert.ok(span(voice('open')) > 12);
+  assert.ok(span(voice('spread')) > span(voice('close')));
+  assert.deepEqual(pitchClasses(voice('drop2')), pitchClasses(voice('close')));
+  assert.deepEqual(pitchClasses(voice('shell').slice(1)), [4, 11]);
+  assert.deepEqual(pitchClasses(ChordAnalyzer.voiceChord(chord('C6'), { style: 'shell' }).slice(1)), [4, 9]);
+  // Over a slash bass the root stays above it with the guide tones the bass doesn't already play.
+  const shell = (symbol) => ChordAnalyzer.voiceChord(chord(symbol), { style: 'shell' });
+  assert.deepEqual(shell('C/E'), [40, 60, 67]);
+  assert.deepEqual(pitchClasses(shell('G7/F').slice(1)), [7, 11]);
+  assert.equal(shell('G7/F')[0] % 12, 5);
+  assert.throws(() => ChordAnalyzer.voiceChord(chord('C'), { style: 'cluster' }), /Unknown voicing style/);
+});
+
+test('voicings stay within the range', () => {
+  const range = { low: 48, high: 76 };
+  const chords = 'C13, F#m7b5, Bb9, E7/G#, Am11'.split(', ').map(chord);
+  ChordAnalyzer.VOICING_STYLES.forEach((style) => {
+    ChordAnalyzer.voiceProgression(chords, { style, range }).forEach((pitches) => {
+      assert.ok(pitches[0] >= range.low && pitches[pitches.length - 1] <= range.high, `${style}: ${pitches}`);
+    });
+  });
+  assert.throws(() => ChordAnalyzer.voiceChord(chord('C'), { range: { low: 60, high: 72 } }), /two octaves/);
+});
+
+test('voice leading keeps common tones and moves the rest by small steps', () => {
+  const [c, am, f, g] = ChordAnalyzer.voiceProgression('C, Am, F, G'.split(', ').map(chord));
+  assert.ok(c.slice(1).filter((pitch) => am.includes(pitch)).length >= 2);
+  assert.ok(am.slice(1).filter((pitch) => f.includes(pitch)).length >= 2);
+  const moves = f.slice(1).map((pitch, index) => Math.abs(g[index + 1] - pitch));
+  assert.ok(moves.every((move) => move <= 3), `F ${f} to G ${g}`);
+});
+
+test('voice leading moves less than voicing each chord alone', () => {
+  const chords = 'Dm7, G7, Cmaj7, Fmaj7, Bm7b5, E7, Am7'.split(', ').map(chord);
+  const travel = (voicings) => voicings.slice(1).reduce((sum, pitches, index) =>
+    sum + pitches.reduce((moved, pitch, voice) => moved + Math.abs(pitch - (voicings[index][voice] || pitch)), 0), 0);
+  const led = ChordAnalyzer.voiceProgression(chords);
+  const alone = ChordAnalyzer.voiceProgression(chords, { voiceLeading: false });
+  assert.ok(travel(led) < travel(alone));
+});
+
+test('MIDI export plays the voiced chords', () => {
+  const notesOn = (file) => file.tracks[0].events.filter((event) => event.type === 0x90).map((event) => event.param1);
+  const result = ChordAnalyzer.analyzeChords('C, G7');
+  const [c, g7] = ChordAnalyzer.voiceProgression([chord('C'), chord('G7')], { style: 'drop2' });
+  assert.deepEqual(notesOn(ChordAnalyzer.createMidiFile(result, { style: 'drop2' })), c.concat(g7));
+  assert.deepEqual(ChordAnalyzer.getChordNotes(chord('G7')), ChordAnalyzer.voiceChord(chord('G7')));
+});